@@ -1,8 +1,15 @@
 // src/ai-optimized-pipeline.js
 
-import { JobRequirementsParser } from './parsers/job-parser.js';
+import { JobRequirementsParser, formatExtraction } from './parsers/job-parser.js';
+import { formatSalary } from './parsers/salary.js';
+import { formatEmploymentTerms } from './parsers/employment-terms.js';
+import { JobDescriptionLinter, formatLintReport } from './lint/job-linter.js';
 import GitHubCrawler from './scrapers/github-crawler.js';
-import { getPerformanceMonitor } from './utils/performance-monitor.js';
+import { formatRateLimitStats } from './scrapers/github-rate-limit.js';
+import { formatLLMUsage, formatModelStats, getPerformanceMonitor } from './utils/performance-monitor.js';
+import { formatCost } from './utils/llm-pricing.js';
+import { formatRedactionStats } from './utils/pii-redactor.js';
+import { loadJobDocument } from './ingest/job-document-loader.js';
 import dotenv from 'dotenv';
 
 // Load environment variables
@@ -11,11 +18,12 @@ dotenv.config();
 class AIOptimizedPipeline {
     constructor() {
         this.parser = new JobRequirementsParser();
+        this.linter = new JobDescriptionLinter({ parser: this.parser });
         this.crawler = new GitHubCrawler();
         this.monitor = getPerformanceMonitor();
     }
 
-    async runOptimizedPipeline(jobDescription) {
+    async runOptimizedPipeline(jobDescription, options = {}) {
         try {
             console.log('🚀 Starting AI-Optimized Talent Finder Pipeline');
             console.log('=' .repeat(60));
@@ -24,12 +32,23 @@ class AIOptimizedPipeline {
             console.log('📋 Step 1: Parsing job description and extracting critical skills...');
             this.monitor.startOperation('Job Parsing & Skill Extraction');
             
-            const parsedJob = await this.parser.parseJobDescription(jobDescription);
-            const criticalSkills = await this.parser.extractCriticalSkills(jobDescription);
+            // options.signal cancels the run's LLM calls; options.priority queues them ('interactive', 'normal', 'background')
+            const llmOptions = { signal: options.signal, priority: options.priority };
+            const parsedJob = await this.parser.parseJobDescription(jobDescription, { source: options.source, ...llmOptions });
+            
+            // Check the posting before sourcing against it; strict mode stops on lint errors
+            const lintReport = this.linter.lintParsedJob(jobDescription, parsedJob);
+            if ((options.strictLint || process.env.JOB_LINT_STRICT === 'true') && !lintReport.summary.ready) {
+                formatLintReport(lintReport).forEach(line => console.log(line));
+                throw new Error(`Job posting has ${lintReport.summary.errors} lint errors; fix them before sourcing (npm run lint-job)`);
+            }
+            
+            const { skills: criticalSkills, extraction: skillExtraction } = await this.parser.analyzeCriticalSkills(jobDescription, llmOptions);
             const optimizedQueries = await this.parser.generateOptimizedSearchQueries({
                 description: jobDescription,
+                criticalSkills,
                 level: parsedJob.level
-            });
+            }, llmOptions);
             
             this.monitor.endOperation('Job Parsing & Skill Extraction');
             
@@ -37,9 +56,12 @@ class AIOptimizedPipeline {
             console.log(`📋 Job Title: ${parsedJob.title}`);
             console.log(`🏢 Company: ${parsedJob.companyInfo.name}`);
             console.log(`📍 Location: ${parsedJob.location.type} (${parsedJob.location.country})`);
-            console.log(`💰 Salary: $${parsedJob.salary.min?.toLocaleString() || 'N/A'} - $${parsedJob.salary.max?.toLocaleString() || 'N/A'} ${parsedJob.salary.currency}`);
-            console.log(`🧠 AI Identified Critical Skills: ${criticalSkills.join(', ')}`);
+            console.log(`💰 Salary: ${formatSalary(parsedJob.salary, parsedJob.salaryNormalized)}`);
+            console.log(`💼 Employment: ${formatEmploymentTerms(parsedJob.employment)}`);
+            console.log(`🧾 Parsed by: ${formatExtraction(parsedJob.extraction)}`);
+            console.log(`🧠 Critical Skills (${formatExtraction(skillExtraction)}): ${criticalSkills.join(', ')}`);
             console.log(`🔍 Optimized Search Queries: ${optimizedQueries.length} queries`);
+            formatLintReport(lintReport, 5).forEach(line => console.log(line));
             console.log('');
             
             // Step 2: Search for candidates using optimized queries
@@ -92,16 +114,40 @@ class AIOptimizedPipeline {
                 console.log(`   ${api.name}: ${api.count} calls, ${api.totalDuration}ms total, ${api.averageDuration.toFixed(0)}ms avg`);
             });
             
+            console.log(`\n💵 LLM Usage: ${formatLLMUsage(performanceReport.llmUsage)}`);
+            Object.entries(performanceReport.modelStats).forEach(([model, stats]) => {
+                console.log(`🎯 ${model}: ${formatModelStats(stats)}`);
+            });
+            const llmCacheStats = this.parser.llmClient?.getCacheStats?.() || null;
+            if (llmCacheStats) {
+                console.log(`💾 LLM Cache: ${llmCacheStats.totalHits} hits, ${llmCacheStats.misses} misses (${llmCacheStats.hitRate}), saved ${formatCost(llmCacheStats.savedCostUsd)}`);
+            }
+            const piiRedactionStats = this.parser.llmClient?.getRedactionStats?.() || null;
+            if (piiRedactionStats) {
+                console.log(`🛡️  PII redacted: ${formatRedactionStats(piiRedactionStats)}`);
+            }
+            const githubRateLimits = this.crawler.getRateLimitStats();
+            if (githubRateLimits) {
+                console.log(`🚦 GitHub rate limits: ${formatRateLimitStats(githubRateLimits)}`);
+            }
+            
             // Step 5: Save comprehensive results
             const fs = await import('fs/promises');
             const results = {
                 parsedJob,
                 criticalSkills,
+                criticalSkillsExtraction: skillExtraction,
                 optimizedQueries,
+                lintReport,
                 searchDate: new Date().toISOString(),
                 totalCandidates: candidates.length,
                 candidates: candidates,
                 performanceReport: performanceReport,
+                llmUsage: performanceReport.llmUsage,
+                modelStats: performanceReport.modelStats,
+                llmCache: llmCacheStats,
+                piiRedaction: piiRedactionStats,
+                githubRateLimits,
                 pipelineVersion: '2.0.0-ai-optimized'
             };
             
@@ -214,9 +260,16 @@ async function runWithCustomJob(jobDescription) {
     return await pipeline.runOptimizedPipeline(jobDescription);
 }
 
+// Function to run with a saved job posting (HTML, PDF, DOCX or text file)
+async function runWithJobFile(filePath) {
+    const document = await loadJobDocument(filePath);
+    const pipeline = new AIOptimizedPipeline();
+    return await pipeline.runOptimizedPipeline(document.text, { source: document.source });
+}
+
 // Run if this file is executed directly
 if (import.meta.url === `file://${process.argv[1]}`) {
-    runWithSampleJob();
+    process.argv[2] ? runWithJobFile(process.argv[2]) : runWithSampleJob();
 }
 
-export { AIOptimizedPipeline, runWithSampleJob, runWithCustomJob };
+export { AIOptimizedPipeline, runWithSampleJob, runWithCustomJob, runWithJobFile };
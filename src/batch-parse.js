@@ -0,0 +1,135 @@
+// src/batch-parse.js - Parse a folder (or list) of job postings in one run
+// Usage: node src/batch-parse.js <folder|file...> [--concurrency 4] [--mode ai|rules|auto] [--out ./data/batch-results.jsonl]
+
+import fs from 'fs/promises';
+import path from 'path';
+import { BatchJobParser } from './parsers/batch-parser.js';
+import { detectFormat } from './ingest/job-document-loader.js';
+import { formatLLMUsage, formatModelStats, getPerformanceMonitor } from './utils/performance-monitor.js';
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+function parseArgs(argv) {
+    const options = { inputs: [], concurrency: 4, mode: undefined, out: './data/batch-results.jsonl' };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--concurrency') {
+            options.concurrency = parseInt(argv[++i], 10);
+        } else if (arg === '--mode') {
+            options.mode = argv[++i];
+        } else if (arg === '--out') {
+            options.out = argv[++i];
+        } else {
+            options.inputs.push(arg);
+        }
+    }
+
+    if (!Number.isInteger(options.concurrency) || options.concurrency < 1) {
+        throw new Error('--concurrency must be a positive integer');
+    }
+
+    return options;
+}
+
+// Expand folders into the supported job documents they contain
+async function collectFiles(inputs) {
+    const files = [];
+
+    for (const input of inputs) {
+        const stats = await fs.stat(input);
+        if (stats.isDirectory()) {
+            const entries = await fs.readdir(input);
+            files.push(...entries
+                .filter(entry => detectFormat(entry))
+                .sort()
+                .map(entry => path.join(input, entry)));
+        } else {
+            files.push(input);
+        }
+    }
+
+    return files;
+}
+
+async function runBatchParse(inputs, options = {}) {
+    const files = await collectFiles(inputs);
+    if (files.length === 0) {
+        throw new Error('No job documents found (.html, .htm, .pdf, .docx, .txt, .md)');
+    }
+
+    const out = options.out || './data/batch-results.jsonl';
+    const summaryPath = out.replace(/\.jsonl$/, '') + '-summary.json';
+
+    console.log(`🚀 Parsing ${files.length} job descriptions (concurrency ${options.concurrency || 4})...`);
+
+    // Ctrl-C cancels the LLM calls still queued or running; finished items are still saved
+    const controller = new AbortController();
+    const onInterrupt = () => {
+        console.log('🛑 Cancelling remaining items...');
+        controller.abort(new Error('batch cancelled'));
+    };
+    process.once('SIGINT', onInterrupt);
+
+    const batchParser = new BatchJobParser({
+        concurrency: options.concurrency,
+        signal: controller.signal,
+        parserOptions: options.mode ? { mode: options.mode } : {},
+        onProgress: (done, total, result) => {
+            const icon = { parsed: '✅', failed: '❌', duplicate: '♻️ ' }[result.status];
+            console.log(`${icon} [${done}/${total}] ${result.id} (${result.status}, ${result.durationMs}ms)`);
+        }
+    });
+
+    const { results, summary } = await batchParser.parseAll(files.map(filePath => ({ filePath })));
+    process.removeListener('SIGINT', onInterrupt);
+    summary.llmUsage = getPerformanceMonitor().getLLMUsage();
+    summary.modelStats = getPerformanceMonitor().getModelStats();
+
+    await fs.mkdir(path.dirname(out), { recursive: true });
+    await fs.writeFile(out, results.map(result => JSON.stringify(result)).join('\n') + '\n');
+    await fs.writeFile(summaryPath, JSON.stringify({ ...summary, generatedAt: new Date().toISOString() }, null, 2));
+
+    console.log('');
+    console.log('📊 Batch Summary:');
+    console.log('=' .repeat(60));
+    console.log(`   Parsed: ${summary.parsed}/${summary.total}`);
+    console.log(`   Failed: ${summary.failed}`);
+    console.log(`   Duplicates skipped: ${summary.duplicates}`);
+    console.log(`   Duration: ${(summary.durationMs / 1000).toFixed(2)}s`);
+    console.log(`   LLM usage: ${formatLLMUsage(summary.llmUsage)}`);
+    Object.entries(summary.modelStats).forEach(([model, stats]) => {
+        console.log(`   ${model}: ${formatModelStats(stats)}`);
+    });
+    if (summary.mostDefaultedFields.length > 0) {
+        console.log('   Most often defaulted fields:');
+        summary.mostDefaultedFields.slice(0, 5).forEach(entry => {
+            console.log(`      ${entry.field}: ${entry.count} (${entry.percentage}%)`);
+        });
+    }
+    summary.failures.forEach(failure => console.log(`   ❌ ${failure.id}: ${failure.error}`));
+    console.log('');
+    console.log(`💾 Results saved to ${out}`);
+    console.log(`💾 Summary saved to ${summaryPath}`);
+
+    return { results, summary };
+}
+
+// Run if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    try {
+        const options = parseArgs(process.argv.slice(2));
+        if (options.inputs.length === 0) {
+            console.error('Usage: node src/batch-parse.js <folder|file...> [--concurrency 4] [--mode ai|rules|auto] [--out ./data/batch-results.jsonl]');
+            process.exit(1);
+        }
+        await runBatchParse(options.inputs, options);
+    } catch (error) {
+        console.error('❌ Batch parsing failed:', error.message);
+        process.exit(1);
+    }
+}
+
+export { runBatchParse, collectFiles };
@@ -0,0 +1,161 @@
+// src/compare-prompts.js - Run two versions of a prompt over the same job descriptions and diff the outputs
+// Usage: node src/compare-prompts.js <prompt> <baseline-version> <candidate-version> <folder|file...>
+//        [--prompts ./candidate-prompts.js] [--evaluate ./scorer.js] [--concurrency 2] [--out ./data/prompt-comparison.json]
+//        node src/compare-prompts.js --list
+
+import fs from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { collectFiles } from './batch-parse.js';
+import { loadJobDocument } from './ingest/job-document-loader.js';
+import { comparePromptVersions } from './prompts/prompt-comparison.js';
+import { getPromptRegistry } from './prompts/prompt-registry.js';
+import { formatCost } from './utils/llm-pricing.js';
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config({ quiet: true }); // importing batch-parse.js has already reported the .env load
+
+const USAGE = 'Usage: node src/compare-prompts.js <prompt> <baseline-version> <candidate-version> <folder|file...> [--prompts ./candidate-prompts.js] [--evaluate ./scorer.js] [--concurrency 2] [--out ./data/prompt-comparison.json]';
+
+function parseArgs(argv) {
+    const options = { positional: [], prompts: null, evaluate: null, concurrency: 2, out: './data/prompt-comparison.json', list: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--prompts') {
+            options.prompts = argv[++i];
+        } else if (arg === '--evaluate') {
+            options.evaluate = argv[++i];
+        } else if (arg === '--concurrency') {
+            options.concurrency = parseInt(argv[++i], 10);
+        } else if (arg === '--out') {
+            options.out = argv[++i];
+        } else if (arg === '--list') {
+            options.list = true;
+        } else {
+            options.positional.push(arg);
+        }
+    }
+
+    if (!Number.isInteger(options.concurrency) || options.concurrency < 1) {
+        throw new Error('--concurrency must be a positive integer');
+    }
+
+    const [name, baseline, candidate, ...inputs] = options.positional;
+    return { ...options, name, baseline, candidate, inputs };
+}
+
+// Default export of a local module, e.g. an array of draft prompt definitions or a scoring function
+async function importDefault(filePath) {
+    const module = await import(pathToFileURL(path.resolve(filePath)).href);
+    return module.default;
+}
+
+// Extra prompt versions, usually drafts, from a module whose default export is one definition or an array
+async function registerPromptFile(filePath) {
+    const definitions = await importDefault(filePath);
+    (Array.isArray(definitions) ? definitions : [definitions]).forEach(definition => getPromptRegistry().register(definition));
+}
+
+function formatValue(value) {
+    const text = JSON.stringify(value);
+    return text === undefined ? 'undefined' : (text.length > 80 ? `${text.slice(0, 77)}...` : text);
+}
+
+function formatChange(change) {
+    if (change.added || change.removed) {
+        const parts = [
+            ...change.added.map(item => `+${item}`),
+            ...change.removed.map(item => `-${item}`)
+        ];
+        return `${change.path}: ${parts.length > 0 ? parts.join(', ') : 'reordered'}`;
+    }
+    return `${change.path}: ${formatValue(change.baseline)} → ${formatValue(change.candidate)}`;
+}
+
+async function runPromptComparison(options) {
+    if (options.prompts) {
+        await registerPromptFile(options.prompts);
+    }
+
+    const files = await collectFiles(options.inputs);
+    if (files.length === 0) {
+        throw new Error('No job documents found (.html, .htm, .pdf, .docx, .txt, .md)');
+    }
+    const documents = await Promise.all(files.map(async (filePath) => {
+        const document = await loadJobDocument(filePath);
+        return { id: path.basename(filePath), text: document.text, source: document.source };
+    }));
+
+    const comparison = await comparePromptVersions({
+        name: options.name,
+        baseline: options.baseline,
+        candidate: options.candidate,
+        documents,
+        evaluate: options.evaluate ? await importDefault(options.evaluate) : null,
+        concurrency: options.concurrency
+    });
+
+    const { baseline, candidate, summary } = comparison;
+    console.log('');
+    console.log(`📊 ${baseline.prompt} vs ${candidate.prompt}`);
+    console.log('=' .repeat(60));
+    for (const document of comparison.documents) {
+        if (document.status === 'failed') {
+            const error = document.baseline.error || document.candidate.error;
+            console.log(`❌ ${document.id}: ${document.baseline.error ? baseline.prompt : candidate.prompt} failed (${error.message})`);
+        } else if (document.status === 'identical') {
+            console.log(`🟰 ${document.id}: identical`);
+        } else {
+            console.log(`🔀 ${document.id}: ${document.changes.length} field(s) changed`);
+            document.changes.forEach(change => console.log(`      ${formatChange(change)}`));
+        }
+    }
+
+    console.log('');
+    console.log(`   Identical: ${summary.identical}/${summary.documents}`);
+    console.log(`   Changed: ${summary.changed}`);
+    console.log(`   Failed: ${summary.failed}`);
+    for (const run of [baseline, candidate]) {
+        const score = run.meanScore === null ? '' : `, mean score ${run.meanScore.toFixed(2)}`;
+        console.log(`   ${run.prompt}: ${run.failures} failures, ${run.usage.calls} LLM calls, ${formatCost(run.usage.costUsd)}${score}`);
+    }
+    if (summary.fieldChanges.length > 0) {
+        console.log('   Most often changed fields:');
+        summary.fieldChanges.slice(0, 5).forEach(entry => console.log(`      ${entry.field}: ${entry.changed}`));
+    }
+
+    await fs.mkdir(path.dirname(options.out), { recursive: true });
+    await fs.writeFile(options.out, JSON.stringify({ ...comparison, generatedAt: new Date().toISOString() }, null, 2));
+    console.log('');
+    console.log(`💾 Comparison saved to ${options.out}`);
+
+    return comparison;
+}
+
+// Run if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    try {
+        const options = parseArgs(process.argv.slice(2));
+        if (options.list) {
+            if (options.prompts) {
+                await registerPromptFile(options.prompts);
+            }
+            getPromptRegistry().list().forEach(prompt => {
+                console.log(`${prompt.id.padEnd(28)} ${prompt.status.padEnd(7)} ${prompt.description || ''}`);
+            });
+            process.exit(0);
+        }
+        if (!options.name || !options.baseline || !options.candidate || options.inputs.length === 0) {
+            console.error(USAGE);
+            process.exit(1);
+        }
+        await runPromptComparison(options);
+    } catch (error) {
+        console.error('❌ Prompt comparison failed:', error.message);
+        process.exit(1);
+    }
+}
+
+export { runPromptComparison };
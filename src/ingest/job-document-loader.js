@@ -0,0 +1,209 @@
+// src/ingest/job-document-loader.js
+
+import fs from 'fs/promises';
+import path from 'path';
+
+// Turns saved job postings (HTML, PDF, DOCX, plain text/Markdown) into Markdown-like text
+// that keeps section structure: headings become "## Heading" and list items "- item",
+// which is what JobRequirementsParser and the rule-based parser expect.
+
+const FORMATS = {
+    '.html': 'html',
+    '.htm': 'html',
+    '.pdf': 'pdf',
+    '.docx': 'docx',
+    '.txt': 'text',
+    '.md': 'text'
+};
+
+// Section names promoted to headings when a format carries no heading markup (PDF, text)
+const SECTION_HEADING = /^(about (the|this) (role|job|position|company)|about us|job description|overview|summary|responsibilities|key responsibilities|duties|what you('ll)? do|requirements|qualifications|minimum qualifications|required skills|must[- ]haves?|what you('ll)? (need|bring)|nice[- ]to[- ]haves?|preferred( qualifications| skills)?|bonus( points)?|benefits|perks|what we offer|compensation)\s*:?$/i;
+
+// Containers Dice and most job boards use for the posting body
+const DESCRIPTION_SELECTORS = [
+    '[data-testid="jobDescriptionHtml"]',
+    '#jobdescSec',
+    '.job-description',
+    '#job-description',
+    '[itemprop="description"]',
+    'article',
+    'main'
+];
+
+const BLOCK_TAGS = new Set(['p', 'div', 'section', 'article', 'br', 'tr', 'table', 'ul', 'ol', 'header', 'footer']);
+
+async function importOptional(moduleName, format) {
+    try {
+        return await import(moduleName);
+    } catch (error) {
+        throw new Error(`Reading ${format} files requires the "${moduleName.split('/')[0]}" package (npm install): ${error.message}`);
+    }
+}
+
+function cleanText(text) {
+    return text
+        .replace(/\u00a0/g, ' ')
+        .replace(/[ \t]+/g, ' ')
+        .split('\n')
+        .map(line => line.trim())
+        .join('\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+// Promote known section names on their own line to Markdown headings and normalise bullets
+function structurePlainText(text) {
+    return cleanText(text)
+        .split('\n')
+        .map(line => {
+            if (SECTION_HEADING.test(line)) return `## ${line.replace(/:$/, '')}`;
+            if (/^[•●▪◦‣∙·]\s*/.test(line)) return `- ${line.replace(/^[•●▪◦‣∙·]\s*/, '')}`;
+            return line;
+        })
+        .join('\n');
+}
+
+function renderNode($, node) {
+    if (node.type === 'text') {
+        return node.data.replace(/\s+/g, ' ');
+    }
+    if (node.type !== 'tag') {
+        return '';
+    }
+
+    const tag = node.name.toLowerCase();
+    if (['script', 'style', 'noscript', 'nav', 'svg', 'form', 'button'].includes(tag)) {
+        return '';
+    }
+
+    const inner = $(node).contents().toArray().map(child => renderNode($, child)).join('');
+
+    if (/^h[1-6]$/.test(tag)) {
+        return `\n\n${'#'.repeat(Number(tag[1]))} ${inner.trim()}\n\n`;
+    }
+    if (tag === 'li') {
+        return `\n- ${inner.trim()}`;
+    }
+    if (tag === 'strong' || tag === 'b') {
+        return inner.trim() ? `**${inner.trim()}** ` : '';
+    }
+    if (BLOCK_TAGS.has(tag)) {
+        return `\n${inner}\n`;
+    }
+    return inner;
+}
+
+async function htmlToStructuredText(html) {
+    const { load } = await importOptional('cheerio', 'HTML');
+    const $ = load(html);
+    const root = DESCRIPTION_SELECTORS.map(selector => $(selector).first()).find(element => element.length > 0) || $('body');
+    const rendered = root.contents().toArray().map(node => renderNode($, node)).join('');
+
+    // Bold-only lines such as "<p><strong>Requirements</strong></p>" are headings in disguise
+    const text = cleanText(rendered)
+        .split('\n')
+        .map(line => /^\*\*[^*]+\*\*:?$/.test(line) && SECTION_HEADING.test(line.replace(/\*\*/g, '')) ? `## ${line.replace(/\*\*|:$/g, '')}` : line)
+        .join('\n');
+
+    return { text, $ };
+}
+
+// schema.org JobPosting data embedded in Dice (and most ATS) pages
+function extractJobPostingMetadata($) {
+    for (const script of $('script[type="application/ld+json"]').toArray()) {
+        try {
+            const data = JSON.parse($(script).text());
+            const entries = Array.isArray(data) ? data : data['@graph'] || [data];
+            const posting = entries.find(entry => entry && entry['@type'] === 'JobPosting');
+            if (posting) {
+                return {
+                    title: posting.title || null,
+                    company: posting.hiringOrganization?.name || null,
+                    datePosted: posting.datePosted || null,
+                    employmentType: posting.employmentType || null,
+                    descriptionHtml: posting.description || null
+                };
+            }
+        } catch (error) {
+            // Malformed JSON-LD, keep looking
+        }
+    }
+    return null;
+}
+
+async function loadHtml(filePath) {
+    const html = await fs.readFile(filePath, 'utf8');
+    let { text, $ } = await htmlToStructuredText(html);
+    const metadata = extractJobPostingMetadata($);
+
+    // Prefer the JSON-LD description when the visible page only has navigation chrome
+    if (metadata?.descriptionHtml && text.length < 200) {
+        ({ text } = await htmlToStructuredText(`<main>${metadata.descriptionHtml}</main>`));
+    }
+
+    // Make sure title and company survive even when they live outside the description container
+    const header = [];
+    if (metadata?.title && !text.includes(metadata.title)) header.push(`# ${metadata.title}`);
+    if (metadata?.company && !text.includes(metadata.company)) header.push(`**Company:** ${metadata.company}`);
+    if (header.length > 0) text = `${header.join('\n')}\n\n${text}`;
+
+    const title = metadata?.title || $('title').first().text().trim() || null;
+    return { text, metadata: { title, ...(metadata ? { company: metadata.company, datePosted: metadata.datePosted, employmentType: metadata.employmentType } : {}) } };
+}
+
+async function loadPdf(filePath) {
+    // Import the library entry directly: the package index runs a debug script when imported
+    const { default: pdfParse } = await importOptional('pdf-parse/lib/pdf-parse.js', 'PDF');
+    const buffer = await fs.readFile(filePath);
+    const data = await pdfParse(buffer);
+    return { text: structurePlainText(data.text), metadata: { title: data.info?.Title || null, pages: data.numpages } };
+}
+
+async function loadDocx(filePath) {
+    const { default: mammoth } = await importOptional('mammoth', 'DOCX');
+    const { value: html, messages } = await mammoth.convertToHtml({ path: filePath });
+    const { text } = await htmlToStructuredText(`<main>${html}</main>`);
+    const warnings = messages.filter(message => message.type === 'warning').map(message => message.message);
+    return { text: structurePlainText(text), metadata: warnings.length > 0 ? { warnings } : {} };
+}
+
+async function loadText(filePath) {
+    const text = await fs.readFile(filePath, 'utf8');
+    return { text: structurePlainText(text), metadata: {} };
+}
+
+const LOADERS = { html: loadHtml, pdf: loadPdf, docx: loadDocx, text: loadText };
+
+function detectFormat(filePath) {
+    return FORMATS[path.extname(filePath).toLowerCase()] || null;
+}
+
+// Load a job posting file and return its text plus a description of where it came from
+async function loadJobDocument(filePath) {
+    const format = detectFormat(filePath);
+    if (!format) {
+        throw new Error(`Unsupported job document "${filePath}". Supported extensions: ${Object.keys(FORMATS).join(', ')}`);
+    }
+
+    const stats = await fs.stat(filePath);
+    const { text, metadata } = await LOADERS[format](filePath);
+
+    if (!text.trim()) {
+        throw new Error(`No text could be extracted from ${filePath}`);
+    }
+
+    return {
+        text,
+        source: {
+            path: path.resolve(filePath),
+            fileName: path.basename(filePath),
+            format,
+            bytes: stats.size,
+            characters: text.length,
+            loadedAt: new Date().toISOString(),
+            ...metadata
+        }
+    };
+}
+
+export { loadJobDocument, htmlToStructuredText, structurePlainText, detectFormat };
@@ -0,0 +1,74 @@
+// src/lint-job.js - Check a job posting for quality and inclusive-language problems before sourcing
+// Usage: node src/lint-job.js <file> [--mode ai|rules|auto] [--rewrite] [--json] [--max-required 10]
+
+import { JobDescriptionLinter, formatLintReport } from './lint/job-linter.js';
+import { loadJobDocument } from './ingest/job-document-loader.js';
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config({ quiet: true }); // keep --json output clean
+
+function parseArgs(argv) {
+    const options = { file: null, mode: undefined, rewrite: false, json: false, maxRequiredSkills: undefined };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--mode') {
+            options.mode = argv[++i];
+        } else if (arg === '--rewrite') {
+            options.rewrite = true;
+        } else if (arg === '--json') {
+            options.json = true;
+        } else if (arg === '--max-required') {
+            options.maxRequiredSkills = parseInt(argv[++i], 10);
+        } else {
+            options.file = arg;
+        }
+    }
+
+    if (options.maxRequiredSkills !== undefined && (!Number.isInteger(options.maxRequiredSkills) || options.maxRequiredSkills < 1)) {
+        throw new Error('--max-required must be a positive integer');
+    }
+
+    return options;
+}
+
+async function runJobLint(filePath, options = {}) {
+    const document = await loadJobDocument(filePath);
+    const linter = new JobDescriptionLinter({
+        parserOptions: { mode: options.mode || process.env.JOB_PARSER_MODE || 'auto' },
+        maxRequiredSkills: options.maxRequiredSkills
+    });
+
+    const report = await linter.lint(document.text, { source: document.source, llmRewrites: options.rewrite });
+
+    if (options.json) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        console.log(`📋 ${report.job.title} (${document.source.fileName})`);
+        console.log('=' .repeat(60));
+        formatLintReport(report, Infinity).forEach(line => console.log(line));
+        console.log('');
+        console.log(report.summary.ready ? '✅ Ready to source' : '❌ Fix the errors above before sourcing');
+    }
+
+    return report;
+}
+
+// Run if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    try {
+        const options = parseArgs(process.argv.slice(2));
+        if (!options.file) {
+            console.error('Usage: node src/lint-job.js <file> [--mode ai|rules|auto] [--rewrite] [--json] [--max-required 10]');
+            process.exit(1);
+        }
+        const report = await runJobLint(options.file, options);
+        process.exit(report.summary.ready ? 0 : 1);
+    } catch (error) {
+        console.error('❌ Job lint failed:', error.message);
+        process.exit(1);
+    }
+}
+
+export { runJobLint };
@@ -0,0 +1,302 @@
+// src/lint/job-linter.js
+
+import { JobRequirementsParser } from '../parsers/job-parser.js';
+import { renderPrompt } from '../prompts/prompt-registry.js';
+import { getSkillGraph } from '../skills/skill-graph.js';
+import { getSkillTaxonomy } from '../skills/skill-taxonomy.js';
+import { extractJson } from '../utils/structured-output.js';
+
+// Quality and inclusive-language checks for a job posting, run on the original text plus
+// the parsed job. Every finding is
+//   { id, rule, severity: 'error'|'warning'|'info', message, field, span, suggestion, rewrite }
+// where `span` points into the original text and `rewrite` is a suggested replacement for
+// the line the span sits on (rule-based, or LLM-generated with { llmRewrites: true }).
+
+const SEVERITIES = ['error', 'warning', 'info'];
+const SEVERITY_PENALTY = { error: 20, warning: 7, info: 2 };
+
+// Wording that discourages qualified applicants. `replacement` is a string, a map from the
+// lowercase match ('*' for anything else) or null for "remove or rephrase".
+const LANGUAGE_RULES = [
+    { pattern: /\b(rock ?stars?|ninjas?|gurus?|wizards?|superheroes|superhero|unicorns?)\b/gi, category: 'coded', severity: 'warning', replacement: 'expert', note: 'Jargon titles skew applicant pools and say nothing about the job' },
+    { pattern: /\b(he or she|he\/she|s\/he|his or her|his\/her)\b/gi, category: 'gendered', severity: 'warning', replacement: 'they', note: 'Use gender-neutral pronouns' },
+    { pattern: /\b(he|him|his)\b(?= (will|must|should|has|is|would|can|works?|reports?|owns?)\b)/gi, category: 'gendered', severity: 'warning', replacement: 'they', note: 'Use gender-neutral pronouns' },
+    { pattern: /\b(guys|manpower|chairman|salesman|salesmen|workmanship|man-hours)\b/gi, category: 'gendered', severity: 'warning', replacement: { guys: 'everyone', manpower: 'staffing', chairman: 'chair', salesman: 'salesperson', salesmen: 'salespeople', workmanship: 'craft', 'man-hours': 'person-hours' }, note: 'Gendered wording' },
+    { pattern: /\b(aggressive|dominant|dominate|fearless)\b/gi, category: 'coded', severity: 'info', replacement: { aggressive: 'ambitious', dominant: 'leading', dominate: 'lead', fearless: 'confident' }, note: 'Masculine-coded wording lowers application rates from women' },
+    { pattern: /\b(young (and|&) (energetic|hungry|dynamic)|young team|youthful|digital natives?)\b/gi, category: 'age', severity: 'error', replacement: { 'digital native': 'comfortable with modern tools', 'digital natives': 'comfortable with modern tools', 'young team': 'team', '*': 'motivated' }, note: 'Age-related wording can violate age discrimination law' },
+    { pattern: /\brecent (college )?grad(uate)?s?\b/gi, category: 'age', severity: 'warning', replacement: 'early-career engineers', note: 'Limiting to recent graduates is an age proxy' },
+    { pattern: /\bnative (English )?speakers?\b/gi, category: 'exclusionary', severity: 'error', replacement: 'fluent in English', note: 'Native-speaker requirements discriminate by national origin' },
+    { pattern: /\b(able[- ]bodied|physically fit)\b/gi, category: 'ability', severity: 'error', replacement: null, note: 'State the actual physical requirement, if any, and that accommodations are available' },
+    { pattern: /\bculture fit\b/gi, category: 'exclusionary', severity: 'warning', replacement: 'culture add', note: '"Culture fit" invites hiring for sameness' },
+    { pattern: /\bwork hard,? play hard\b/gi, category: 'exclusionary', severity: 'info', replacement: null, note: 'Suggests long hours; describe working hours and flexibility instead' },
+    { pattern: /\b(whitelist|blacklist)(ed|ing|s)?\b/gi, category: 'exclusionary', severity: 'info', replacement: { whitelist: 'allowlist', blacklist: 'denylist' }, note: 'Prefer neutral terminology' }
+];
+
+// US jurisdictions that require a pay range in job postings
+const PAY_TRANSPARENCY_STATES = ['CA', 'CO', 'DC', 'HI', 'IL', 'MA', 'MD', 'MN', 'NJ', 'NY', 'VT', 'WA'];
+
+const REMOTE_ONLY_PATTERN = /\b(100% remote|fully remote|remote[- ]first|remote only|work from anywhere|completely remote)\b/i;
+const ONSITE_PATTERN = /\b(on[- ]?site (only|required|position|role)|in[- ]office|in the office|must be local|relocation (is )?required|report to (the|our) office|\d+ days? (a|per) week (in|at) (the|our) office)\b/i;
+
+function lineAround(text, span) {
+    const start = text.lastIndexOf('\n', span.start - 1) + 1;
+    const end = text.indexOf('\n', span.end);
+    return { start, end: end === -1 ? text.length : end, text: text.slice(start, end === -1 ? text.length : end) };
+}
+
+function matchCase(original, replacement) {
+    return /^[A-Z]/.test(original) ? replacement.charAt(0).toUpperCase() + replacement.slice(1) : replacement;
+}
+
+class JobDescriptionLinter {
+    constructor(options = {}) {
+        this.parser = options.parser || new JobRequirementsParser(null, options.parserOptions);
+        this.llmClient = options.llmClient || null;
+        this.taxonomy = options.taxonomy || getSkillTaxonomy();
+        this.skillGraph = options.skillGraph || getSkillGraph();
+        this.maxRequiredSkills = options.maxRequiredSkills || 10;
+        this.currentYear = options.currentYear || new Date().getFullYear();
+    }
+
+    // Parse and lint a posting. options.llmRewrites asks the LLM to rewrite every flagged line.
+    async lint(jobDescription, options = {}) {
+        const job = await this.parser.parseJobDescription(jobDescription, { source: options.source });
+        const report = this.lintParsedJob(jobDescription, job);
+
+        if (options.llmRewrites && report.findings.length > 0) {
+            await this.addLLMRewrites(jobDescription, report.findings);
+        }
+
+        return { ...report, job };
+    }
+
+    // Lint a posting that has already been parsed (no LLM calls)
+    lintParsedJob(jobDescription, job) {
+        const findings = [
+            ...this.checkLanguage(jobDescription),
+            ...this.checkSkillAges(jobDescription),
+            ...this.checkLevelExperience(job),
+            ...this.checkSalary(job),
+            ...this.checkLocationConsistency(jobDescription, job),
+            ...this.checkRequiredSkillCount(job)
+        ]
+            .sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity) || (a.span?.start ?? Infinity) - (b.span?.start ?? Infinity))
+            .map((finding, index) => ({ id: index + 1, ...finding }));
+
+        return { summary: this.summarize(findings), findings };
+    }
+
+    finding(rule, severity, message, extra = {}) {
+        return { rule, severity, message, field: null, span: null, suggestion: null, rewrite: null, ...extra };
+    }
+
+    checkLanguage(text) {
+        const findings = [];
+
+        for (const rule of LANGUAGE_RULES) {
+            rule.pattern.lastIndex = 0;
+            let match;
+            while ((match = rule.pattern.exec(text)) !== null) {
+                const span = { start: match.index, end: match.index + match[0].length, text: match[0] };
+                const replacement = typeof rule.replacement === 'object' && rule.replacement !== null
+                    ? rule.replacement[match[0].toLowerCase()] ?? rule.replacement['*'] ?? null
+                    : rule.replacement;
+                const line = lineAround(text, span);
+                const offset = span.start - line.start;
+
+                findings.push(this.finding(`inclusive-language/${rule.category}`, rule.severity, `"${match[0]}": ${rule.note}`, {
+                    span,
+                    suggestion: replacement ? `Use "${replacement}" instead of "${match[0]}"` : `Remove or rephrase "${match[0]}"`,
+                    rewrite: replacement
+                        ? line.text.slice(0, offset) + matchCase(match[0], replacement) + line.text.slice(offset + match[0].length)
+                        : null
+                }));
+            }
+        }
+
+        return findings;
+    }
+
+    // "10+ years of FastAPI" when FastAPI has existed for fewer than ten years
+    checkSkillAges(text) {
+        const findings = [];
+        const pattern = /(\d{1,2})\s*\+?\s*(?:years?|yrs?)(?:'|’)?\s+(?:of\s+)?(?:professional\s+|hands-on\s+|production\s+|commercial\s+)?(?:experience\s+)?(?:with|in|of|using|building with)?\s*([^\n.;]{1,60})/gi;
+        let match;
+
+        while ((match = pattern.exec(text)) !== null) {
+            const years = parseInt(match[1], 10);
+            const tailStart = match.index + match[0].length - match[2].length;
+
+            for (const mention of this.taxonomy.findInText(match[2])) {
+                const released = this.taxonomy.getReleaseYear(mention.id);
+                const age = released ? this.currentYear - released : null;
+                if (age === null || years <= age) continue;
+
+                findings.push(this.finding('unrealistic-experience', 'error',
+                    `Asks for ${years} years of ${mention.name}, which was released in ${released} (${age} years ago)`, {
+                        field: 'requiredSkills',
+                        span: { start: match.index, end: tailStart + mention.end, text: text.slice(match.index, tailStart + mention.end) },
+                        suggestion: `Ask for at most ${age} years of ${mention.name}, or state the years as general experience`
+                    }));
+            }
+        }
+
+        return findings;
+    }
+
+    checkLevelExperience(job) {
+        const min = job.yearsExperience?.min;
+        if (typeof min !== 'number') return [];
+
+        if (job.level === 'junior' && min >= 4) {
+            return [this.finding('level-experience-mismatch', 'warning', `A junior role asking for ${min}+ years of experience`, {
+                field: 'yearsExperience',
+                suggestion: 'Lower the experience requirement or retitle the role as mid-level'
+            })];
+        }
+        const max = job.yearsExperience.max;
+        if ((job.level === 'lead' || job.level === 'principal') && typeof max === 'number' && max <= 3) {
+            return [this.finding('level-experience-mismatch', 'warning', `A ${job.level} role asking for only ${min}-${max} years`, {
+                field: 'yearsExperience',
+                suggestion: 'Check the level or the experience range'
+            })];
+        }
+        return [];
+    }
+
+    checkSalary(job) {
+        const status = job.salaryNormalized?.status || (job.salary ? 'stated' : 'unspecified');
+        if (status === 'stated' || status === 'unconvertible') return [];
+
+        const state = job.location?.state;
+        const covered = PAY_TRANSPARENCY_STATES.includes(state) || job.location?.type === 'remote';
+        const where = PAY_TRANSPARENCY_STATES.includes(state)
+            ? `${state} requires a pay range in job postings`
+            : 'remote roles can be filled from states that require a pay range in postings';
+
+        return [this.finding('missing-salary', covered ? 'error' : 'warning',
+            status === 'negotiable'
+                ? `Salary is "${job.salaryNormalized.note}" with no figures${covered ? `; ${where}` : ''}`
+                : `No salary range stated${covered ? `; ${where}` : ''}`, {
+                field: 'salary',
+                suggestion: 'State a good-faith salary or hourly rate range, e.g. "$140,000 - $170,000 per year"'
+            })];
+    }
+
+    checkLocationConsistency(text, job) {
+        const remote = REMOTE_ONLY_PATTERN.exec(text);
+        const onsite = ONSITE_PATTERN.exec(text);
+        const findings = [];
+
+        if (remote && onsite) {
+            findings.push(this.finding('contradictory-location', 'warning',
+                `Says "${remote[0]}" and also "${onsite[0]}"`, {
+                    field: 'location.type',
+                    span: { start: onsite.index, end: onsite.index + onsite[0].length, text: onsite[0] },
+                    suggestion: 'Pick one arrangement; if some office time is expected, describe the role as hybrid and say how often'
+                }));
+        } else if (onsite && job.location?.type === 'remote') {
+            findings.push(this.finding('contradictory-location', 'warning',
+                `Listed as remote but says "${onsite[0]}"`, {
+                    field: 'location.type',
+                    span: { start: onsite.index, end: onsite.index + onsite[0].length, text: onsite[0] },
+                    suggestion: 'Describe the role as hybrid or onsite, or drop the office requirement'
+                }));
+        }
+
+        return findings;
+    }
+
+    // Long must-have lists deter applicants; skills implied by another requirement are redundant
+    checkRequiredSkillCount(job) {
+        const required = job.requiredSkills || [];
+        if (required.length <= this.maxRequiredSkills) return [];
+
+        const ids = required.map(skill => this.taxonomy.canonicalize(skill));
+        const redundant = required.filter((skill, index) => ids.some((other, otherIndex) =>
+            otherIndex !== index &&
+            this.skillGraph.getImpliedSkills(other, { transitive: false, minWeight: 0.9 }).some(implied => implied.id === ids[index])
+        ));
+
+        return [this.finding('too-many-required-skills', 'warning',
+            `${required.length} required skills (more than ${this.maxRequiredSkills})`, {
+                field: 'requiredSkills',
+                suggestion: redundant.length > 0
+                    ? `Drop skills implied by others (${redundant.join(', ')}) and move the rest of the nice-to-haves to preferred skills`
+                    : `Keep the ${this.maxRequiredSkills} that matter most and move the rest to preferred skills`
+            })];
+    }
+
+    summarize(findings) {
+        const count = severity => findings.filter(finding => finding.severity === severity).length;
+        const penalty = findings.reduce((sum, finding) => sum + SEVERITY_PENALTY[finding.severity], 0);
+
+        return {
+            score: Math.max(0, 100 - penalty),
+            errors: count('error'),
+            warnings: count('warning'),
+            info: count('info'),
+            ready: count('error') === 0
+        };
+    }
+
+    // One LLM call that rewrites every flagged line; rule-based rewrites are kept on failure
+    async addLLMRewrites(jobDescription, findings) {
+        if (!this.llmClient) {
+            await this.parser.initializeLLM();
+            this.llmClient = this.parser.llmClient;
+        }
+        if (!this.llmClient) {
+            console.warn('⚠️  LLM client not available, keeping rule-based rewrites');
+            return findings;
+        }
+
+        const flagged = findings.filter(finding => finding.span);
+        const items = flagged.map(finding => ({
+            id: finding.id,
+            line: lineAround(jobDescription, finding.span).text.trim(),
+            problem: finding.message,
+            suggestion: finding.suggestion
+        }));
+        if (items.length === 0) return findings;
+
+        const prompt = renderPrompt('posting-rewrite', { items: JSON.stringify(items, null, 2) });
+
+        try {
+            const { text } = await this.llmClient.complete(prompt.text, { promptVersion: prompt.id });
+            const rewrites = extractJson(text, 'array');
+            for (const { id, rewrite } of rewrites) {
+                const finding = findings.find(candidate => candidate.id === id);
+                if (finding && typeof rewrite === 'string' && rewrite.trim()) {
+                    finding.rewrite = rewrite.trim();
+                    finding.rewriteSource = 'llm';
+                    finding.rewritePrompt = prompt.id;
+                }
+            }
+        } catch (error) {
+            console.warn(`⚠️  LLM rewrites failed (${error.message}), keeping rule-based rewrites`);
+        }
+
+        return findings;
+    }
+}
+
+// Console lines for a lint report, most severe first
+function formatLintReport(report, limit = 10) {
+    const icons = { error: '❌', warning: '⚠️ ', info: 'ℹ️ ' };
+    const { summary } = report;
+    const lines = [`🧹 Posting quality: ${summary.score}/100 (${summary.errors} errors, ${summary.warnings} warnings, ${summary.info} info)`];
+
+    for (const finding of report.findings.slice(0, limit)) {
+        lines.push(`   ${icons[finding.severity]} [${finding.rule}] ${finding.message}`);
+        if (finding.suggestion) lines.push(`      💡 ${finding.suggestion}`);
+        if (finding.rewrite) lines.push(`      ✏️  ${finding.rewrite}`);
+    }
+    if (report.findings.length > limit) {
+        lines.push(`   ... and ${report.findings.length - limit} more`);
+    }
+
+    return lines;
+}
+
+export { JobDescriptionLinter, formatLintReport, SEVERITIES, PAY_TRANSPARENCY_STATES };
@@ -1,18 +1,19 @@
 // src/main.js - Simple entry point for AI job parsing
+// Usage: node src/main.js [path/to/posting.html|.pdf|.docx|.txt]
 
 import { JobRequirementsParser } from './parsers/job-parser.js';
 import sampleJobs from '../tests/sample-jobs.js';
 
 async function main() {
     try {
-        // Get the single job description
-        const jobDescription = sampleJobs.jobDescription;
-        
         // Create parser instance
         const parser = new JobRequirementsParser();
         
-        // Parse job description with AI
-        const result = await parser.parseJobDescription(jobDescription);
+        // Parse the posting file given on the command line, or the bundled sample
+        const jobFile = process.argv[2];
+        const result = jobFile
+            ? await parser.parseJobFile(jobFile)
+            : await parser.parseJobDescription(sampleJobs.jobDescription);
         
         // Output structured JSON
         console.log(JSON.stringify(result, null, 2));
@@ -0,0 +1,132 @@
+// src/matching/employment-fit.js
+
+// Candidate filtering and score adjustments driven by the parsed job's `employment` terms.
+// GitHub profiles only tell us a free-text location, so the checks are deliberately
+// conservative: a candidate is excluded only when the location is clearly outside the US
+// and the role cannot take them (no visa sponsorship, or a clearance is required).
+// Unknown or empty locations are kept and flagged for a recruiter to verify.
+
+const US_STATE_NAMES = [
+    'Alabama', 'Alaska', 'Arizona', 'Arkansas', 'California', 'Colorado', 'Connecticut', 'Delaware',
+    'Florida', 'Georgia', 'Hawaii', 'Idaho', 'Illinois', 'Indiana', 'Iowa', 'Kansas', 'Kentucky',
+    'Louisiana', 'Maine', 'Maryland', 'Massachusetts', 'Michigan', 'Minnesota', 'Mississippi',
+    'Missouri', 'Montana', 'Nebraska', 'Nevada', 'New Hampshire', 'New Jersey', 'New Mexico',
+    'New York', 'North Carolina', 'North Dakota', 'Ohio', 'Oklahoma', 'Oregon', 'Pennsylvania',
+    'Rhode Island', 'South Carolina', 'South Dakota', 'Tennessee', 'Texas', 'Utah', 'Vermont',
+    'Virginia', 'Washington', 'West Virginia', 'Wisconsin', 'Wyoming'
+];
+
+const US_STATE_CODES = [
+    'AL', 'AK', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DE', 'FL', 'GA', 'HI', 'ID', 'IL', 'IN', 'IA',
+    'KS', 'KY', 'LA', 'ME', 'MD', 'MA', 'MI', 'MN', 'MS', 'MO', 'MT', 'NE', 'NV', 'NH', 'NJ',
+    'NM', 'NY', 'NC', 'ND', 'OH', 'OK', 'OR', 'PA', 'RI', 'SC', 'SD', 'TN', 'TX', 'UT', 'VT',
+    'VA', 'WA', 'WV', 'WI', 'WY', 'DC'
+];
+
+const US_CITIES = [
+    'San Francisco', 'SF Bay Area', 'Bay Area', 'Silicon Valley', 'NYC', 'Brooklyn', 'Seattle',
+    'Boston', 'Austin', 'Chicago', 'Los Angeles', 'Denver', 'Atlanta', 'Portland', 'San Diego',
+    'San Jose', 'Mountain View', 'Palo Alto', 'Pittsburgh', 'Philadelphia', 'Raleigh'
+];
+
+const NON_US_PLACES = [
+    'Canada', 'Toronto', 'Vancouver', 'Montreal', 'Ontario', 'Mexico', 'Brazil', 'São Paulo', 'Argentina',
+    'United Kingdom', 'UK', 'England', 'Scotland', 'London', 'Ireland', 'Dublin', 'Germany', 'Berlin',
+    'Munich', 'Deutschland', 'France', 'Paris', 'Netherlands', 'Amsterdam', 'Spain', 'Madrid',
+    'Barcelona', 'Italy', 'Portugal', 'Lisbon', 'Poland', 'Warsaw', 'Ukraine', 'Kyiv', 'Russia',
+    'Moscow', 'Sweden', 'Stockholm', 'Norway', 'Denmark', 'Finland', 'Switzerland', 'Zurich',
+    'Austria', 'Vienna', 'Czech', 'Prague', 'Romania', 'Turkey', 'Istanbul', 'Israel', 'Tel Aviv',
+    'Egypt', 'Nigeria', 'Lagos', 'Kenya', 'Nairobi', 'South Africa', 'India', 'Bangalore',
+    'Bengaluru', 'Mumbai', 'Delhi', 'Hyderabad', 'Pune', 'Chennai', 'Pakistan', 'Bangladesh',
+    'China', 'Beijing', 'Shanghai', 'Shenzhen', 'Hangzhou', 'Hong Kong', 'Taiwan', 'Taipei',
+    'Japan', 'Tokyo', 'Korea', 'Seoul', 'Singapore', 'Vietnam', 'Indonesia', 'Philippines',
+    'Malaysia', 'Thailand', 'Australia', 'Sydney', 'Melbourne', 'New Zealand', 'Latin America',
+    'South America', 'Central America', 'Tbilisi'
+];
+
+// State names that are also countries; on their own they say nothing, "Georgia, USA" and
+// "Atlanta, GA" are caught by the code patterns
+const AMBIGUOUS_STATE_NAMES = ['Georgia'];
+
+function wordPattern(words, flags) {
+    return new RegExp(`\\b(${words.map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})\\b`, flags);
+}
+
+const US_PATTERN = wordPattern([
+    'United States', 'United States of America',
+    ...US_STATE_NAMES.filter(name => !AMBIGUOUS_STATE_NAMES.includes(name)),
+    ...US_CITIES
+], 'gi');
+const US_CODE_PATTERN = /\b(USA|U\.S\.A?\.?|US)(?![A-Za-z])/g;
+const US_STATE_CODE_PATTERN = new RegExp(`,\\s*(${US_STATE_CODES.join('|')})\\b`, 'g');
+const NON_US_PATTERN = wordPattern(NON_US_PLACES, 'i');
+
+// 'us', 'non-us' or 'unknown' for a free-text GitHub location
+function classifyLocation(location) {
+    if (!location || !location.trim()) return 'unknown';
+
+    // Remove US places first so "New Mexico" or "Paris, TX" do not read as abroad
+    let rest = location;
+    let us = false;
+    for (const pattern of [US_STATE_CODE_PATTERN, US_CODE_PATTERN, US_PATTERN]) {
+        rest = rest.replace(pattern, () => {
+            us = true;
+            return ' ';
+        });
+    }
+    const nonUs = NON_US_PATTERN.test(rest);
+
+    if (nonUs && !us) return 'non-us';
+    if (us && !nonUs) return 'us';
+    return 'unknown';
+}
+
+// Eligibility and score adjustment for one candidate against the job's employment terms
+function assessEmploymentFit(candidate, jobRequirements) {
+    const employment = jobRequirements.employment;
+    const region = classifyLocation(candidate.location);
+    const fit = { eligible: true, region, adjustment: 0, reasons: [], flags: [] };
+
+    if (!employment) {
+        return fit;
+    }
+
+    // Security clearances are only granted to US citizens
+    const needsUsWorker = employment.visaSponsorship === false || Boolean(employment.clearance);
+
+    if (needsUsWorker && region === 'non-us') {
+        fit.eligible = false;
+        fit.reasons.push(employment.clearance
+            ? `Located outside the US; the role requires a ${employment.clearance} clearance`
+            : 'Located outside the US; the role offers no visa sponsorship');
+    } else if (needsUsWorker && region === 'unknown') {
+        fit.flags.push('Work authorization unverified: location unknown');
+    } else if (needsUsWorker && region === 'us') {
+        fit.adjustment += 5;
+    }
+
+    if (employment.clearance && region !== 'non-us') {
+        fit.flags.push(`Requires ${employment.clearance} clearance`);
+    }
+
+    return fit;
+}
+
+// Attach `employmentFit` to every candidate and split them into eligible and excluded
+function filterByEmploymentTerms(candidates, jobRequirements) {
+    const eligible = [];
+    const excluded = [];
+
+    for (const candidate of candidates) {
+        const employmentFit = assessEmploymentFit(candidate, jobRequirements);
+        (employmentFit.eligible ? eligible : excluded).push({ ...candidate, employmentFit });
+    }
+
+    if (excluded.length > 0) {
+        console.log(`🚫 Excluded ${excluded.length} candidates on employment terms (${excluded[0].employmentFit.reasons[0]})`);
+    }
+
+    return { eligible, excluded };
+}
+
+export { classifyLocation, assessEmploymentFit, filterByEmploymentTerms };
@@ -0,0 +1,120 @@
+// src/parsers/batch-parser.js
+
+import crypto from 'crypto';
+import path from 'path';
+import { JobRequirementsParser } from './job-parser.js';
+import { getDefaultedFields } from './provenance.js';
+import { loadJobDocument } from '../ingest/job-document-loader.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+
+// Parses many job descriptions with bounded concurrency. Each item is either
+// { id, text, source } or { id, filePath }; failures are recorded per item and
+// never abort the batch. Identical postings (ignoring case and whitespace) are parsed once.
+// LLM calls queue at 'background' priority so interactive work goes first; options.signal
+// cancels the items still running or waiting.
+class BatchJobParser {
+    constructor(options = {}) {
+        this.parser = options.parser || new JobRequirementsParser(null, { priority: 'background', ...options.parserOptions });
+        this.signal = options.signal;
+        this.concurrency = options.concurrency || 4;
+        this.onProgress = options.onProgress || null;
+    }
+
+    fingerprint(text) {
+        const normalized = text.toLowerCase().replace(/\s+/g, ' ').trim();
+        return crypto.createHash('sha256').update(normalized).digest('hex');
+    }
+
+    async parseAll(items) {
+        const startTime = Date.now();
+        let completed = 0;
+
+        const report = result => {
+            completed++;
+            if (this.onProgress) {
+                this.onProgress(completed, items.length, result);
+            }
+            return result;
+        };
+
+        // Load every document first so duplicates are resolved in input order
+        const documents = await mapWithConcurrency(items, this.concurrency, async (item, index) => {
+            const id = item.id || (item.filePath ? path.basename(item.filePath) : `job-${index + 1}`);
+            try {
+                const document = item.filePath
+                    ? await loadJobDocument(item.filePath)
+                    : { text: item.text, source: item.source };
+
+                if (typeof document.text !== 'string' || !document.text.trim()) {
+                    throw new Error('Empty job description');
+                }
+
+                return { id, ...document, fingerprint: this.fingerprint(document.text) };
+            } catch (error) {
+                return { id, error };
+            }
+        });
+
+        const firstSeen = new Map(); // fingerprint -> id of the first item with that text
+        for (const document of documents) {
+            if (document.error) continue;
+            if (firstSeen.has(document.fingerprint)) {
+                document.duplicateOf = firstSeen.get(document.fingerprint);
+            } else {
+                firstSeen.set(document.fingerprint, document.id);
+            }
+        }
+
+        const results = await mapWithConcurrency(documents, this.concurrency, async (document) => {
+            const { id, fingerprint } = document;
+
+            if (document.error) {
+                return report({ id, status: 'failed', error: { name: document.error.name, message: document.error.message }, durationMs: 0 });
+            }
+            if (document.duplicateOf) {
+                return report({ id, status: 'duplicate', duplicateOf: document.duplicateOf, fingerprint, durationMs: 0 });
+            }
+
+            const itemStart = Date.now();
+            try {
+                const job = await this.parser.parseJobDescription(document.text, { source: document.source, signal: this.signal });
+                return report({ id, status: 'parsed', fingerprint, job, durationMs: Date.now() - itemStart });
+            } catch (error) {
+                return report({ id, status: 'failed', fingerprint, error: { name: error.name, message: error.message }, durationMs: Date.now() - itemStart });
+            }
+        });
+
+        return {
+            results,
+            summary: this.summarize(results, Date.now() - startTime)
+        };
+    }
+
+    summarize(results, durationMs) {
+        const byStatus = status => results.filter(result => result.status === status);
+        const parsed = byStatus('parsed');
+        const defaultedCounts = {};
+
+        for (const result of parsed) {
+            for (const field of getDefaultedFields(result.job.provenance)) {
+                defaultedCounts[field] = (defaultedCounts[field] || 0) + 1;
+            }
+        }
+
+        return {
+            total: results.length,
+            parsed: parsed.length,
+            failed: byStatus('failed').length,
+            duplicates: byStatus('duplicate').length,
+            durationMs,
+            concurrency: this.concurrency,
+            mostDefaultedFields: Object.entries(defaultedCounts)
+                .map(([field, count]) => ({ field, count, percentage: Math.round(count / parsed.length * 100) }))
+                .sort((a, b) => b.count - a.count),
+            failures: byStatus('failed').map(result => ({ id: result.id, error: result.error.message })),
+            duplicateGroups: byStatus('duplicate').map(result => ({ id: result.id, duplicateOf: result.duplicateOf }))
+        };
+    }
+}
+
+export { BatchJobParser };
@@ -0,0 +1,142 @@
+// src/parsers/employment-terms.js
+
+// Employment terms as Dice requisitions state them: "Contract - W2", "Corp-to-Corp",
+// "6 month contract", "Active TS/SCI required", "No sponsorship available".
+// Fields the posting does not mention stay null (or [] for tax terms); the employment type is
+// only inferred for hourly W2/C2C/1099 work.
+
+const EMPLOYMENT_TYPES = ['full-time', 'part-time', 'contract', 'contract-to-hire', 'internship'];
+const TAX_TERMS = ['W2', 'C2C', '1099'];
+const CLEARANCE_LEVELS = ['public-trust', 'secret', 'top-secret', 'ts-sci'];
+
+// Checked in order: the first type whose pattern matches wins. "Contract" only counts when it
+// is about the position ("contract role", "6 month contract", "Contract - W2"), so "smart
+// contract tooling" in a full-time posting is not a contract.
+const CONTRACT_PATTERN = new RegExp([
+    '\\bcontract(?:or)?\\s+(?:role|position|job|assignment|opportunity|engagement|basis|work)\\b',
+    '\\bon (?:a )?contract\\b',
+    '\\b(?:\\d{1,2}\\+?\\s*[- ]?(?:months?|mos?|years?|yrs?)|long[- ]term|short[- ]term|W-?2|C2C|1099|hourly|independent)\\s+contract(?:or)?\\b',
+    '^[\\s*#>-]*contract(?:or)?\\b\\s*(?:[-–:/(,]|W-?2\\b|C2C\\b|1099\\b|$)',
+    '\\b(?:C2C|corp[- ]to[- ]corp|1099|freelance)\\b'
+].join('|'), 'im');
+
+const EMPLOYMENT_TYPE_PATTERNS = [
+    ['contract-to-hire', /\b(contract[- ]to[- ]hire|contract to perm(anent)?|temp[- ]to[- ]perm|C2H|CTH)\b/i],
+    ['contract', CONTRACT_PATTERN],
+    ['internship', /\b(internship|intern)\b/i],
+    ['part-time', /\bpart[- ]time\b/i],
+    ['full-time', /\b(full[- ]time|FTE|permanent|direct[- ]hire)\b/i]
+];
+
+const TAX_TERM_PATTERNS = {
+    W2: /\bW-?2\b/i,
+    C2C: /\b(C2C|corp[- ]?(to|2)[- ]?corp)\b/i,
+    1099: /\b1099\b/
+};
+
+const CLEARANCE_PATTERNS = [
+    ['ts-sci', /\b(TS\s*\/\s*SCI|top secret\s*\/\s*SCI|TS-SCI)\b/i],
+    ['top-secret', /\b(top secret|TS clearance)\b/i],
+    ['secret', /\bsecret\b[^.\n]{0,20}\bclearance\b|\b(active|DoD|interim) secret\b/i],
+    ['public-trust', /\bpublic trust\b/i]
+];
+
+const NO_SPONSORSHIP = /\b(no|not|unable to|cannot|can't|won't|will not|does not|do not|doesn't)\b[^.\n]{0,40}\bsponsor|\bwithout (?:the need for )?(?:visa )?sponsorship\b|\b(USC|US citizens?|GC|green card holders?)\s*(?:\/|,|and|or)\s*(GC|green card holders?|USC|EAD)\b[^.\n]{0,20}\bonly\b|\b(US citizens?|USC) only\b/i;
+const SPONSORSHIP = /\b(visa sponsorship (?:is )?(?:available|provided|offered)|will sponsor|sponsorship (?:is )?(?:available|provided|offered)|H-?1B (?:transfers?|sponsorship|candidates)? ?(?:are )?(?:available|ok|okay|welcome|accepted))\b/i;
+
+// A tax term listed as excluded ("No C2C", "C2C not accepted") is not offered
+function mentionedPositively(text, pattern) {
+    const global = new RegExp(pattern.source, pattern.flags.includes('g') ? pattern.flags : pattern.flags + 'g');
+    let match;
+    while ((match = global.exec(text)) !== null) {
+        const before = text.slice(Math.max(0, match.index - 12), match.index);
+        const after = text.slice(match.index + match[0].length, match.index + match[0].length + 30);
+        if (!/\b(no|not|without)\s*$/i.test(before) && !/^\s*(is\s+|are\s+)?(not|no)\b/i.test(after)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+function toMonths(count, unit) {
+    return /^y/i.test(unit) ? count * 12 : count;
+}
+
+// "No C2C" does not make a full-time posting a contract
+function extractEmploymentType(text) {
+    const found = EMPLOYMENT_TYPE_PATTERNS.find(([, pattern]) => mentionedPositively(text, pattern));
+    return found ? found[0] : null;
+}
+
+function extractTaxTerms(text) {
+    return TAX_TERMS.filter(term => mentionedPositively(text, TAX_TERM_PATTERNS[term]));
+}
+
+// "6 month contract", "Duration: 12 months", "1 year assignment", "6+ months"
+function extractContractLength(text) {
+    const unit = '(months?|mos?|years?|yrs?)';
+    const afterLabel = text.match(new RegExp(`\\b(?:duration|contract length|length of contract|term)\\s*:?\\s*(\\d{1,2})\\s*\\+?\\s*[- ]?${unit}\\b`, 'i'));
+    const beforeNoun = text.match(new RegExp(`\\b(\\d{1,2})\\s*\\+?\\s*[- ]?${unit}\\s*(?:\\+\\s*)?(?:W-?2\\s+|C2C\\s+)?(?:contract|assignment|engagement|project)\\b`, 'i'));
+    const bare = text.match(new RegExp(`^\\s*(\\d{1,2})\\s*\\+?\\s*${unit}\\s*$`, 'i'));
+    const match = afterLabel || beforeNoun || bare;
+    return match ? toMonths(parseInt(match[1], 10), match[2]) : null;
+}
+
+function extractClearance(text) {
+    if (/\bno (security )?clearance (is )?required\b/i.test(text)) return null;
+    const found = CLEARANCE_PATTERNS.find(([, pattern]) => pattern.test(text));
+    return found ? found[0] : null;
+}
+
+// true / false when the posting says so, null when it is silent
+function extractVisaSponsorship(text) {
+    if (NO_SPONSORSHIP.test(text)) return false;
+    if (SPONSORSHIP.test(text)) return true;
+    return null;
+}
+
+// `labelled` holds label lines from the posting ("employment type" -> "Contract - W2"),
+// which take precedence over mentions elsewhere in the text
+function extractEmploymentTerms(text, labelled = {}) {
+    const typeText = labelled['employment type'] || labelled['job type'] || labelled['position type'] || '';
+
+    return {
+        type: extractEmploymentType(typeText) || extractEmploymentType(text),
+        taxTerms: extractTaxTerms(`${typeText}\n${text}`),
+        contractLengthMonths: extractContractLength(labelled.duration || labelled['contract length'] || text),
+        clearance: extractClearance(labelled.clearance || text),
+        visaSponsorship: extractVisaSponsorship(text)
+    };
+}
+
+// A posting that names no employment type but takes W2, C2C or 1099 and pays by the hour is
+// a contract; anything else stays null rather than being guessed
+function inferEmploymentType(employment, salary) {
+    if (!employment || employment.type) return employment?.type ?? null;
+    return employment.taxTerms?.length > 0 && salary?.period === 'hourly' ? 'contract' : null;
+}
+
+// One-line summary for logs, e.g. "contract (W2), 6 months, ts-sci clearance, no sponsorship"
+function formatEmploymentTerms(employment) {
+    if (!employment) return 'Not stated';
+
+    const type = employment.type || 'type not stated';
+    const parts = [employment.taxTerms?.length > 0 ? `${type} (${employment.taxTerms.join('/')})` : type];
+    if (employment.contractLengthMonths) parts.push(`${employment.contractLengthMonths} months`);
+    if (employment.clearance) parts.push(`${employment.clearance} clearance`);
+    if (employment.visaSponsorship === true) parts.push('visa sponsorship available');
+    if (employment.visaSponsorship === false) parts.push('no sponsorship');
+    return parts.join(', ');
+}
+
+export {
+    extractEmploymentTerms,
+    inferEmploymentType,
+    formatEmploymentTerms,
+    EMPLOYMENT_TYPES,
+    TAX_TERMS,
+    CLEARANCE_LEVELS,
+    EMPLOYMENT_TYPE_PATTERNS,
+    TAX_TERM_PATTERNS,
+    CLEARANCE_PATTERNS
+};
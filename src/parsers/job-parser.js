@@ -1,44 +1,40 @@
 // src/parsers/job-parser.js
 
+import { JOB_EXTRACTION_SCHEMA, validateJobRequirements } from './job-schema.js';
+import { buildProvenance, overallConfidence } from './provenance.js';
+import { inferEmploymentType } from './employment-terms.js';
+import { RuleBasedJobParser } from './rule-based-parser.js';
+import { normalizePeriod, normalizeSalary } from './salary.js';
+import { getPromptRegistry } from '../prompts/prompt-registry.js';
+import { getSkillGraph } from '../skills/skill-graph.js';
+import { getSkillTaxonomy } from '../skills/skill-taxonomy.js';
+import { formatValidationErrors, SchemaValidationError } from '../utils/json-schema.js';
+import { LLMError } from '../utils/llm-errors.js';
+import { generateStructured } from '../utils/structured-output.js';
+
+// 'ai' requires an LLM, 'rules' never calls one, 'auto' uses the LLM and falls back to rules
+// when no client can be created or the LLM call fails
+const PARSER_MODES = ['ai', 'rules', 'auto'];
+
+const CRITICAL_SKILLS_SCHEMA = { type: 'array', items: { type: 'string', minLength: 1 } };
+
 class JobRequirementsParser {
-    constructor(llmClient = null) {
+    constructor(llmClient = null, options = {}) {
         // Lazy initialization to avoid circular dependency
         this.llmClient = llmClient;
-        this.extractionPrompt = `
-You are an expert job requirements analyzer. Parse the following job description and extract structured information.
-
-Return a JSON object with the following structure:
-{
-    "title": "exact job title",
-    "level": "junior|mid|senior|lead|principal",
-    "yearsExperience": {
-        "min": number,
-        "max": number
-    },
-    "location": {
-        "type": "remote|hybrid|onsite",
-        "city": "city name or null",
-        "state": "state or null",
-        "country": "country or USA"
-    },
-    "salary": {
-        "min": number,
-        "max": number,
-        "currency": "USD",
-        "period": "yearly|hourly"
-    },
-    "requiredSkills": ["skill1", "skill2"],
-    "preferredSkills": ["skill1", "skill2"],
-    "benefits": ["benefit1", "benefit2"],
-    "companyInfo": {
-        "name": "company name",
-        "size": "startup|small|medium|large|enterprise",
-        "industry": "industry name"
-    }
-}
-
-Job Description:
-`;
+        this.mode = options.mode || process.env.JOB_PARSER_MODE || 'ai';
+        if (!PARSER_MODES.includes(this.mode)) {
+            throw new Error(`Unknown parser mode "${this.mode}". Expected one of: ${PARSER_MODES.join(', ')}`);
+        }
+        this.ruleParser = new RuleBasedJobParser();
+        // How many times the model is asked to fix a response that fails schema validation
+        this.maxRepairAttempts = options.maxRepairAttempts ?? 2;
+        // Provider settings for the lazily created LLMClient, e.g. { provider: 'local', model: 'llama3.1' }
+        this.llmConfig = options.llm || {};
+        // Prompt versions by name, e.g. { 'job-extraction': 2 }; unlisted prompts use their latest version
+        this.promptVersions = options.prompts || {};
+        // Queue priority of this parser's LLM calls: 'interactive', 'normal' or 'background' (batch work)
+        this.priority = options.priority || 'normal';
     }
 
     // Initialize LLM client when needed
@@ -47,7 +43,7 @@ Job Description:
             try {
                 // Dynamic import to avoid circular dependency
                 const { LLMClient } = await import('../utils/llm-client.js');
-                this.llmClient = new LLMClient();
+                this.llmClient = new LLMClient(this.llmConfig);
             } catch (error) {
                 console.warn('LLM client not available, using fallback parsing');
                 this.llmClient = null;
@@ -55,54 +51,149 @@ Job Description:
         }
     }
 
-    async parseJobDescription(jobDescription) {
+    // options.source describes where the text came from (see loadJobDocument) and is copied onto the result;
+    // options.signal cancels the LLM calls and options.priority overrides the parser's queue priority
+    async parseJobDescription(jobDescription, options = {}) {
+        const result = await this.parseByMode(jobDescription, options);
+        
+        if (options.source) {
+            result.source = options.source;
+        }
+        
+        return result;
+    }
+
+    // Parse a saved posting (HTML, PDF, DOCX, text) from disk
+    async parseJobFile(filePath) {
+        const { loadJobDocument } = await import('../ingest/job-document-loader.js');
+        const document = await loadJobDocument(filePath);
+        return this.parseJobDescription(document.text, { source: document.source });
+    }
+
+    async parseByMode(jobDescription, options = {}) {
+        if (this.mode === 'rules') {
+            return this.parseWithRules(jobDescription);
+        }
+        
         await this.initializeLLM();
         
         if (!this.llmClient) {
+            if (this.mode === 'auto') {
+                console.warn('⚠️  LLM client not available, using rule-based parsing');
+                return this.parseWithRules(jobDescription, 'LLM client not available');
+            }
             throw new Error('LLM client not available. AI-based parsing is required.');
         }
         
-        return await this.parseWithAI(jobDescription);
-    }
-
-    async parseWithAI(jobDescription) {
         try {
-            const prompt = this.extractionPrompt + jobDescription;
-            const response = await this.llmClient.generateResponse(prompt);
-            
-            // Clean response and parse JSON
-            const cleanedResponse = this.cleanJsonResponse(response);
-            const parsed = JSON.parse(cleanedResponse);
-            
-            // Validate and enhance the parsed data
-            return this.validateAndEnhance(parsed, jobDescription);
-            
+            return await this.parseWithAI(jobDescription, options);
         } catch (error) {
-            console.error('AI parsing failed:', error.message);
-            throw new Error(`AI parsing failed: ${error.message}`);
+            // A cancelled parse stays cancelled rather than turning into a rule-based result
+            if (this.mode === 'auto' && error instanceof LLMError && error.kind !== 'aborted') {
+                console.warn(`⚠️  LLM call failed (${error.kind}), using rule-based parsing`);
+                return this.parseWithRules(jobDescription, `${error.kind}: ${error.message}`);
+            }
+            throw error;
         }
     }
 
+    // Per-call LLM options: cancellation signal and queue priority
+    requestControl(options = {}) {
+        return { signal: options.signal, priority: options.priority || this.priority };
+    }
 
+    // Structured completion from the LLM client: { data, completions, ... }. Injected clients
+    // that only implement generateResponse get the same validation and repair loop over their
+    // text and are treated as a real model.
+    async requestStructured(prompt, schema, options) {
+        if (typeof this.llmClient.generateStructured === 'function') {
+            return this.llmClient.generateStructured(prompt, schema, options);
+        }
+        const complete = async nextPrompt => ({ text: await this.llmClient.generateResponse(nextPrompt), origin: 'model' });
+        return generateStructured(complete, prompt, schema, options);
+    }
 
+    // { id, text } of a registered prompt at the version this parser is pinned to
+    renderPrompt(name, variables) {
+        return getPromptRegistry().render(name, variables, this.promptVersions[name]);
+    }
 
+    // `extraction` record for a structured result of `prompt`. provider and model name the
+    // model that actually answered; routing lists the models tried before it.
+    describeExtraction(result, prompt) {
+        const last = result.completions[result.completions.length - 1];
+        const fallback = result.origin === 'fallback-model'
+            ? result
+            : result.completions.find(completion => completion.origin === 'fallback-model');
+        const extraction = { mode: 'ai', origin: fallback ? 'fallback-model' : 'model', prompt: prompt.id };
+        if (last.provider) extraction.provider = last.provider;
+        if (last.model) extraction.model = last.model;
+        if (last.method) extraction.method = last.method;
+        if (fallback) extraction.fallbackReason = fallback.fallbackReason;
+        if (typeof result.confidence === 'number') extraction.confidence = result.confidence;
+        if (result.lowConfidence) extraction.lowConfidence = true;
+        if (result.routing?.attempts.length > 1) extraction.routing = result.routing;
+        return extraction;
+    }
 
-    cleanJsonResponse(response) {
-        // Remove markdown code blocks and extra text
-        let cleaned = response.trim();
-        
-        // Remove markdown code blocks
-        cleaned = cleaned.replace(/```json\s*/g, '').replace(/```\s*/g, '');
-        
-        // Find JSON object boundaries
-        const start = cleaned.indexOf('{');
-        const end = cleaned.lastIndexOf('}');
+    // Deterministic offline parsing, no LLM involved. `fallbackReason` is set when
+    // 'auto' mode lands here because the LLM was unavailable.
+    parseWithRules(jobDescription, fallbackReason = null) {
+        const parsed = this.ruleParser.parse(jobDescription);
+        const result = this.validateAndEnhance(parsed, jobDescription);
+        const errors = validateJobRequirements(result);
         
-        if (start !== -1 && end !== -1) {
-            cleaned = cleaned.substring(start, end + 1);
+        if (errors.length > 0) {
+            throw new SchemaValidationError(
+                `Rule-based parsing produced an invalid job:\n${formatValidationErrors(errors)}`,
+                errors
+            );
         }
         
-        return cleaned;
+        result.extraction = { mode: 'rules', origin: 'rule-based' };
+        if (fallbackReason) {
+            result.extraction.fallbackReason = fallbackReason;
+        }
+        return result;
+    }
+
+    async parseWithAI(jobDescription, options = {}) {
+        try {
+            const prompt = this.renderPrompt('job-extraction', { jobDescription });
+            const completion = await this.requestStructured(prompt.text, JOB_EXTRACTION_SCHEMA, {
+                name: 'record_job_requirements',
+                promptVersion: prompt.id,
+                ...this.requestControl(options),
+                description: 'Record the requirements extracted from the job description',
+                // Defaults and normalization first, so the schema check sees the final job
+                transform: parsed => this.validateAndEnhance(parsed, jobDescription),
+                validate: validateJobRequirements,
+                // Routes with a minConfidence move on when the posting barely supports the answer
+                confidence: job => overallConfidence(job.provenance),
+                repairPrompt: (previousResponse, errors) => this.buildRepairPrompt(prompt, previousResponse, errors),
+                maxRepairAttempts: this.maxRepairAttempts
+            });
+            
+            const result = completion.data;
+            result.extraction = this.describeExtraction(completion, prompt);
+            return result;
+            
+        } catch (error) {
+            console.error('AI parsing failed:', error.message);
+            if (error instanceof SchemaValidationError || error instanceof LLMError) {
+                throw error;
+            }
+            throw new Error(`AI parsing failed: ${error.message}`);
+        }
+    }
+
+    // The extraction instructions again (without the posting), the rejected answer and what was wrong with it
+    buildRepairPrompt(extractionPrompt, previousResponse, errors) {
+        return this.renderPrompt('job-extraction-repair', {
+            instructions: extractionPrompt.text.split('Job Description:')[0].trim(),
+            previousResponse: previousResponse ?? '',
+            validationErrors: formatValidationErrors(errors)
+        }).text;
     }
 
     validateAndEnhance(parsed, originalText) {
@@ -116,104 +207,138 @@ Job Description:
             requiredSkills: [],
             preferredSkills: [],
             benefits: [],
-            companyInfo: { name: null, size: 'medium', industry: 'Technology' }
+            companyInfo: { name: null, size: 'medium', industry: 'Technology' },
+            employment: { type: null, taxTerms: [], contractLengthMonths: null, clearance: null, visaSponsorship: null }
         };
 
-        // Merge with defaults
-        const result = { ...defaults, ...parsed };
+        // Merge with defaults, one level deep so partial nested objects keep their defaults.
+        // Every field filled from defaults is remembered so provenance can flag it.
+        const result = { ...parsed };
+        const defaulted = [];
+        for (const [key, defaultValue] of Object.entries(defaults)) {
+            const nestedDefaults = key !== 'yearsExperience' && this.isPlainObject(defaultValue);
+            if (result[key] === undefined) {
+                result[key] = defaultValue;
+                defaulted.push(...(nestedDefaults ? Object.keys(defaultValue).map(sub => `${key}.${sub}`) : [key]));
+            } else if (nestedDefaults && this.isPlainObject(result[key])) {
+                defaulted.push(...Object.keys(defaultValue).filter(sub => result[key][sub] === undefined).map(sub => `${key}.${sub}`));
+                result[key] = { ...defaultValue, ...result[key] };
+            }
+        }
         
-        // Validate salary range
-        if (result.salary && result.salary.min > result.salary.max) {
-            [result.salary.min, result.salary.max] = [result.salary.max, result.salary.min];
+        // Validate salary range and accept loose period spellings ("per hour", "annual")
+        if (this.isPlainObject(result.salary)) {
+            result.salary.period = normalizePeriod(result.salary.period);
+            if (typeof result.salary.min === 'number' && typeof result.salary.max === 'number' && result.salary.min > result.salary.max) {
+                [result.salary.min, result.salary.max] = [result.salary.max, result.salary.min];
+            }
+        }
+        result.salaryNormalized = normalizeSalary(result.salary, originalText || '');
+
+        // An unstated employment type is only filled in for hourly W2/C2C/1099 work
+        if (this.isPlainObject(result.employment) && !result.employment.type) {
+            result.employment.type = inferEmploymentType(result.employment, result.salary);
+            const index = defaulted.indexOf('employment.type');
+            if (result.employment.type && index !== -1) defaulted.splice(index, 1);
         }
 
         // Validate experience range
-        if (result.yearsExperience.min > result.yearsExperience.max) {
+        if (this.isPlainObject(result.yearsExperience) && typeof result.yearsExperience.max === 'number' &&
+            result.yearsExperience.min > result.yearsExperience.max) {
             [result.yearsExperience.min, result.yearsExperience.max] = [result.yearsExperience.max, result.yearsExperience.min];
         }
 
+        // Per-field confidence and supporting character offsets in the original description
+        result.provenance = buildProvenance(result, originalText, defaulted);
+
         return result;
     }
 
+    isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
     // AI-powered method to identify critical skills from job description
-    async extractCriticalSkills(jobDescription) {
+    async extractCriticalSkills(jobDescription, options = {}) {
+        const { skills } = await this.analyzeCriticalSkills(jobDescription, options);
+        return skills;
+    }
+
+    // { skills, extraction } where extraction.origin says whether the skills came from the
+    // model, a fallback model or the taxonomy-based rule path
+    async analyzeCriticalSkills(jobDescription, options = {}) {
+        const basic = fallbackReason => ({
+            skills: this.extractBasicSkills(jobDescription),
+            extraction: fallbackReason
+                ? { mode: 'rules', origin: 'rule-based', fallbackReason }
+                : { mode: 'rules', origin: 'rule-based' }
+        });
+        
+        if (this.mode === 'rules') {
+            return basic(null);
+        }
+        
         await this.initializeLLM();
         
         if (!this.llmClient) {
+            if (this.mode === 'auto') {
+                return basic('LLM client not available');
+            }
             throw new Error('LLM client not available for skill extraction');
         }
         
-        const prompt = `
-You are an expert technical recruiter. Analyze this job description and identify ONLY the 3-5 most critical technical skills that are absolutely essential for this role.
-
-IMPORTANT: Focus on ADVANCED libraries/frameworks that imply foundational knowledge, not basic programming languages.
-
-For example:
-- If job mentions "Python, pandas, numpy, TensorFlow" → choose "TensorFlow" (implies Python, pandas, numpy)
-- If job mentions "JavaScript, React, Node.js" → choose "React" and "Node.js" (implies JavaScript)
-- If job mentions "Java, Spring, Hibernate" → choose "Spring" (implies Java)
-- If job mentions "SQL, PostgreSQL, AWS" → choose "PostgreSQL" and "AWS" (implies SQL)
-
-Focus on:
-- Advanced ML/AI frameworks (TensorFlow, PyTorch, scikit-learn)
-- Modern web frameworks (React, Vue, Angular, Django, FastAPI)
-- Cloud platforms (AWS, Azure, GCP)
-- Advanced databases (PostgreSQL, MongoDB, Redis)
-- DevOps tools (Docker, Kubernetes, Jenkins)
-
-AVOID basic programming languages unless they are the ONLY requirement.
-
-Job Description:
-${jobDescription}
-
-Return ONLY a JSON array of skill names, no explanations:
-["skill1", "skill2", "skill3", "skill4", "skill5"]
-`;
+        const prompt = this.renderPrompt('critical-skills', { jobDescription });
 
         try {
-            const response = await this.llmClient.generateResponse(prompt);
-            const cleanedResponse = this.cleanJsonResponse(response);
-            const skills = JSON.parse(cleanedResponse);
+            const completion = await this.requestStructured(prompt.text, CRITICAL_SKILLS_SCHEMA, {
+                name: 'record_critical_skills',
+                promptVersion: prompt.id,
+                ...this.requestControl(options),
+                description: 'Record the 3-5 most critical technical skills for the role',
+                // Limit to 5 skills maximum, dropping blanks and non-strings
+                transform: skills => skills
+                    .filter(skill => typeof skill === 'string' && skill.trim().length > 0)
+                    .slice(0, 5),
+                maxRepairAttempts: this.maxRepairAttempts
+            });
             
-            // Validate and limit to 5 skills maximum
-            if (Array.isArray(skills)) {
-                return skills.slice(0, 5).filter(skill => 
-                    typeof skill === 'string' && skill.trim().length > 0
-                );
-            }
-            
-            throw new Error('Invalid skills format returned by AI');
+            return { skills: completion.data, extraction: this.describeExtraction(completion, prompt) };
             
         } catch (error) {
-            console.error('AI skill extraction failed:', error.message);
-            // Fallback to basic skill extraction
-            return this.extractBasicSkills(jobDescription);
+            if (error instanceof LLMError) {
+                if (this.mode !== 'auto' || error.kind === 'aborted') {
+                    throw error;
+                }
+                console.warn(`⚠️  AI skill extraction failed (${error.kind}), using taxonomy matches`);
+                return basic(`${error.kind}: ${error.message}`);
+            }
+            if (!(error instanceof SchemaValidationError)) {
+                throw error;
+            }
+            // The model answered but not with a skill list: use taxonomy matches from the real text
+            console.error('AI skill extraction returned an unusable answer:', error.message);
+            return basic(`unusable model output: ${error.message}`);
         }
     }
 
     // Fallback method for basic skill extraction
     extractBasicSkills(jobDescription) {
-        const skillKeywords = [
-            'python', 'javascript', 'java', 'typescript', 'react', 'vue', 'angular',
-            'node.js', 'express', 'django', 'flask', 'fastapi', 'tensorflow', 'pytorch',
-            'pandas', 'numpy', 'scikit-learn', 'sql', 'postgresql', 'mysql', 'mongodb',
-            'docker', 'kubernetes', 'aws', 'azure', 'gcp', 'machine learning', 'ml',
-            'data science', 'deep learning', 'neural networks', 'mlops', 'ci/cd'
-        ];
-        
-        const lowerDesc = jobDescription.toLowerCase();
-        const foundSkills = skillKeywords.filter(skill => lowerDesc.includes(skill));
+        const taxonomy = getSkillTaxonomy();
+        const foundSkills = taxonomy.extractSkills(jobDescription).map(id => taxonomy.get(id).name);
         
         return foundSkills.slice(0, 5); // Return top 5 found skills
     }
 
-    // Enhanced method to create optimized search queries
-    async generateOptimizedSearchQueries(jobRequirements) {
+    // Enhanced method to create optimized search queries. Pass the `criticalSkills` already
+    // extracted to skip a second LLM call; `options` carries its signal and priority otherwise.
+    async generateOptimizedSearchQueries(jobRequirements, options = {}) {
         let criticalSkills;
         
-        if (jobRequirements.description) {
+        if (jobRequirements.criticalSkills) {
+            criticalSkills = jobRequirements.criticalSkills;
+        } else if (jobRequirements.description) {
             // Use AI to identify critical skills
-            criticalSkills = await this.extractCriticalSkills(jobRequirements.description);
+            criticalSkills = await this.extractCriticalSkills(jobRequirements.description, options);
         } else {
             // Use existing required skills if no description available
             criticalSkills = jobRequirements.requiredSkills.slice(0, 5);
@@ -259,74 +384,19 @@ Return ONLY a JSON array of skill names, no explanations:
         return queries;
     }
 
-    // Helper method to get implied foundational skills
+    // Foundational skills implied by an advanced one (TensorFlow -> python, deep learning, numpy).
+    // Direct, high-weight implications from the skill graph only, so queries stay focused.
     getImpliedSkills(advancedSkill) {
-        const skillMap = {
-            // ML/AI Frameworks
-            'tensorflow': ['python', 'numpy', 'pandas'],
-            'pytorch': ['python', 'numpy', 'pandas'],
-            'scikit-learn': ['python', 'numpy', 'pandas'],
-            'keras': ['python', 'tensorflow'],
-            
-            // Web Frameworks
-            'react': ['javascript', 'html', 'css'],
-            'vue': ['javascript', 'html', 'css'],
-            'angular': ['typescript', 'javascript', 'html', 'css'],
-            'django': ['python', 'sql'],
-            'flask': ['python', 'sql'],
-            'fastapi': ['python', 'sql'],
-            'express': ['javascript', 'node.js'],
-            'spring': ['java', 'sql'],
-            
-            // Cloud Platforms
-            'aws': ['python', 'javascript', 'sql'],
-            'azure': ['python', 'javascript', 'sql'],
-            'gcp': ['python', 'javascript', 'sql'],
-            
-            // Databases
-            'postgresql': ['sql', 'python'],
-            'mongodb': ['javascript', 'python'],
-            'redis': ['python', 'javascript'],
-            
-            // DevOps
-            'docker': ['python', 'javascript', 'bash'],
-            'kubernetes': ['yaml', 'bash', 'python'],
-            'jenkins': ['bash', 'python', 'javascript']
-        };
-        
-        const lowerSkill = advancedSkill.toLowerCase();
-        return skillMap[lowerSkill] || [];
+        return getSkillGraph()
+            .getImpliedSkills(advancedSkill, { transitive: false, minWeight: 0.75 })
+            .slice(0, 3)
+            .map(implied => implied.name.toLowerCase())
+            .map(name => (/\s/.test(name) ? `"${name}"` : name));
     }
 
-    // Helper method to get appropriate language filters
+    // GitHub language qualifiers for repos that evidence the skill; none for unknown skills
     getLanguageFilters(skill) {
-        const languageMap = {
-            // Python-based frameworks
-            'tensorflow': ['language:Python'],
-            'pytorch': ['language:Python'],
-            'scikit-learn': ['language:Python'],
-            'django': ['language:Python'],
-            'flask': ['language:Python'],
-            'fastapi': ['language:Python'],
-            
-            // JavaScript-based frameworks
-            'react': ['language:JavaScript', 'language:TypeScript'],
-            'vue': ['language:JavaScript', 'language:TypeScript'],
-            'angular': ['language:TypeScript', 'language:JavaScript'],
-            'express': ['language:JavaScript'],
-            'node.js': ['language:JavaScript'],
-            
-            // Java-based frameworks
-            'spring': ['language:Java'],
-            
-            // Cloud platforms (multi-language)
-            'aws': ['language:Python', 'language:JavaScript', 'language:Java'],
-            'azure': ['language:Python', 'language:JavaScript', 'language:Java'],
-            'gcp': ['language:Python', 'language:JavaScript', 'language:Java']
-        };
-        
-        const lowerSkill = skill.toLowerCase();
-        return languageMap[lowerSkill] || ['language:JavaScript', 'language:Python', 'language:Java', 'language:TypeScript'];
+        return getSkillGraph().getLanguageQualifiers(skill, { limit: 3 });
     }
 
     // Utility method to create a search query from parsed requirements
@@ -351,5 +421,15 @@ Return ONLY a JSON array of skill names, no explanations:
     }
 }
 
+// One-line description of an `extraction` record for logs, e.g.
+// "fallback-model (local llama3.1; primary failed with auth: ...)"
+function formatExtraction(extraction) {
+    if (!extraction) return 'unknown';
+    
+    const source = [extraction.provider, extraction.model].filter(Boolean).join(' ');
+    const details = [source, extraction.prompt, extraction.fallbackReason ? `fallback after ${extraction.fallbackReason}` : null].filter(Boolean);
+    return details.length > 0 ? `${extraction.origin} (${details.join('; ')})` : extraction.origin;
+}
+
 // Export for use in other modules
-export { JobRequirementsParser };
\ No newline at end of file
+export { JobRequirementsParser, PARSER_MODES, formatExtraction };
\ No newline at end of file
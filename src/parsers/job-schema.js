@@ -0,0 +1,117 @@
+// src/parsers/job-schema.js
+
+import { validateSchema } from '../utils/json-schema.js';
+import { SALARY_PERIODS, SALARY_STATUSES } from './salary.js';
+import { EMPLOYMENT_TYPES, TAX_TERMS, CLEARANCE_LEVELS } from './employment-terms.js';
+
+const JOB_LEVELS = ['junior', 'mid', 'senior', 'lead', 'principal'];
+const LOCATION_TYPES = ['remote', 'hybrid', 'onsite'];
+const COMPANY_SIZES = ['startup', 'small', 'medium', 'large', 'enterprise'];
+
+const nullableString = { type: ['string', 'null'] };
+const nullableAmount = { type: ['number', 'null'], minimum: 0 };
+const stringList = { type: 'array', items: { type: 'string', minLength: 1 } };
+
+// Shape every parsed job must have before it reaches the crawlers and pipelines
+const JOB_REQUIREMENTS_SCHEMA = {
+    type: 'object',
+    required: [
+        'title', 'level', 'yearsExperience', 'location', 'salary', 'salaryNormalized',
+        'requiredSkills', 'preferredSkills', 'benefits', 'companyInfo', 'employment'
+    ],
+    properties: {
+        title: { type: 'string', minLength: 1 },
+        level: { enum: JOB_LEVELS },
+        yearsExperience: {
+            type: 'object',
+            required: ['min', 'max'],
+            properties: {
+                min: { type: 'number', minimum: 0, maximum: 50 },
+                // null for an open-ended requirement ("5+ years")
+                max: { type: ['number', 'null'], minimum: 0, maximum: 50 }
+            }
+        },
+        location: {
+            type: 'object',
+            required: ['type', 'city', 'state', 'country'],
+            properties: {
+                type: { enum: LOCATION_TYPES },
+                city: nullableString,
+                state: nullableString,
+                country: { type: 'string', minLength: 1 }
+            }
+        },
+        salary: {
+            type: ['object', 'null'],
+            required: ['min', 'max', 'currency', 'period'],
+            properties: {
+                min: nullableAmount,
+                max: nullableAmount,
+                currency: { type: 'string', pattern: '^[A-Z]{3}$' },
+                period: { enum: SALARY_PERIODS }
+            }
+        },
+        // Computed by the parser from `salary`: annual figures in the exchange-rate base currency
+        salaryNormalized: {
+            type: 'object',
+            required: ['status', 'min', 'max', 'currency', 'period'],
+            properties: {
+                status: { enum: SALARY_STATUSES },
+                min: nullableAmount,
+                max: nullableAmount,
+                currency: { type: 'string', pattern: '^[A-Z]{3}$' },
+                period: { enum: ['yearly'] }
+            }
+        },
+        requiredSkills: stringList,
+        preferredSkills: stringList,
+        benefits: stringList,
+        companyInfo: {
+            type: 'object',
+            required: ['name', 'size', 'industry'],
+            properties: {
+                name: nullableString,
+                size: { enum: COMPANY_SIZES },
+                industry: nullableString
+            }
+        },
+        employment: {
+            type: 'object',
+            required: ['type', 'taxTerms', 'contractLengthMonths', 'clearance', 'visaSponsorship'],
+            properties: {
+                type: { enum: [...EMPLOYMENT_TYPES, null] },
+                taxTerms: { type: 'array', items: { enum: TAX_TERMS } },
+                contractLengthMonths: { type: ['integer', 'null'], minimum: 1, maximum: 120 },
+                clearance: { enum: [...CLEARANCE_LEVELS, null] },
+                visaSponsorship: { type: ['boolean', 'null'] }
+            }
+        }
+    }
+};
+
+// What the model is asked to return: the job without the fields the parser computes
+const COMPUTED_FIELDS = ['salaryNormalized'];
+const JOB_EXTRACTION_SCHEMA = {
+    type: 'object',
+    required: JOB_REQUIREMENTS_SCHEMA.required.filter(key => !COMPUTED_FIELDS.includes(key)),
+    properties: Object.fromEntries(
+        Object.entries(JOB_REQUIREMENTS_SCHEMA.properties).filter(([key]) => !COMPUTED_FIELDS.includes(key))
+    )
+};
+
+function validateJobRequirements(job) {
+    return validateSchema(job, JOB_REQUIREMENTS_SCHEMA);
+}
+
+export {
+    JOB_REQUIREMENTS_SCHEMA,
+    JOB_EXTRACTION_SCHEMA,
+    JOB_LEVELS,
+    LOCATION_TYPES,
+    COMPANY_SIZES,
+    SALARY_PERIODS,
+    EMPLOYMENT_TYPES,
+    TAX_TERMS,
+    CLEARANCE_LEVELS,
+    validateJobRequirements
+};
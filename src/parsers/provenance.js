@@ -0,0 +1,210 @@
+// src/parsers/provenance.js
+
+import { EMPLOYMENT_TYPE_PATTERNS, TAX_TERM_PATTERNS, CLEARANCE_PATTERNS } from './employment-terms.js';
+
+// Confidence is evidence based: how directly the original posting supports a value.
+const CONFIDENCE = {
+    stated: 0.95,   // value found verbatim in the posting
+    partial: 0.7,   // most of the value's words found on one line of the posting
+    inferred: 0.4,  // value produced by the parser with no supporting text
+    defaulted: 0    // value injected by validateAndEnhance defaults
+};
+
+const LEVEL_PATTERNS = {
+    junior: /\b(junior|jr\.?|entry[- ]level|graduate)\b/i,
+    mid: /\b(mid[- ]?level|intermediate|mid)\b/i,
+    senior: /\b(senior|sr\.?)\b/i,
+    lead: /\b(lead|staff)\b/i,
+    principal: /\b(principal|distinguished)\b/i
+};
+
+const LOCATION_TYPE_PATTERNS = {
+    remote: /\bremote\b/i,
+    hybrid: /\bhybrid\b/i,
+    onsite: /\b(on[- ]?site|in[- ]office|in[- ]person)\b/i
+};
+
+const COUNTRY_PATTERNS = {
+    USA: /\b(USA|U\.S\.A?\.?|US|United States)\b/
+};
+
+const SCALAR_FIELDS = [
+    'title', 'level', 'yearsExperience', 'salary',
+    'location.type', 'location.city', 'location.state', 'location.country',
+    'companyInfo.name', 'companyInfo.size', 'companyInfo.industry',
+    'employment.type', 'employment.taxTerms', 'employment.contractLengthMonths',
+    'employment.clearance', 'employment.visaSponsorship'
+];
+
+const LIST_FIELDS = ['requiredSkills', 'preferredSkills', 'benefits'];
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function spanFromMatch(match) {
+    return { start: match.index, end: match.index + match[0].length, text: match[0] };
+}
+
+function findPattern(text, pattern) {
+    const match = pattern.exec(text);
+    return match ? spanFromMatch(match) : null;
+}
+
+// Case-insensitive verbatim search, respecting word boundaries where the value starts/ends with a word character
+function findLiteral(text, value) {
+    if (typeof value !== 'string' || value.trim().length === 0) return null;
+    const needle = escapeRegExp(value.trim());
+    const prefix = /^\w/.test(value.trim()) ? '\\b' : '';
+    const suffix = /\w$/.test(value.trim()) ? '\\b' : '';
+    return findPattern(text, new RegExp(`${prefix}${needle}${suffix}`, 'i'));
+}
+
+// Fall back to the line that contains most of the value's significant words
+function findPartial(text, value) {
+    if (typeof value !== 'string') return null;
+    const words = value.toLowerCase().split(/[^a-z0-9+#.]+/).filter(word => word.length > 3);
+    if (words.length < 2) return null;
+
+    let offset = 0;
+    for (const line of text.split('\n')) {
+        const lowerLine = line.toLowerCase();
+        const hits = words.filter(word => lowerLine.includes(word)).length;
+        if (hits / words.length >= 0.5) {
+            const leading = line.length - line.trimStart().length;
+            return { start: offset + leading, end: offset + line.trimEnd().length, text: line.trim() };
+        }
+        offset += line.length + 1;
+    }
+    return null;
+}
+
+function numberVariants(value) {
+    const variants = [value.toLocaleString('en-US'), String(value)];
+    if (value >= 1000 && value % 1000 === 0) {
+        variants.push(`${value / 1000}k`, `${value / 1000}K`);
+    }
+    return variants;
+}
+
+function findSalary(text, salary) {
+    const amount = typeof salary?.min === 'number' ? salary.min : salary?.max;
+    if (typeof amount !== 'number') return null;
+    for (const variant of numberVariants(amount)) {
+        const pattern = new RegExp(`\\$?\\s*${escapeRegExp(variant)}(?:\\s*(?:-|–|to)\\s*\\$?\\s*[\\d,.]+[kK]?)?`);
+        const span = findPattern(text, pattern);
+        if (span) return span;
+    }
+    return null;
+}
+
+function findYearsExperience(text, yearsExperience) {
+    if (!yearsExperience || typeof yearsExperience.min !== 'number') return null;
+    const pattern = new RegExp(`\\b${yearsExperience.min}\\s*(?:\\+|(?:-|–|to)\\s*\\d+)?\\s*\\+?\\s*(?:years?|yrs?)\\b`, 'i');
+    return findPattern(text, pattern);
+}
+
+function findListed(text, patterns, value) {
+    const entry = patterns.find(([name]) => name === value);
+    return entry ? findPattern(text, entry[1]) : null;
+}
+
+function locateField(field, value, text) {
+    switch (field) {
+        case 'level':
+            return LEVEL_PATTERNS[value] ? findPattern(text, LEVEL_PATTERNS[value]) : null;
+        case 'yearsExperience':
+            return findYearsExperience(text, value);
+        case 'salary':
+            return findSalary(text, value);
+        case 'location.type':
+            return LOCATION_TYPE_PATTERNS[value] ? findPattern(text, LOCATION_TYPE_PATTERNS[value]) : null;
+        case 'location.country':
+            return COUNTRY_PATTERNS[value] ? findPattern(text, COUNTRY_PATTERNS[value]) : findLiteral(text, value);
+        case 'employment.type':
+            return findListed(text, EMPLOYMENT_TYPE_PATTERNS, value);
+        case 'employment.taxTerms':
+            return Array.isArray(value) && value.length > 0 && TAX_TERM_PATTERNS[value[0]]
+                ? findPattern(text, TAX_TERM_PATTERNS[value[0]])
+                : null;
+        case 'employment.contractLengthMonths':
+            return findPattern(text, /\b\d{1,2}\s*\+?\s*[- ]?(months?|mos?|years?|yrs?)\b/i);
+        case 'employment.clearance':
+            return findListed(text, CLEARANCE_PATTERNS, value);
+        case 'employment.visaSponsorship':
+            return findPattern(text, /\b(sponsor(ship)?|H-?1B|US citizens?|USC|green card)\b/i);
+        default:
+            return findLiteral(text, value);
+    }
+}
+
+function getPath(object, path) {
+    return path.split('.').reduce((current, key) => (current == null ? undefined : current[key]), object);
+}
+
+function describe(value, span, partial, isDefaulted) {
+    if (isDefaulted) {
+        return { value, source: 'defaulted', confidence: CONFIDENCE.defaulted, spans: [] };
+    }
+    if (span) {
+        const kind = partial ? 'partial' : 'stated';
+        return { value, source: 'stated', confidence: CONFIDENCE[kind], spans: [span] };
+    }
+    return { value, source: 'inferred', confidence: CONFIDENCE.inferred, spans: [] };
+}
+
+// Build per-field provenance for a parsed job. Offsets refer to `originalText`.
+function buildProvenance(job, originalText = '', defaultedFields = []) {
+    const text = originalText || '';
+    const defaulted = new Set(defaultedFields);
+    const provenance = {};
+
+    for (const field of SCALAR_FIELDS) {
+        const value = getPath(job, field);
+        if (value === null || value === undefined) {
+            provenance[field] = describe(value ?? null, null, false, defaulted.has(field));
+            continue;
+        }
+        const exact = locateField(field, value, text);
+        const partial = exact ? null : findPartial(text, value);
+        provenance[field] = describe(value, exact || partial, !exact, defaulted.has(field));
+    }
+
+    // List fields carry one entry per item plus a field-level summary
+    for (const field of LIST_FIELDS) {
+        const values = Array.isArray(job[field]) ? job[field] : [];
+        const isDefaulted = defaulted.has(field);
+        const items = values.map(value => {
+            const exact = findLiteral(text, value);
+            const partial = exact ? null : findPartial(text, value);
+            return describe(value, exact || partial, !exact, isDefaulted);
+        });
+        const summary = describe(values, null, false, isDefaulted);
+        if (!isDefaulted && items.length > 0) {
+            summary.source = items.some(item => item.source === 'stated') ? 'stated' : 'inferred';
+            summary.confidence = Math.round(items.reduce((sum, item) => sum + item.confidence, 0) / items.length * 100) / 100;
+        }
+        provenance[field] = { ...summary, items };
+    }
+
+    return provenance;
+}
+
+// Field names whose value came from defaults rather than the posting or the model
+function getDefaultedFields(provenance = {}) {
+    return Object.entries(provenance)
+        .filter(([, entry]) => entry.source === 'defaulted')
+        .map(([field]) => field);
+}
+
+// Mean confidence over the fields the model filled in, 0-1; used to judge a model's extraction.
+// Defaults and empty fields are left out, so a short posting is not held against the model.
+function overallConfidence(provenance = {}) {
+    const scored = Object.values(provenance)
+        .filter(entry => entry.source !== 'defaulted')
+        .filter(entry => entry.value !== null && !(Array.isArray(entry.value) && entry.value.length === 0));
+    if (scored.length === 0) return 0;
+    return Math.round(scored.reduce((sum, entry) => sum + entry.confidence, 0) / scored.length * 100) / 100;
+}
+
+export { buildProvenance, getDefaultedFields, overallConfidence, CONFIDENCE };
@@ -0,0 +1,218 @@
+// src/parsers/rule-based-parser.js
+
+import { extractEmploymentTerms } from './employment-terms.js';
+import { parseSalaryText } from './salary.js';
+import { getSkillTaxonomy } from '../skills/skill-taxonomy.js';
+
+// Deterministic, offline job description parser. Produces the same structure as the
+// AI extraction prompt so its output can go through the same validation and provenance
+// steps. Fields it cannot find are left undefined and get flagged as defaulted later.
+
+const SECTION_PATTERNS = {
+    required: /\b(requirements?|qualifications?|what you('ll)? (need|bring)|must[- ]haves?|required skills)\b/i,
+    preferred: /\b(nice[- ]to[- ]haves?|preferred|bonus( points)?|pluses|good to have)\b/i,
+    benefits: /\b(benefits|perks|what we offer|compensation (and|&) benefits)\b/i,
+    responsibilities: /\b(responsibilities|what you('ll)? do|the role|about the role|duties)\b/i
+};
+
+const US_STATES = new Set([
+    'AL', 'AK', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DE', 'FL', 'GA', 'HI', 'ID', 'IL', 'IN', 'IA',
+    'KS', 'KY', 'LA', 'ME', 'MD', 'MA', 'MI', 'MN', 'MS', 'MO', 'MT', 'NE', 'NV', 'NH', 'NJ',
+    'NM', 'NY', 'NC', 'ND', 'OH', 'OK', 'OR', 'PA', 'RI', 'SC', 'SD', 'TN', 'TX', 'UT', 'VT',
+    'VA', 'WA', 'WV', 'WI', 'WY', 'DC'
+]);
+
+function stripMarkdown(text) {
+    return text.replace(/\*\*|__|`/g, '').replace(/^#+\s*/, '').trim();
+}
+
+class RuleBasedJobParser {
+    constructor(taxonomy = getSkillTaxonomy()) {
+        this.taxonomy = taxonomy;
+    }
+
+    parse(jobDescription) {
+        const lines = jobDescription.split('\n');
+        const sections = this.splitSections(lines);
+        const fields = this.extractLabelledFields(lines);
+
+        const title = this.extractTitle(lines, fields);
+        const yearsExperience = this.extractExperience(sections.required.join('\n') || jobDescription);
+
+        const requiredText = sections.required.join('\n');
+        const preferredText = sections.preferred.join('\n');
+        let requiredSkills = this.extractSkills(requiredText);
+        const preferredSkills = this.extractSkills(preferredText).filter(skill => !requiredSkills.includes(skill));
+        if (requiredSkills.length === 0 && preferredSkills.length === 0) {
+            requiredSkills = this.extractSkills(jobDescription);
+        }
+
+        const parsed = {
+            title,
+            level: this.extractLevel(title, yearsExperience),
+            yearsExperience,
+            location: this.extractLocation(fields.location, jobDescription),
+            salary: this.extractSalary(jobDescription, fields),
+            requiredSkills,
+            preferredSkills,
+            benefits: sections.benefits.map(line => this.bulletText(line)).filter(Boolean),
+            companyInfo: {
+                name: fields.company || null,
+                size: this.extractCompanySize(jobDescription)
+            },
+            employment: this.extractEmployment(jobDescription, fields)
+        };
+
+        // Drop undefined values so validateAndEnhance defaults (and flags) them
+        return JSON.parse(JSON.stringify(parsed));
+    }
+
+    isHeading(line) {
+        const trimmed = line.trim();
+        return /^#{1,6}\s+\S/.test(trimmed) ||
+            /^\*\*[^*]+\*\*:?$/.test(trimmed) ||
+            /^[A-Z][A-Za-z'&/ ]{2,40}:$/.test(trimmed);
+    }
+
+    isBullet(line) {
+        return /^\s*([-*•]|\d+[.)])\s+/.test(line);
+    }
+
+    bulletText(line) {
+        return this.isBullet(line) ? stripMarkdown(line.replace(/^\s*([-*•]|\d+[.)])\s+/, '')) : '';
+    }
+
+    // Group lines under the heading they appear beneath
+    splitSections(lines) {
+        const sections = { required: [], preferred: [], benefits: [], responsibilities: [] };
+        let current = null;
+
+        for (const line of lines) {
+            if (this.isHeading(line)) {
+                const heading = stripMarkdown(line).replace(/:$/, '');
+                current = Object.keys(SECTION_PATTERNS).find(name => SECTION_PATTERNS[name].test(heading)) || null;
+                continue;
+            }
+            if (current && line.trim()) {
+                sections[current].push(line);
+            }
+        }
+
+        return sections;
+    }
+
+    // "**Company:** Acme", "Location: Austin, TX" and similar label lines
+    extractLabelledFields(lines) {
+        const fields = {};
+        for (const line of lines) {
+            const match = line.match(/^\s*(?:[-*]\s+)?\**\s*([A-Za-z][A-Za-z ]{1,30}?)\s*:\s*\**\s*(.+)$/);
+            if (match) {
+                const label = match[1].trim().toLowerCase();
+                if (!fields[label]) {
+                    fields[label] = stripMarkdown(match[2]);
+                }
+            }
+        }
+        return fields;
+    }
+
+    extractTitle(lines, fields) {
+        if (fields['job title'] || fields.title || fields.position) {
+            return fields['job title'] || fields.title || fields.position;
+        }
+        const heading = lines.find(line => /^#\s+\S/.test(line.trim()));
+        if (heading) {
+            return stripMarkdown(heading);
+        }
+        const firstLine = lines.find(line => line.trim() && !this.isBullet(line));
+        return firstLine ? stripMarkdown(firstLine) : undefined;
+    }
+
+    extractExperience(text) {
+        const range = text.match(/(\d{1,2})\s*(?:-|–|to)\s*(\d{1,2})\s*\+?\s*(?:years?|yrs?)/i);
+        if (range) {
+            return { min: parseInt(range[1]), max: parseInt(range[2]) };
+        }
+        const minimum = text.match(/(\d{1,2})\s*\+?\s*(?:years?|yrs?)/i);
+        if (minimum) {
+            // "5+ years" is open ended, so there is no upper bound
+            return { min: parseInt(minimum[1]), max: null };
+        }
+        return undefined;
+    }
+
+    extractLevel(title = '', yearsExperience) {
+        if (/\b(principal|distinguished)\b/i.test(title)) return 'principal';
+        if (/\b(lead|staff)\b/i.test(title)) return 'lead';
+        if (/\b(senior|sr\.?)\b/i.test(title)) return 'senior';
+        if (/\b(junior|jr\.?|entry[- ]level|graduate|intern)\b/i.test(title)) return 'junior';
+        if (/\bmid[- ]?level\b/i.test(title)) return 'mid';
+
+        if (yearsExperience) {
+            if (yearsExperience.min >= 8) return 'lead';
+            if (yearsExperience.min >= 5) return 'senior';
+            if (yearsExperience.min >= 2) return 'mid';
+            return 'junior';
+        }
+        return undefined;
+    }
+
+    extractLocation(locationLine, jobDescription) {
+        const text = locationLine || jobDescription;
+        const location = { city: null, state: null };
+
+        if (/\bhybrid\b/i.test(text)) {
+            location.type = 'hybrid';
+        } else if (/\bremote\b/i.test(text)) {
+            location.type = 'remote';
+        } else if (/\b(on[- ]?site|in[- ]office|in[- ]person)\b/i.test(text) || locationLine) {
+            location.type = 'onsite';
+        }
+
+        if (locationLine) {
+            const cityState = locationLine.match(/([A-Z][A-Za-z. ]+),\s*([A-Z]{2})\b/);
+            const parenthesised = locationLine.match(/\(([^)]+)\)/);
+            if (cityState) {
+                location.city = cityState[1].replace(/^(Remote|Hybrid|Onsite|On-site)\s*[-–(]?\s*/i, '').trim();
+                location.state = cityState[2];
+            } else if (parenthesised && !/\b(US|USA|U\.S\.)\b/.test(parenthesised[1])) {
+                location.city = parenthesised[1].trim();
+            }
+        }
+
+        if (/\b(USA|U\.S\.A?\.?|US|United States)\b/.test(text) || US_STATES.has(location.state)) {
+            location.country = 'USA';
+        }
+
+        return location;
+    }
+
+    // A labelled salary line wins over amounts elsewhere in the posting
+    extractSalary(jobDescription, fields = {}) {
+        const labelled = fields.salary || fields.compensation || fields.pay || fields.rate;
+        return labelled ? parseSalaryText(labelled, { labelled: true }) : parseSalaryText(jobDescription);
+    }
+
+    // Canonical display names of the taxonomy skills mentioned in the text
+    extractSkills(text) {
+        return this.taxonomy.extractSkills(text).map(id => this.taxonomy.get(id).name);
+    }
+
+    // Unmentioned type and tax terms are left out so they are defaulted and flagged
+    extractEmployment(jobDescription, fields) {
+        const terms = extractEmploymentTerms(jobDescription, fields);
+        return {
+            ...terms,
+            type: terms.type || undefined,
+            taxTerms: terms.taxTerms.length > 0 ? terms.taxTerms : undefined
+        };
+    }
+
+    extractCompanySize(text) {
+        if (/\b(start-?up|seed|series [ab])\b/i.test(text)) return 'startup';
+        if (/\b(fortune 500|enterprise|global leader)\b/i.test(text)) return 'enterprise';
+        return undefined;
+    }
+}
+
+export { RuleBasedJobParser };
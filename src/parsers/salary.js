@@ -0,0 +1,235 @@
+// src/parsers/salary.js
+
+import fs from 'fs';
+
+// Salary parsing and normalization. The parsed job keeps the posting's own figures in
+// `salary` ({ min, max, currency, period }) and gets a comparable `salaryNormalized`
+// alongside it: annual amounts in the exchange-rate table's base currency.
+//
+//   "$75/hr on W2"          -> salary { 75, 75, USD, hourly }  -> normalized 156,000 USD/year
+//   "€70k - €85k"           -> salary { 70000, 85000, EUR, yearly } -> normalized 75,600 - 91,800 USD/year
+//   "Compensation: DOE"     -> salary null -> normalized { status: 'negotiable' }
+
+const SALARY_PERIODS = ['hourly', 'daily', 'weekly', 'monthly', 'yearly'];
+
+// 'stated': figures given; 'negotiable': DOE / competitive wording only;
+// 'unspecified': nothing said; 'unconvertible': figures in a currency with no exchange rate
+const SALARY_STATUSES = ['stated', 'negotiable', 'unspecified', 'unconvertible'];
+
+// Full-time working time: 40 hours a week, 5 days a week, 52 weeks a year
+const PERIOD_MULTIPLIERS = {
+    hourly: 2080,
+    daily: 260,
+    weekly: 52,
+    monthly: 12,
+    yearly: 1
+};
+
+const PERIOD_ALIASES = {
+    hour: 'hourly', hr: 'hourly', 'per hour': 'hourly',
+    day: 'daily', 'per day': 'daily',
+    week: 'weekly', 'per week': 'weekly',
+    month: 'monthly', 'per month': 'monthly',
+    year: 'yearly', annual: 'yearly', annually: 'yearly', 'per year': 'yearly', yr: 'yearly'
+};
+
+const PERIOD_PATTERNS = [
+    ['hourly', /(\/\s*(hr|hour)\b|per hour|hourly|an hour|p\/h\b)/i],
+    ['daily', /(\/\s*day\b|per day|daily rate|a day\b)/i],
+    ['weekly', /(\/\s*(wk|week)\b|per week|weekly)/i],
+    ['monthly', /(\/\s*(mo|month)\b|per month|monthly|a month\b)/i],
+    ['yearly', /(\/\s*(yr|year)\b|per year|per annum|annually|annual|a year\b|p\.?a\.?\b)/i]
+];
+
+const NEGOTIABLE_PATTERN = /\b(DOE|D\.O\.E\.|depending on experience|dependent on experience|commensurate with (?:skills and )?experience|competitive (?:salary|pay|compensation|rate)|(?:salary|pay|compensation|rate)\s*(?::|is)\s*competitive|negotiable)\b/i;
+
+const CURRENCY_SYMBOLS = { '$': 'USD', '€': 'EUR', '£': 'GBP', '₹': 'INR', '¥': 'JPY' };
+const CURRENCY_CODES = ['USD', 'EUR', 'GBP', 'CAD', 'AUD', 'CHF', 'INR', 'JPY', 'SGD', 'MXN', 'BRL', 'PLN'];
+const CURRENCY_CODE_PATTERN = new RegExp(`\\b(${CURRENCY_CODES.join('|')})\\b`);
+
+// An amount with its currency: "$120k", "CHF 9,000", "$120k - $150k", "85,000 - 95,000 USD".
+// Groups: prefix, min, min k, max, max k, trailing code
+const CURRENCY_PREFIX = `(?:[$€£₹¥]|\\b(?:${CURRENCY_CODES.join('|')})\\s?)`;
+const AMOUNT = '(\\d[\\d,]*(?:\\.\\d+)?)\\s*([kK](?![a-zA-Z]))?';
+const SALARY_AMOUNT_PATTERN = new RegExp(
+    `(${CURRENCY_PREFIX})?\\s?${AMOUNT}(?:\\s*(?:-|–|to)\\s*${CURRENCY_PREFIX}?\\s?${AMOUNT})?(?:\\s*\\b(${CURRENCY_CODES.join('|')})\\b)?`,
+    'g'
+);
+
+const SALARY_KEYWORD_PATTERN = /\b(salary|salaries|pay|pays|paid|rate|compensation|comp|wage|wages|base|OTE|earnings)\b/i;
+const LARGE_AMOUNT_SUFFIX = /^\s*(?:[mMbB]\b|mn\b|bn\b|million\b|billion\b)/i;
+
+// Hourly contract rates are often posted without a unit ("$75 - $85 W2")
+const BARE_HOURLY_LIMIT = 500;
+// Without a unit, an amount below this is a one-off payment ("$5,000 signing bonus"), not a
+// yearly salary
+const BARE_YEARLY_FLOOR = 10000;
+// Bonuses, stipends and budgets named right after an amount are not the salary
+const EXTRA_PAY_SUFFIX = /^\s*(?:[\w-]+\s+){0,3}?(?:bonus|bonuses|stipend|budget|allowance|reimbursement|credit|grant)\b/i;
+
+const DEFAULT_RATES_PATH = new URL('./exchange-rates.json', import.meta.url);
+
+function loadExchangeRates(filePath = process.env.SALARY_EXCHANGE_RATES_PATH || DEFAULT_RATES_PATH) {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!data.base || !data.rates || typeof data.rates !== 'object') {
+        throw new Error(`Exchange rate table ${filePath} must have "base" and "rates"`);
+    }
+    return { ...data, rates: { [data.base]: 1, ...data.rates } };
+}
+
+let ratesInstance = null;
+
+function getExchangeRates() {
+    if (!ratesInstance) {
+        ratesInstance = loadExchangeRates();
+    }
+    return ratesInstance;
+}
+
+// Map loose period spellings ("per hour", "annual") onto SALARY_PERIODS
+function normalizePeriod(period) {
+    if (typeof period !== 'string') return period;
+    const key = period.trim().toLowerCase();
+    return SALARY_PERIODS.includes(key) ? key : (PERIOD_ALIASES[key] || period);
+}
+
+function detectPeriod(text) {
+    const found = PERIOD_PATTERNS.find(([, pattern]) => pattern.test(text));
+    return found ? found[0] : null;
+}
+
+// Raw salary figures from free text: "$120k - $150k", "$75/hr", "Up to £90,000", "€500 per day",
+// "85,000 - 95,000 USD". An amount counts only with a currency (symbol or ISO code, before or
+// after it) and either a pay period or a salary keyword on its line or the line above, so
+// "We just raised $40M" or "$5,000 conference budget" is not taken for the salary.
+// options.labelled marks text taken from a "Salary:" / "Pay:" line, whose label is the keyword.
+function parseSalaryText(text, options = {}) {
+    if (!text) return undefined;
+
+    const lines = text.split('\n');
+    for (const [index, line] of lines.entries()) {
+        const nearKeyword = options.labelled || SALARY_KEYWORD_PATTERN.test(line) || SALARY_KEYWORD_PATTERN.test(lines[index - 1] || '');
+        for (const match of line.matchAll(SALARY_AMOUNT_PATTERN)) {
+            const salary = salaryFromMatch(match, line, text, nearKeyword);
+            if (salary) return salary;
+        }
+    }
+    return undefined;
+}
+
+// The salary one amount match stands for, or null when it is not one
+function salaryFromMatch(match, line, text, nearKeyword) {
+    const [found, prefix, minDigits, minThousands, maxDigits, maxThousands, suffixCode] = match;
+    if (!prefix && !suffixCode) return null;
+
+    const after = line.slice(match.index + found.length);
+    // Funding rounds and revenue, not pay; nor bonuses and perks
+    if (LARGE_AMOUNT_SUFFIX.test(after) || EXTRA_PAY_SUFFIX.test(after)) return null;
+
+    let period = detectPeriod(after);
+    if (!period && !nearKeyword) return null;
+
+    const toNumber = (digits, thousands) => parseFloat(digits.replace(/,/g, '')) * (thousands ? 1000 : 1);
+    const before = line.slice(0, match.index);
+    let min = toNumber(minDigits, minThousands);
+    let max = maxDigits ? toNumber(maxDigits, maxThousands || minThousands) : min;
+    if (!maxDigits && /\bup to\s*$/i.test(before)) {
+        min = null;
+    } else if (!maxDigits && /\b(from|starting at)\s*$/i.test(before)) {
+        max = null;
+    }
+
+    if (!period) {
+        const amount = max ?? min;
+        // Next to "DOE" or "competitive" wording, a lone figure is a perk rather than the pay;
+        // a stated range ("$120k - $150k DOE") still counts
+        if (!maxDigits && NEGOTIABLE_PATTERN.test(text)) return null;
+        if (amount >= BARE_HOURLY_LIMIT && amount < BARE_YEARLY_FLOOR) return null;
+        period = amount < BARE_HOURLY_LIMIT ? 'hourly' : 'yearly';
+    }
+
+    // "$120k CAD": a code on the line says which dollars a symbol means
+    const code = suffixCode || line.match(CURRENCY_CODE_PATTERN)?.[1];
+    const symbol = prefix?.trim();
+    return {
+        min,
+        max,
+        currency: CURRENCY_SYMBOLS[symbol] ? (code || CURRENCY_SYMBOLS[symbol]) : (symbol || suffixCode),
+        period
+    };
+}
+
+// Annualized salary in the rate table's base currency. `text` is the original posting,
+// used to tell "DOE / competitive" apart from no salary information at all.
+function normalizeSalary(salary, text = '', options = {}) {
+    const rates = options.rates || getExchangeRates();
+    const base = rates.base;
+    const empty = { min: null, max: null, currency: base, period: 'yearly' };
+
+    const hasFigures = salary && (typeof salary.min === 'number' || typeof salary.max === 'number');
+    if (!hasFigures) {
+        const negotiable = text.match(NEGOTIABLE_PATTERN);
+        return negotiable
+            ? { status: 'negotiable', ...empty, note: negotiable[0] }
+            : { status: 'unspecified', ...empty };
+    }
+
+    const period = normalizePeriod(salary.period) || 'yearly';
+    const multiplier = PERIOD_MULTIPLIERS[period] || 1;
+    const currency = salary.currency || base;
+    const rate = rates.rates[currency];
+    const source = { sourceCurrency: currency, sourcePeriod: period, multiplier };
+
+    if (typeof rate !== 'number') {
+        return { status: 'unconvertible', ...empty, ...source, exchangeRate: null, note: `No exchange rate for ${currency}` };
+    }
+
+    const annualize = value => (typeof value === 'number' ? Math.round(value * multiplier * rate) : null);
+    return {
+        status: 'stated',
+        min: annualize(salary.min),
+        max: annualize(salary.max),
+        currency: base,
+        period: 'yearly',
+        ...source,
+        exchangeRate: rate
+    };
+}
+
+function formatRange(min, max) {
+    const format = value => value.toLocaleString('en-US');
+    if (min !== null && max !== null) {
+        return min === max ? format(min) : `${format(min)} - ${format(max)}`;
+    }
+    return min !== null ? `${format(min)}+` : `up to ${format(max)}`;
+}
+
+const PERIOD_UNITS = { hourly: 'hour', daily: 'day', weekly: 'week', monthly: 'month', yearly: 'year' };
+
+// One-line salary summary for logs and reports, e.g. "75 USD/hour (≈ 156,000 USD/year)"
+function formatSalary(salary, normalized = null) {
+    const hasFigures = salary && (typeof salary.min === 'number' || typeof salary.max === 'number');
+    if (!hasFigures) {
+        if (normalized?.status === 'negotiable') return `Not stated (${normalized.note})`;
+        return 'Not stated';
+    }
+
+    const period = normalizePeriod(salary.period) || 'yearly';
+    const raw = `${formatRange(salary.min ?? null, salary.max ?? null)} ${salary.currency || ''}/${PERIOD_UNITS[period] || period}`;
+    if (normalized?.status !== 'stated' || (period === 'yearly' && normalized.sourceCurrency === normalized.currency)) {
+        return raw;
+    }
+    return `${raw} (≈ ${formatRange(normalized.min, normalized.max)} ${normalized.currency}/year)`;
+}
+
+export {
+    SALARY_PERIODS,
+    SALARY_STATUSES,
+    PERIOD_MULTIPLIERS,
+    normalizePeriod,
+    parseSalaryText,
+    normalizeSalary,
+    formatSalary,
+    loadExchangeRates,
+    getExchangeRates
+};
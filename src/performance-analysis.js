@@ -94,7 +94,7 @@ class PerformanceAnalyzer {
                         suggestions: [
                             'Check network connectivity',
                             'Verify GitHub API status',
-                            'Consider using GitHub GraphQL API for batch queries',
+                            'Batch candidate enrichment with GITHUB_ENRICHMENT=graphql',
                             'Implement request queuing with priority'
                         ]
                     });
@@ -187,7 +187,7 @@ class PerformanceAnalyzer {
                 description: 'Too many API calls detected',
                 actions: [
                     'Implement Redis or database caching',
-                    'Use GraphQL for batch queries',
+                    'Batch candidate enrichment with GITHUB_ENRICHMENT=graphql',
                     'Reduce the scope of candidate search',
                     'Implement intelligent pagination'
                 ]
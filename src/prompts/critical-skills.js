@@ -0,0 +1,39 @@
+// src/prompts/critical-skills.js
+
+// The 3-5 skills a candidate cannot be missing (JobRequirementsParser.analyzeCriticalSkills).
+// Pipelines search GitHub for these, so a change here changes who gets found.
+
+export default [
+    {
+        name: 'critical-skills',
+        version: 1,
+        description: 'Pick the 3-5 most critical technical skills, preferring frameworks over base languages',
+        variables: ['jobDescription'],
+        template: `
+You are an expert technical recruiter. Analyze this job description and identify ONLY the 3-5 most critical technical skills that are absolutely essential for this role.
+
+IMPORTANT: Focus on ADVANCED libraries/frameworks that imply foundational knowledge, not basic programming languages.
+
+For example:
+- If job mentions "Python, pandas, numpy, TensorFlow" → choose "TensorFlow" (implies Python, pandas, numpy)
+- If job mentions "JavaScript, React, Node.js" → choose "React" and "Node.js" (implies JavaScript)
+- If job mentions "Java, Spring, Hibernate" → choose "Spring" (implies Java)
+- If job mentions "SQL, PostgreSQL, AWS" → choose "PostgreSQL" and "AWS" (implies SQL)
+
+Focus on:
+- Advanced ML/AI frameworks (TensorFlow, PyTorch, scikit-learn)
+- Modern web frameworks (React, Vue, Angular, Django, FastAPI)
+- Cloud platforms (AWS, Azure, GCP)
+- Advanced databases (PostgreSQL, MongoDB, Redis)
+- DevOps tools (Docker, Kubernetes, Jenkins)
+
+AVOID basic programming languages unless they are the ONLY requirement.
+
+Job Description:
+{{jobDescription}}
+
+Return ONLY a JSON array of skill names, no explanations:
+["skill1", "skill2", "skill3", "skill4", "skill5"]
+`
+    }
+];
@@ -0,0 +1,78 @@
+// src/prompts/job-extraction.js
+
+// Structured extraction of a job posting (JobRequirementsParser.parseWithAI), and the follow-up
+// sent when an answer fails schema validation. `instructions` is the extraction prompt without
+// the posting, so the repair request restates exactly what was asked.
+
+export default [
+    {
+        name: 'job-extraction',
+        version: 1,
+        description: 'Extract title, level, experience, location, salary, skills and employment terms as JSON',
+        variables: ['jobDescription'],
+        template: `
+You are an expert job requirements analyzer. Parse the following job description and extract structured information.
+
+Return a JSON object with the following structure:
+{
+    "title": "exact job title",
+    "level": "junior|mid|senior|lead|principal",
+    "yearsExperience": {
+        "min": number,
+        "max": number
+    },
+    "location": {
+        "type": "remote|hybrid|onsite",
+        "city": "city name or null",
+        "state": "state or null",
+        "country": "country or USA"
+    },
+    "salary": {
+        "min": number or null,
+        "max": number or null,
+        "currency": "ISO 4217 code, e.g. USD",
+        "period": "hourly|daily|weekly|monthly|yearly"
+    },
+    "requiredSkills": ["skill1", "skill2"],
+    "preferredSkills": ["skill1", "skill2"],
+    "benefits": ["benefit1", "benefit2"],
+    "companyInfo": {
+        "name": "company name",
+        "size": "startup|small|medium|large|enterprise",
+        "industry": "industry name"
+    },
+    "employment": {
+        "type": "full-time|part-time|contract|contract-to-hire|internship",
+        "taxTerms": ["W2|C2C|1099"],
+        "contractLengthMonths": number or null,
+        "clearance": "public-trust|secret|top-secret|ts-sci or null",
+        "visaSponsorship": true, false or null
+    }
+}
+
+List only the tax terms the posting accepts ("No C2C" excludes C2C). Set visaSponsorship to false
+when the posting rules out sponsorship or limits the role to US citizens or green card holders,
+and to null when it does not say.
+Report the salary as posted: keep an hourly contract rate hourly and a euro salary in EUR.
+Use null for salary when the posting gives no figures ("DOE", "competitive").
+
+Job Description:
+{{jobDescription}}`
+    },
+    {
+        name: 'job-extraction-repair',
+        version: 1,
+        description: 'Ask the model to fix an extraction that failed schema validation',
+        variables: ['instructions', 'previousResponse', 'validationErrors'],
+        template: `{{instructions}}
+
+Your previous answer did not match the required structure:
+{{previousResponse}}
+
+Validation errors:
+{{validationErrors}}
+
+Return ONLY the corrected JSON object. Use numbers for numeric fields, one of the listed values for enumerated fields, and null for a salary with no figures ("DOE", "competitive").
+`
+    }
+];
@@ -0,0 +1,16 @@
+// src/prompts/posting-rewrite.js
+
+// LLM rewrites of the lines the job posting linter flagged (JobDescriptionLinter.addLLMRewrites).
+// `items` is a JSON array of { id, line, problem, suggestion }.
+
+export default [
+    {
+        name: 'posting-rewrite',
+        version: 1,
+        description: 'Rewrite flagged posting lines to fix the problem found, keeping meaning and tone',
+        variables: ['items'],
+        template: `You are editing a job posting so it is accurate and inclusive. Rewrite each line below to fix the problem described, keeping its meaning and tone. Return ONLY a JSON array of {"id": number, "rewrite": "the rewritten line"}.
+
+{{items}}`
+    }
+];
@@ -0,0 +1,152 @@
+// src/prompts/prompt-comparison.js
+
+import { JobRequirementsParser } from '../parsers/job-parser.js';
+import { getPromptRegistry } from './prompt-registry.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+import { getPerformanceMonitor } from '../utils/performance-monitor.js';
+
+// Runs two versions of a parser prompt over the same job descriptions and diffs what the
+// parser returns for each, so a prompt change can be judged on real postings before it
+// becomes the default. An optional `evaluate(output, document)` hook scores every output
+// (a number, or { score, notes }) and the scores are averaged per version.
+
+// How to run each comparable prompt and which part of the result to compare
+const PROMPT_RUNNERS = {
+    'job-extraction': async (parser, text) => {
+        const { provenance, extraction, ...output } = await parser.parseJobDescription(text);
+        return { output, extraction };
+    },
+    'critical-skills': async (parser, text) => {
+        const { skills, extraction } = await parser.analyzeCriticalSkills(text);
+        return { output: skills, extraction };
+    }
+};
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Changed leaves between two outputs as [{ path, baseline, candidate }]. Arrays are compared
+// whole; string arrays also list what was added and removed.
+function diffOutputs(baseline, candidate, path = '') {
+    if (isPlainObject(baseline) && isPlainObject(candidate)) {
+        const keys = [...new Set([...Object.keys(baseline), ...Object.keys(candidate)])];
+        return keys.flatMap(key => diffOutputs(baseline[key], candidate[key], path ? `${path}.${key}` : key));
+    }
+    if (JSON.stringify(baseline) === JSON.stringify(candidate)) {
+        return [];
+    }
+
+    const change = { path: path || '$', baseline, candidate };
+    const strings = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+    if (strings(baseline) && strings(candidate)) {
+        change.added = candidate.filter(item => !baseline.includes(item));
+        change.removed = baseline.filter(item => !candidate.includes(item));
+    }
+    return [change];
+}
+
+function normalizeEvaluation(evaluation) {
+    if (evaluation === null || evaluation === undefined) return null;
+    return typeof evaluation === 'number' ? { score: evaluation } : evaluation;
+}
+
+function meanScore(runs) {
+    const scores = runs.map(run => run.evaluation?.score).filter(score => typeof score === 'number');
+    return scores.length > 0 ? scores.reduce((sum, score) => sum + score, 0) / scores.length : null;
+}
+
+// options: { name, baseline, candidate, documents: [{ id, text }], evaluate, concurrency,
+// parserOptions, llmClient }. Both versions share one LLM client, so they run against the
+// same provider, model and response cache.
+async function comparePromptVersions(options) {
+    const { name, documents } = options;
+    const run = PROMPT_RUNNERS[name];
+    if (!run) {
+        throw new Error(`Prompt "${name}" cannot be compared. Comparable prompts: ${Object.keys(PROMPT_RUNNERS).join(', ')}`);
+    }
+
+    // Resolve both versions up front so a typo fails before any LLM call is paid for
+    const registry = getPromptRegistry();
+    const versions = [['baseline', registry.get(name, options.baseline)], ['candidate', registry.get(name, options.candidate)]];
+    const monitor = getPerformanceMonitor();
+    let llmClient = options.llmClient || null;
+    const runs = {};
+
+    for (const [label, definition] of versions) {
+        const parserOptions = options.parserOptions || {};
+        const parser = new JobRequirementsParser(llmClient, {
+            ...parserOptions,
+            mode: 'ai',
+            prompts: { ...parserOptions.prompts, [name]: definition.version }
+        });
+        // One client for all workers instead of one per concurrent first call
+        await parser.initializeLLM();
+        const before = monitor.getLLMUsage();
+
+        console.log(`🧪 Running ${definition.id} on ${documents.length} job descriptions...`);
+        const results = await mapWithConcurrency(documents, options.concurrency || 2, async (document) => {
+            try {
+                const { output, extraction } = await run(parser, document.text);
+                const evaluation = options.evaluate ? normalizeEvaluation(await options.evaluate(output, document)) : null;
+                return { output, extraction, evaluation };
+            } catch (error) {
+                return { error: { name: error.name, message: error.message } };
+            }
+        });
+        llmClient = parser.llmClient;
+
+        const after = monitor.getLLMUsage();
+        runs[label] = {
+            prompt: definition.id,
+            results,
+            usage: {
+                calls: after.calls - before.calls,
+                inputTokens: after.inputTokens - before.inputTokens,
+                outputTokens: after.outputTokens - before.outputTokens,
+                costUsd: after.costUsd - before.costUsd
+            }
+        };
+    }
+
+    const fieldChanges = {};
+    const compared = documents.map((document, index) => {
+        const baseline = runs.baseline.results[index];
+        const candidate = runs.candidate.results[index];
+        if (baseline.error || candidate.error) {
+            return { id: document.id, status: 'failed', baseline, candidate };
+        }
+
+        const changes = diffOutputs(baseline.output, candidate.output);
+        changes.forEach(change => {
+            fieldChanges[change.path] = (fieldChanges[change.path] || 0) + 1;
+        });
+        return { id: document.id, status: changes.length > 0 ? 'changed' : 'identical', changes, baseline, candidate };
+    });
+
+    const count = status => compared.filter(document => document.status === status).length;
+    const describe = ({ prompt, results, usage }) => ({
+        prompt,
+        failures: results.filter(result => result.error).length,
+        meanScore: meanScore(results),
+        usage
+    });
+
+    return {
+        prompt: name,
+        baseline: describe(runs.baseline),
+        candidate: describe(runs.candidate),
+        summary: {
+            documents: documents.length,
+            identical: count('identical'),
+            changed: count('changed'),
+            failed: count('failed'),
+            fieldChanges: Object.entries(fieldChanges)
+                .sort((a, b) => b[1] - a[1])
+                .map(([field, changed]) => ({ field, changed }))
+        },
+        documents: compared
+    };
+}
+
+export { comparePromptVersions, diffOutputs, PROMPT_RUNNERS };
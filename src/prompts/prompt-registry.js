@@ -0,0 +1,134 @@
+// src/prompts/prompt-registry.js
+
+import jobExtractionPrompts from './job-extraction.js';
+import criticalSkillsPrompts from './critical-skills.js';
+import postingRewritePrompts from './posting-rewrite.js';
+
+// Every LLM prompt the app sends, by name and version. A definition is
+//   { name, version, description, variables: ['jobDescription'], examples?, status?, template }
+// where the template fills {{variable}} placeholders and {{examples}} with the few-shot
+// examples ({ input, output }). Prompt text is never edited in place: a change is a new
+// version, so cached answers, fixtures and results stay tied to the text that produced them.
+// `status: 'draft'` registers a candidate that only runs when asked for by version
+// (see src/compare-prompts.js).
+
+const PLACEHOLDER = /\{\{(\w+)\}\}/g;
+
+class PromptVariableError extends Error {
+    constructor(message, prompt) {
+        super(message);
+        this.name = 'PromptVariableError';
+        this.prompt = prompt;
+    }
+}
+
+function placeholdersOf(template) {
+    return new Set([...template.matchAll(PLACEHOLDER)].map(match => match[1]));
+}
+
+function formatExamples(examples) {
+    return examples.map((example, index) => `Example ${index + 1}:
+Input:
+${example.input}
+Output:
+${typeof example.output === 'string' ? example.output : JSON.stringify(example.output)}`).join('\n\n');
+}
+
+class PromptRegistry {
+    constructor(definitions = []) {
+        this.prompts = new Map(); // name -> definitions sorted by version
+        definitions.forEach(definition => this.register(definition));
+    }
+
+    // Adds one prompt version; the template must use exactly the declared variables
+    register(definition) {
+        const { name, version, template } = definition;
+        if (!name || !Number.isInteger(version) || version < 1 || typeof template !== 'string') {
+            throw new Error(`Prompt definitions need a name, a positive integer version and a template (got ${name}@${version})`);
+        }
+
+        const id = `${name}@${version}`;
+        const variables = definition.variables || [];
+        const examples = definition.examples || [];
+        const placeholders = placeholdersOf(template);
+        const expected = new Set(examples.length > 0 ? [...variables, 'examples'] : variables);
+        const undeclared = [...placeholders].filter(placeholder => !expected.has(placeholder));
+        const unused = [...expected].filter(variable => !placeholders.has(variable));
+        if (undeclared.length > 0 || unused.length > 0) {
+            throw new PromptVariableError(`Prompt ${id} template does not match its variables` +
+                (undeclared.length > 0 ? `; undeclared: ${undeclared.join(', ')}` : '') +
+                (unused.length > 0 ? `; unused: ${unused.join(', ')}` : ''), id);
+        }
+
+        const versions = this.prompts.get(name) || [];
+        if (versions.some(existing => existing.version === version)) {
+            throw new Error(`Prompt ${id} is already registered; register a new version instead`);
+        }
+        versions.push({ ...definition, id, variables, examples, status: definition.status || 'active' });
+        versions.sort((a, b) => a.version - b.version);
+        this.prompts.set(name, versions);
+        return this;
+    }
+
+    // A specific version, or the latest one that is not a draft
+    get(name, version = null) {
+        const versions = this.prompts.get(name);
+        if (!versions) {
+            throw new Error(`Unknown prompt "${name}". Registered: ${[...this.prompts.keys()].join(', ')}`);
+        }
+
+        const definition = version === null || version === undefined
+            ? versions.filter(candidate => candidate.status !== 'draft').pop()
+            : versions.find(candidate => candidate.version === Number(version));
+        if (!definition) {
+            throw new Error(`Prompt ${name} has no version ${version ?? '(all versions are drafts)'}. Available: ${versions.map(candidate => candidate.version).join(', ')}`);
+        }
+        return definition;
+    }
+
+    // { id, name, version, text } with every variable filled in. Missing and unknown
+    // variables throw, so a caller and a template cannot silently disagree.
+    render(name, variables = {}, version = null) {
+        const definition = this.get(name, version);
+        const missing = definition.variables.filter(variable => variables[variable] === undefined || variables[variable] === null);
+        const unknown = Object.keys(variables).filter(variable => !definition.variables.includes(variable));
+        if (missing.length > 0 || unknown.length > 0) {
+            throw new PromptVariableError(`Prompt ${definition.id}` +
+                (missing.length > 0 ? ` is missing variables: ${missing.join(', ')}` : '') +
+                (unknown.length > 0 ? `${missing.length > 0 ? ';' : ''} does not take: ${unknown.join(', ')}` : ''), definition.id);
+        }
+
+        const values = { ...variables, examples: formatExamples(definition.examples) };
+        const text = definition.template.replace(PLACEHOLDER, (match, variable) => String(values[variable]));
+        return { id: definition.id, name: definition.name, version: definition.version, text };
+    }
+
+    list() {
+        return [...this.prompts.values()].flat().map(({ id, name, version, status, description }) => ({ id, name, version, status, description }));
+    }
+}
+
+// "job-extraction@2" -> { name: 'job-extraction', version: 2 }; a bare name means the latest version
+function parsePromptId(id) {
+    const [name, version] = String(id).split('@');
+    return { name, version: version ? Number(version) : null };
+}
+
+let promptRegistryInstance = null;
+
+function getPromptRegistry() {
+    if (!promptRegistryInstance) {
+        promptRegistryInstance = new PromptRegistry([
+            ...jobExtractionPrompts,
+            ...criticalSkillsPrompts,
+            ...postingRewritePrompts
+        ]);
+    }
+    return promptRegistryInstance;
+}
+
+function renderPrompt(name, variables, version = null) {
+    return getPromptRegistry().render(name, variables, version);
+}
+
+export { PromptRegistry, PromptVariableError, getPromptRegistry, renderPrompt, parsePromptId };
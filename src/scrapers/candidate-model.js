@@ -0,0 +1,214 @@
+// src/scrapers/candidate-model.js
+
+import { getSkillTaxonomy } from '../skills/skill-taxonomy.js';
+
+// The one candidate shape every crawler returns, and the rules that fill it in:
+//   {
+//     username, name, profile (URL), avatar, location, hireable, followers, publicRepos,
+//     repositories (count), experience: { yearsSinceJoin, totalStars, totalForks, publicRepos, level },
+//     languages: { TypeScript: 0.42, ... }, skills, skillsMatch: { required, preferred, total },
+//     contributions, pinned, recentEvents, employmentFit, score (0-100)
+//   }
+// languages is the candidate's language profile: the weighted share of code in each language
+// across their most relevant repositories (languageProfile below). skillsMatch sums the
+// evidence for each matched skill (skillEvidence), so a language with a small share of the
+// code counts for part of a match; it has one decimal.
+// contributions (last year's total) and pinned (repository full names) come from GraphQL
+// enrichment; the REST path leaves them null and []. recentEvents (public events in the last
+// 90 days) comes from the REST events call and is null with GraphQL, whose contributions
+// cover the same activity.
+// employmentFit is attached by filterByEmploymentTerms (matching/employment-fit.js) before scoring.
+
+const YEAR_MS = 1000 * 60 * 60 * 24 * 365;
+
+// Share of the profile at which a language is full evidence of the skill; smaller shares
+// count in proportion
+const FULL_LANGUAGE_SHARE = 0.25;
+// Evidence a skill needs to be listed in `skills`: a 5% share, below which a language is
+// usually a build script or a bundled asset
+const MIN_LISTED_EVIDENCE = 0.05 / FULL_LANGUAGE_SHARE;
+
+// The candidate's own work, most starred first: forks and mirrors are someone else's code
+function relevantRepositories(repositories, limit = Infinity) {
+    return repositories
+        .filter(repo => !repo.fork && !repo.mirror_url)
+        .sort((a, b) => (b.stargazers_count || 0) - (a.stargazers_count || 0))
+        .slice(0, limit);
+}
+
+// { language: share } summing to 1, most used first. Each repository contributes its byte
+// breakdown (`languages`, from the languages endpoint or GraphQL; GitHub already leaves out
+// vendored and generated files), or its primary language without one. Repositories are
+// weighted by 1 + log10(1 + stars), so one large repository does not drown out the rest.
+function languageProfile(repositories) {
+    const totals = {};
+    let totalWeight = 0;
+
+    repositories.forEach(repo => {
+        const bytes = repo.languages && Object.keys(repo.languages).length > 0
+            ? repo.languages
+            : (repo.language ? { [repo.language]: 1 } : null);
+        if (!bytes) return;
+
+        const repoBytes = Object.values(bytes).reduce((sum, count) => sum + count, 0);
+        if (repoBytes <= 0) return;
+        const weight = 1 + Math.log10(1 + (repo.stargazers_count || 0));
+        Object.entries(bytes).forEach(([language, count]) => {
+            totals[language] = (totals[language] || 0) + weight * count / repoBytes;
+        });
+        totalWeight += weight;
+    });
+
+    return Object.fromEntries(Object.entries(totals)
+        .map(([language, total]) => [language, Math.round(total / totalWeight * 100) / 100])
+        .filter(([, share]) => share > 0)
+        .sort((a, b) => b[1] - a[1]));
+}
+
+// { skill: evidence from 0 to 1 } for canonical skills. Languages count by their share of the
+// profile, full from FULL_LANGUAGE_SHARE up; a skill named in repository names, descriptions
+// or topics counts in full (underscores in names and dashes in topics separate words).
+function skillEvidence(repositories, languages = languageProfile(relevantRepositories(repositories))) {
+    const taxonomy = getSkillTaxonomy();
+    const evidence = {};
+    const add = (skill, weight) => {
+        evidence[skill] = Math.max(evidence[skill] || 0, weight);
+    };
+
+    Object.entries(languages).forEach(([language, share]) => {
+        add(taxonomy.canonicalize(language), Math.min(1, share / FULL_LANGUAGE_SHARE));
+    });
+
+    const repoText = repositories
+        .map(repo => [
+            (repo.name || '').replace(/_/g, ' '),
+            repo.description || '',
+            ...(repo.topics || []).map(topic => topic.replace(/-/g, ' '))
+        ].join('\n'))
+        .join('\n');
+    taxonomy.extractSkills(repoText).forEach(skill => add(skill, 1));
+
+    return evidence;
+}
+
+// Skills with enough evidence to list, best evidenced first
+function listedSkills(evidence) {
+    return Object.entries(evidence)
+        .filter(([, weight]) => weight >= MIN_LISTED_EVIDENCE)
+        .sort((a, b) => b[1] - a[1])
+        .map(([skill]) => skill);
+}
+
+function extractSkills(repositories, languages) {
+    return listedSkills(skillEvidence(repositories, languages));
+}
+
+function calculateExperience(profile, repositories) {
+    const yearsSinceJoin = profile.created_at ? (Date.now() - new Date(profile.created_at).getTime()) / YEAR_MS : 0;
+    const totalStars = repositories.reduce((sum, repo) => sum + (repo.stargazers_count || 0), 0);
+    const totalForks = repositories.reduce((sum, repo) => sum + (repo.forks_count || 0), 0);
+    const publicRepos = profile.public_repos ?? repositories.length;
+
+    let level = 'junior';
+    if (yearsSinceJoin > 5 || totalStars > 100 || publicRepos > 20) {
+        level = 'senior';
+    } else if (yearsSinceJoin > 2 || totalStars > 20 || publicRepos > 10) {
+        level = 'mid';
+    }
+
+    return {
+        yearsSinceJoin: Math.round(yearsSinceJoin * 10) / 10,
+        totalStars,
+        totalForks,
+        publicRepos,
+        level
+    };
+}
+
+// Matched requirements, each counted by its evidence; without evidence every skill counts in full
+function calculateSkillsMatch(skills, jobRequirements, evidence = Object.fromEntries(skills.map(skill => [skill, 1]))) {
+    const taxonomy = getSkillTaxonomy();
+    const round = value => Math.round(value * 10) / 10;
+    const strength = requirements => requirements.reduce((sum, requirement) => sum + taxonomy.matchStrength(requirement, evidence), 0);
+    const required = strength(jobRequirements.requiredSkills || []);
+    const preferred = strength(jobRequirements.preferredSkills || []);
+    return { required: round(required), preferred: round(preferred), total: round(required + preferred) };
+}
+
+// Canonical candidate from a search hit, the user's profile and their repositories.
+// `enrichment` adds what only some backends fetch: { languages, contributions, pinned, recentEvents }.
+function toCandidate(searchItem, profile, repositories, jobRequirements, enrichment = {}) {
+    const languages = enrichment.languages || languageProfile(relevantRepositories(repositories));
+    const evidence = skillEvidence(repositories, languages);
+    const skills = listedSkills(evidence);
+    const experience = calculateExperience(profile, repositories);
+
+    return {
+        username: searchItem.login,
+        name: profile.name || searchItem.login,
+        profile: profile.html_url || searchItem.html_url || `https://github.com/${searchItem.login}`,
+        avatar: profile.avatar_url || searchItem.avatar_url || null,
+        location: profile.location || null,
+        hireable: Boolean(profile.hireable),
+        followers: profile.followers ?? 0,
+        publicRepos: experience.publicRepos,
+        repositories: repositories.length,
+        experience,
+        languages,
+        skills,
+        skillsMatch: calculateSkillsMatch(skills, jobRequirements, evidence),
+        contributions: enrichment.contributions ?? null,
+        pinned: enrichment.pinned || [],
+        recentEvents: enrichment.recentEvents ?? null
+    };
+}
+
+// 0-100: required skills 40, preferred skills 20, level 20, years on GitHub 10, activity 10,
+// hireable 5, plus the employment-fit adjustment
+function scoreCandidate(candidate, jobRequirements) {
+    const { requiredSkills = [], preferredSkills = [], level, yearsExperience } = jobRequirements;
+    let score = 0;
+
+    if (requiredSkills.length > 0) {
+        score += (candidate.skillsMatch.required / requiredSkills.length) * 40;
+    }
+    if (preferredSkills.length > 0) {
+        score += (candidate.skillsMatch.preferred / preferredSkills.length) * 20;
+    }
+
+    if (candidate.experience.level === level) {
+        score += 20;
+    } else if (
+        (level === 'senior' && candidate.experience.level === 'mid') ||
+        (level === 'mid' && candidate.experience.level === 'junior')
+    ) {
+        score += 10;
+    }
+
+    // A null max is an open-ended requirement ("5+ years")
+    if (yearsExperience?.min &&
+        candidate.experience.yearsSinceJoin >= yearsExperience.min &&
+        (typeof yearsExperience.max !== 'number' || candidate.experience.yearsSinceJoin <= yearsExperience.max)) {
+        score += 10;
+    }
+
+    if (candidate.experience.totalStars > 50) score += 5;
+    if (candidate.experience.publicRepos > 15) score += 5;
+    if (candidate.hireable) score += 5;
+
+    // Verified US location when the role needs US work authorization
+    score += candidate.employmentFit?.adjustment || 0;
+
+    return Math.max(0, Math.min(Math.round(score), 100));
+}
+
+export {
+    toCandidate,
+    relevantRepositories,
+    languageProfile,
+    skillEvidence,
+    extractSkills,
+    calculateExperience,
+    calculateSkillsMatch,
+    scoreCandidate
+};
@@ -0,0 +1,125 @@
+// src/scrapers/crawler-middleware.js
+
+import { getCacheManager } from '../utils/cache-manager.js';
+import { getPerformanceMonitor } from '../utils/performance-monitor.js';
+import { GitHubAPIError } from './github-crawler-core.js';
+import { getGitHubRateLimitManager, resourceFor } from './github-rate-limit.js';
+
+// Middleware for GitHubCrawlerCore (see github-crawler-core.js for the hooks). A typical
+// stack, outermost first:
+//   [cachingMiddleware(), monitoringMiddleware(), retryMiddleware(), rateLimitMiddleware()]
+// so cache hits are neither timed nor throttled and every retry waits for the rate limiter.
+// The rate limiter's budgets come from GitHub's X-RateLimit-* headers (github-rate-limit.js).
+
+const API_NAMES = {
+    search: 'GitHub Search API',
+    profile: 'GitHub Profile API',
+    repos: 'GitHub Repos API',
+    events: 'GitHub Events API',
+    languages: 'GitHub Languages API',
+    graphql: 'GitHub GraphQL API'
+};
+
+// Answers repeated calls from a CacheManager: the shared disk-backed one by default, or
+// e.g. new CacheManager({ memoryOnly: true }) for one process
+function cachingMiddleware({ cache = getCacheManager() } = {}) {
+    return {
+        name: 'caching',
+        cache,
+        async request(request, next) {
+            const key = cache.generateKey(request.kind, request.endpoint, ...(request.body ? [request.body] : []));
+            const cached = await cache.get(key);
+            if (cached !== null && cached !== undefined) {
+                return cached;
+            }
+
+            const data = await next(request);
+            await cache.set(key, data);
+            return data;
+        }
+    };
+}
+
+// Times every API call and search step in the PerformanceMonitor
+function monitoringMiddleware({ monitor = getPerformanceMonitor() } = {}) {
+    return {
+        name: 'monitoring',
+        monitor,
+        async request(request, next) {
+            const apiName = API_NAMES[request.kind] || 'GitHub API';
+            const startTime = Date.now();
+            try {
+                const data = await next(request);
+                monitor.trackApiCall(apiName, Date.now() - startTime);
+                return data;
+            } catch (error) {
+                monitor.trackApiCall(`${apiName} (Failed)`, Date.now() - startTime);
+                throw error;
+            }
+        },
+        async stage(name, run) {
+            monitor.startOperation(name);
+            try {
+                return await run();
+            } finally {
+                monitor.endOperation(name);
+            }
+        }
+    };
+}
+
+// Retries network errors, server errors and rate limits with exponential backoff. Waits
+// follow Retry-After or the budget reset when GitHub gives one; secondary limits without it
+// wait a minute, doubling with each attempt. Waits longer than maxWaitMs fail instead, and
+// permission errors are never retried.
+function retryMiddleware({ maxRetries = 2, baseDelayMs = 1000, maxWaitMs = 5 * 60000 } = {}) {
+    return {
+        name: 'retries',
+        async request(request, next) {
+            for (let attempt = 0; ; attempt++) {
+                try {
+                    return await next(request);
+                } catch (error) {
+                    if (!(error instanceof GitHubAPIError) || !error.retryable || attempt >= maxRetries) {
+                        throw error;
+                    }
+                    const backoff = error.secondaryRateLimit ? 60000 : baseDelayMs;
+                    const wait = error.retryAfterMs ?? backoff * 2 ** attempt;
+                    if (wait > maxWaitMs) {
+                        throw error;
+                    }
+                    const reason = error.rateLimited ? 'rate limit' : error.secondaryRateLimit ? 'secondary rate limit' : `${error.status || 'network'} error`;
+                    console.warn(`⚠️  GitHub ${reason} on ${request.kind}, retrying in ${wait}ms (${attempt + 1}/${maxRetries})`);
+                    await new Promise(resolve => setTimeout(resolve, wait));
+                }
+            }
+        }
+    };
+}
+
+// Throttles calls on the core, search and graphql budgets GitHub reports in its response headers
+// (github-rate-limit.js) and caps the requests in flight
+function rateLimitMiddleware({ manager = getGitHubRateLimitManager() } = {}) {
+    return {
+        name: 'rate-limiting',
+        manager,
+        async request(request, next) {
+            const resource = resourceFor(request.kind);
+            const release = await manager.acquire(resource);
+            try {
+                const data = await next(request);
+                manager.recordSuccess(resource, request.responseHeaders);
+                return data;
+            } catch (error) {
+                if (error instanceof GitHubAPIError) {
+                    manager.recordFailure(resource, error);
+                }
+                throw error;
+            } finally {
+                release();
+            }
+        }
+    };
+}
+
+export { cachingMiddleware, monitoringMiddleware, retryMiddleware, rateLimitMiddleware };
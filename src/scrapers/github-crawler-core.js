@@ -0,0 +1,452 @@
+// src/scrapers/github-crawler-core.js
+
+import { filterByEmploymentTerms } from '../matching/employment-fit.js';
+import { getSkillGraph } from '../skills/skill-graph.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+import { FixtureMissingError, getFixtureStore } from '../utils/fixtures.js';
+import { languageProfile, relevantRepositories, scoreCandidate, toCandidate } from './candidate-model.js';
+import { buildEnrichmentQuery, errorsByAlias, fromGraphQLUser } from './github-graphql.js';
+import { PARTITION_DIMENSIONS, SEARCH_RESULT_CAP, SearchCursor, splitTask } from './github-search.js';
+
+// The GitHub candidate search every crawler runs: build queries, search users, enrich each
+// user with their profile and repositories, filter on employment terms, score and rank.
+// Candidates come back in the canonical shape of candidate-model.js.
+//
+// Each search query is paged up to `searchDepth` users (GITHUB_SEARCH_DEPTH, default 30). A
+// depth past GitHub's 1,000-result cap splits queries into ranges (github-search.js) by
+// `partitionBy` (GITHUB_SEARCH_PARTITION_BY: created, followers or repos), at most
+// `maxPartitions` per query. With `searchCursorPath` (GITHUB_SEARCH_CURSOR) an interrupted
+// search resumes on the next run.
+//
+// Enrichment has two backends, chosen with the `enrichment` option or GITHUB_ENRICHMENT:
+//   rest      a profile, a repositories and a public events call per user (default), plus a
+//             languages call for each of the `languageRepos` most relevant repositories
+//             (GITHUB_LANGUAGE_REPOS, 3). `fetchEvents: false` (GITHUB_FETCH_EVENTS=false)
+//             skips the events call.
+//   graphql   one aliased query per batch of users (github-graphql.js); needs GITHUB_TOKEN
+// Both build the language profile from the byte counts of the same repositories; with
+// languageRepos 0 it comes from each repository's primary language instead.
+//
+// Caching, monitoring, rate limiting and retries are middleware (crawler-middleware.js).
+// A middleware is an object with either or both hooks:
+//   request(request, next)   wraps one GitHub API call; request is { kind, endpoint, url }
+//                            with kind 'search', 'profile', 'repos', 'events', 'languages' or
+//                            'graphql' (which also has a JSON `body` to POST). Returns the
+//                            parsed JSON; the response headers are left in request.responseHeaders.
+//   stage(name, run)         wraps one step of the search ('Query Building', ...)
+// The first middleware in the list is the outermost. GitHubCrawler, GitHubCrawlerMonitored
+// and GitHubCrawlerCached are configurations of this class.
+
+// A failed GitHub API call. A 403 or 429 is one of three things:
+//   rateLimited          the primary budget is spent (X-RateLimit-Remaining: 0)
+//   secondaryRateLimit   too many requests too fast (Retry-After or a "secondary rate limit" message)
+//   permissionDenied     a genuine 403: the token lacks access, or the resource is blocked
+// `retryable` covers network errors, server errors and both kinds of rate limit; retryAfterMs
+// is set when GitHub says how long to wait.
+class GitHubAPIError extends Error {
+    constructor(message, { status = null, url = null, headers = {}, apiMessage = '' } = {}) {
+        super(message);
+        this.name = 'GitHubAPIError';
+        this.status = status;
+        this.url = url;
+        this.headers = headers;
+        this.apiMessage = apiMessage;
+        const limitStatus = status === 403 || status === 429;
+        this.rateLimited = limitStatus && headers['x-ratelimit-remaining'] === '0';
+        this.secondaryRateLimit = limitStatus && !this.rateLimited
+            && (headers['retry-after'] !== undefined || /secondary rate limit|abuse/i.test(apiMessage) || status === 429);
+        this.permissionDenied = status === 403 && !this.rateLimited && !this.secondaryRateLimit;
+        this.retryable = status === null || status >= 500 || this.rateLimited || this.secondaryRateLimit;
+        this.retryAfterMs = retryAfter(headers);
+    }
+}
+
+// Retry-After is seconds or an HTTP date; a value that is neither falls back to the budget reset
+function retryAfter(headers) {
+    const value = headers['retry-after'];
+    if (value !== undefined) {
+        const at = /^\s*\d+\s*$/.test(value) ? Date.now() + parseInt(value, 10) * 1000 : Date.parse(value);
+        if (!Number.isNaN(at)) {
+            return Math.max(0, at - Date.now());
+        }
+    }
+    if (headers['x-ratelimit-remaining'] === '0' && headers['x-ratelimit-reset']) {
+        return Math.max(0, parseInt(headers['x-ratelimit-reset'], 10) * 1000 - Date.now());
+    }
+    return null;
+}
+
+const ENRICHMENT_BACKENDS = ['rest', 'graphql'];
+
+const RECENT_EVENTS_PAGE = 100;
+const RECENT_ACTIVITY_DAYS = 90;
+
+// A GraphQL answer with errors and no data; a RATE_LIMITED one counts as a spent budget (403)
+function graphQLError(request, response, headers, errors) {
+    const apiMessage = errors.map(error => error.message).join('; ');
+    const rateLimited = errors.some(error => error.type === 'RATE_LIMITED');
+    return new GitHubAPIError(`GitHub GraphQL error (${request.endpoint}): ${apiMessage}`, {
+        status: rateLimited ? 403 : response.status,
+        url: request.url,
+        headers,
+        apiMessage
+    });
+}
+
+class GitHubCrawlerCore {
+    constructor(options = {}) {
+        this.apiToken = options.apiToken || process.env.GITHUB_TOKEN;
+        this.baseURL = options.baseURL || 'https://api.github.com';
+        this.headers = {
+            'Accept': 'application/vnd.github.v3+json',
+            'User-Agent': 'TalentFinder-GitHub-Crawler'
+        };
+
+        if (this.apiToken) {
+            this.headers['Authorization'] = `token ${this.apiToken}`;
+        }
+
+        this.middleware = options.middleware || [];
+        this.maxCandidates = options.maxCandidates ?? 20;
+        this.maxSkillQueries = options.maxSkillQueries ?? 5;
+        this.searchDepth = options.searchDepth ?? (parseInt(process.env.GITHUB_SEARCH_DEPTH, 10) || 30);
+        this.partitionBy = options.partitionBy || process.env.GITHUB_SEARCH_PARTITION_BY || 'created';
+        this.maxPartitions = options.maxPartitions ?? 32;
+        this.searchCursorPath = options.searchCursorPath ?? process.env.GITHUB_SEARCH_CURSOR ?? null;
+        if (!PARTITION_DIMENSIONS.includes(this.partitionBy)) {
+            throw new Error(`Unknown search partition "${this.partitionBy}". Expected one of: ${PARTITION_DIMENSIONS.join(', ')}`);
+        }
+        this.reposPerUser = options.reposPerUser ?? 100;
+        this.enrichConcurrency = options.enrichConcurrency ?? 5;
+        this.fetchEvents = options.fetchEvents ?? process.env.GITHUB_FETCH_EVENTS !== 'false';
+        this.languageRepos = options.languageRepos ?? (process.env.GITHUB_LANGUAGE_REPOS !== undefined ? parseInt(process.env.GITHUB_LANGUAGE_REPOS, 10) : 3);
+        this.graphqlBatchSize = options.graphqlBatchSize ?? 10;
+        this.graphqlURL = options.graphqlURL || `${this.baseURL.replace(/\/v3\/?$/, '')}/graphql`;
+
+        this.enrichment = options.enrichment || process.env.GITHUB_ENRICHMENT || 'rest';
+        if (!ENRICHMENT_BACKENDS.includes(this.enrichment)) {
+            throw new Error(`Unknown GitHub enrichment "${this.enrichment}". Expected one of: ${ENRICHMENT_BACKENDS.join(', ')}`);
+        }
+        if (this.enrichment === 'graphql' && !this.apiToken) {
+            console.warn('⚠️  GraphQL enrichment needs GITHUB_TOKEN; using REST');
+            this.enrichment = 'rest';
+        }
+        this.fixtures = options.fixtures || getFixtureStore(); // Live, recorded or replayed GitHub requests
+    }
+
+    // Add a middleware inside the existing ones
+    use(middleware) {
+        this.middleware.push(middleware);
+        return this;
+    }
+
+    // Top candidates for the job, best first
+    async searchCandidates(jobRequirements) {
+        return this.stage('GitHub Candidate Search', async () => {
+            console.log('🔍 Searching GitHub for candidates...');
+
+            const searchQueries = await this.stage('Query Building', () => this.buildSearchQueries(jobRequirements));
+            const users = await this.stage('User Search Queries', () => this.searchAllUsers(searchQueries));
+            const uniqueUsers = this.removeDuplicates(users);
+
+            console.log(`📊 Enriching data for ${uniqueUsers.length} candidates (${this.enrichment === 'graphql' ? 'GraphQL' : 'REST'})...`);
+            const candidates = await this.stage('Candidate Enrichment', () => this.enrichCandidates(uniqueUsers, jobRequirements));
+
+            return this.stage('Candidate Scoring', () => this.scoreCandidates(candidates, jobRequirements));
+        });
+    }
+
+    async buildSearchQueries(jobRequirements) {
+        // Use AI-powered optimized queries if available
+        if (jobRequirements.optimizedQueries) {
+            return jobRequirements.optimizedQueries;
+        }
+
+        const { requiredSkills = [], level } = jobRequirements;
+        const levelFilter = { senior: 'followers:>100 created:>2018', mid: 'followers:>50 created:>2020' }[level];
+        const skillGraph = getSkillGraph();
+
+        // One query per required skill, narrowed by the languages it implies and the job level
+        const queries = requiredSkills.slice(0, this.maxSkillQueries).map(skill => [
+            skill,
+            ...skillGraph.getLanguageQualifiers(skill, { limit: 3 }),
+            ...(levelFilter ? [levelFilter] : [])
+        ].join(' '));
+
+        if (levelFilter) {
+            queries.push(levelFilter);
+        }
+
+        return queries;
+    }
+
+    // Search hits of every query; a failed query is logged and skipped, and left in the
+    // search cursor for the next run
+    async searchAllUsers(queries) {
+        const cursor = await SearchCursor.load(this.searchCursorPath, {
+            queries,
+            searchDepth: this.searchDepth,
+            partitionBy: this.partitionBy
+        });
+        const users = [];
+        for (const query of queries) {
+            try {
+                users.push(...await this.searchUsers(query, cursor));
+            } catch (error) {
+                if (error instanceof FixtureMissingError) throw error;
+                console.error(`Error searching with query "${query}":`, error.message);
+            }
+        }
+        await cursor.finish();
+        return users;
+    }
+
+    // Up to searchDepth hits for `query`, most followed first within each range. Pages follow
+    // total_count rather than Link headers, which cached answers do not keep.
+    async searchUsers(query, cursor = new SearchCursor()) {
+        const state = cursor.start(query);
+        const perPage = Math.min(this.searchDepth, 100);
+        const seen = new Set(state.users.map(user => user.login));
+
+        while (state.pending.length > 0 && state.users.length < this.searchDepth) {
+            const task = state.pending[0];
+            const page = task.page > 1 ? `&page=${task.page}` : '';
+            const data = await this.request('search', `/search/users?q=${encodeURIComponent(task.query)}&sort=followers&order=desc&per_page=${perPage}${page}`);
+            const total = data.total_count ?? 0;
+
+            // Only a depth past the cap needs the matches beyond it
+            if (task.page === 1 && total > SEARCH_RESULT_CAP && this.searchDepth > SEARCH_RESULT_CAP) {
+                const parts = state.partitions < this.maxPartitions ? splitTask(task, this.partitionBy) : null;
+                if (parts) {
+                    state.pending.splice(0, 1, ...parts);
+                    state.partitions++;
+                    await cursor.save();
+                    continue;
+                }
+                console.warn(`⚠️  "${task.query}" matches ${total} users; only the first ${SEARCH_RESULT_CAP} are reachable`);
+            }
+
+            const items = data.items || [];
+            items.forEach(item => {
+                if (!seen.has(item.login)) {
+                    seen.add(item.login);
+                    // Only what candidates are built from, to keep the cursor small
+                    state.users.push({ login: item.login, html_url: item.html_url, avatar_url: item.avatar_url });
+                }
+            });
+            if (items.length > 0 && task.page * perPage < Math.min(total, SEARCH_RESULT_CAP)) {
+                task.page++;
+            } else {
+                state.pending.shift();
+            }
+            await cursor.save();
+        }
+
+        state.complete = true;
+        if (state.partitions > 1) {
+            console.log(`🧩 "${query}": ${state.users.length} users from ${state.partitions} ranges`);
+        }
+        return state.users.slice(0, this.searchDepth);
+    }
+
+    async getUserProfile(username) {
+        return this.request('profile', `/users/${username}`);
+    }
+
+    async getUserRepositories(username) {
+        return this.request('repos', `/users/${username}/repos?sort=updated&per_page=${this.reposPerUser}`);
+    }
+
+    // The user's latest public events (pushes, pull requests, reviews, ...)
+    async getUserEvents(username) {
+        return this.request('events', `/users/${username}/events?per_page=${RECENT_EVENTS_PAGE}`);
+    }
+
+    // Public events in the last RECENT_ACTIVITY_DAYS, or null when they are not fetched or
+    // cannot be; GitHub keeps at most 90 days of events
+    async getRecentActivity(username) {
+        if (!this.fetchEvents) return null;
+        try {
+            const events = await this.getUserEvents(username);
+            const since = Date.now() - RECENT_ACTIVITY_DAYS * 24 * 60 * 60 * 1000;
+            return events.filter(event => new Date(event.created_at).getTime() >= since).length;
+        } catch (error) {
+            if (error instanceof FixtureMissingError) throw error;
+            console.error(`Error fetching events of ${username}:`, error.message);
+            return null;
+        }
+    }
+
+    // { language: bytes } of one repository
+    async getRepositoryLanguages(fullName) {
+        return this.request('languages', `/repos/${fullName}/languages`);
+    }
+
+    // Language profile of the languageRepos most relevant repositories, fetching the byte
+    // breakdowns GraphQL did not already include. A repository whose breakdown cannot be
+    // fetched counts with its primary language.
+    async getLanguageProfile(username, repositories) {
+        // Without breakdowns GraphQL's are dropped too, so both backends agree
+        if (this.languageRepos === 0) {
+            return languageProfile(relevantRepositories(repositories).map(({ languages, ...repo }) => repo));
+        }
+
+        const selected = await Promise.all(relevantRepositories(repositories, this.languageRepos).map(async (repo) => {
+            if (repo.languages) return repo;
+            const fullName = repo.full_name || `${username}/${repo.name}`;
+            try {
+                return { ...repo, languages: await this.getRepositoryLanguages(fullName) };
+            } catch (error) {
+                if (error instanceof FixtureMissingError) throw error;
+                console.error(`Error fetching languages of ${fullName}:`, error.message);
+                return repo;
+            }
+        }));
+        return languageProfile(selected);
+    }
+
+    // Canonical candidates for the search hits; users whose profile cannot be fetched are skipped
+    async enrichCandidates(users, jobRequirements) {
+        if (this.enrichment === 'graphql') {
+            return this.enrichCandidatesGraphQL(users, jobRequirements);
+        }
+
+        const enriched = await mapWithConcurrency(users, this.enrichConcurrency, async (user) => {
+            try {
+                // Profile first, so a missing or suspended user costs one call
+                const profile = await this.getUserProfile(user.login);
+                const repositories = await this.getUserRepositories(user.login);
+                const languages = await this.getLanguageProfile(user.login, repositories);
+                const recentEvents = await this.getRecentActivity(user.login);
+                return toCandidate(user, profile, repositories, jobRequirements, { languages, recentEvents });
+            } catch (error) {
+                if (error instanceof FixtureMissingError) throw error;
+                console.error(`Error enriching candidate ${user.login}:`, error.message);
+                return null;
+            }
+        });
+        return enriched.filter(candidate => candidate !== null);
+    }
+
+    // Same as the REST path, one query per graphqlBatchSize users. Batches run one at a time,
+    // as GitHub asks of GraphQL clients; a failed batch skips its users.
+    async enrichCandidatesGraphQL(users, jobRequirements) {
+        const candidates = [];
+        for (let start = 0; start < users.length; start += this.graphqlBatchSize) {
+            const batch = users.slice(start, start + this.graphqlBatchSize);
+            let result;
+            try {
+                result = await this.request('graphql', '/graphql', buildEnrichmentQuery(batch.map(user => user.login), {
+                    reposPerUser: this.reposPerUser
+                }));
+            } catch (error) {
+                if (error instanceof FixtureMissingError) throw error;
+                console.error(`Error enriching candidates ${batch.map(user => user.login).join(', ')}:`, error.message);
+                continue;
+            }
+
+            const errors = errorsByAlias(result.errors);
+            for (const [index, user] of batch.entries()) {
+                const node = result.data?.[`u${index}`];
+                if (!node) {
+                    console.error(`Error enriching candidate ${user.login}:`, errors[`u${index}`] || 'not found');
+                    continue;
+                }
+                const { profile, repositories, activity } = fromGraphQLUser(node);
+                const languages = await this.getLanguageProfile(user.login, repositories);
+                candidates.push(toCandidate(user, profile, repositories, jobRequirements, { ...activity, languages }));
+            }
+        }
+        return candidates;
+    }
+
+    scoreCandidates(candidates, jobRequirements) {
+        return filterByEmploymentTerms(candidates, jobRequirements).eligible
+            .map(candidate => ({ ...candidate, score: scoreCandidate(candidate, jobRequirements) }))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, this.maxCandidates);
+    }
+
+    removeDuplicates(users) {
+        const seen = new Set();
+        return users.filter(user => {
+            if (seen.has(user.login)) {
+                return false;
+            }
+            seen.add(user.login);
+            return true;
+        });
+    }
+
+    // One GitHub API call through the middleware; `body` makes it a POST
+    async request(kind, endpoint, body) {
+        const send = this.middleware.reduceRight(
+            (next, middleware) => (middleware.request ? request => middleware.request(request, next) : next),
+            request => this.send(request)
+        );
+        const url = kind === 'graphql' ? this.graphqlURL : `${this.baseURL}${endpoint}`;
+        return send({ kind, endpoint, url, ...(body ? { body: JSON.stringify(body) } : {}) });
+    }
+
+    async send(request) {
+        let response;
+        try {
+            response = await this.fixtures.fetch(request.url, request.body
+                ? { method: 'POST', headers: { ...this.headers, 'Content-Type': 'application/json' }, body: request.body }
+                : { headers: this.headers });
+        } catch (error) {
+            // A replay without a recording is a broken test setup, not a network error to retry
+            if (error instanceof FixtureMissingError) throw error;
+            throw new GitHubAPIError(`GitHub API request failed: ${error.message}`, { url: request.url });
+        }
+
+        request.responseHeaders = Object.fromEntries(response.headers.entries());
+        if (!response.ok) {
+            const body = await response.text();
+            let apiMessage = body;
+            try {
+                apiMessage = JSON.parse(body).message || body;
+            } catch (error) {
+                // not JSON, keep the raw text
+            }
+            const error = new GitHubAPIError(`GitHub API error: ${response.status} ${response.statusText} (${request.endpoint})${apiMessage ? `: ${apiMessage}` : ''}`, {
+                status: response.status,
+                url: request.url,
+                headers: request.responseHeaders,
+                apiMessage
+            });
+            if (error.permissionDenied) {
+                error.message += ` (permission denied; check that GITHUB_TOKEN ${this.apiToken ? 'has access to this resource' : 'is set'})`;
+            }
+            throw error;
+        }
+
+        const data = await response.json();
+        // GraphQL reports failures in a 200 answer; partial data (e.g. one unknown user) is kept
+        if (request.kind === 'graphql' && data.errors?.length > 0 && !data.data) {
+            throw graphQLError(request, response, request.responseHeaders, data.errors);
+        }
+        return data;
+    }
+
+    // One step of the search through the middleware
+    async stage(name, run) {
+        const wrapped = this.middleware.reduceRight(
+            (next, middleware) => (middleware.stage ? () => middleware.stage(name, next) : next),
+            run
+        );
+        return wrapped();
+    }
+
+    // Budgets and throttling of the rate-limit middleware, or null without one
+    getRateLimitStats() {
+        return this.middleware.find(middleware => middleware.manager)?.manager.getStats() || null;
+    }
+
+    // Candidates are already in the canonical shape; kept for existing callers
+    formatCandidateOutput(candidate) {
+        return candidate;
+    }
+}
+
+export { GitHubCrawlerCore, GitHubAPIError, ENRICHMENT_BACKENDS };
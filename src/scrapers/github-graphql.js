@@ -0,0 +1,105 @@
+// src/scrapers/github-graphql.js
+
+// GraphQL enrichment: one aliased query fetches the profile, latest repositories (with
+// language byte counts and topics), contribution total and pinned repositories of a batch of
+// users, where the REST path needs a profile and a repositories call per user. Results are
+// converted to the REST field names so candidate-model.js builds the same candidate from
+// either path. GraphQL needs a token (GITHUB_TOKEN); its budget is the 'graphql' resource.
+
+const TOPICS_PER_REPO = 20;
+const LANGUAGES_PER_REPO = 20;
+const PINNED_ITEMS = 6;
+
+const USER_FIELDS = `
+fragment CandidateFields on User {
+    login
+    name
+    url
+    avatarUrl
+    location
+    isHireable
+    createdAt
+    followers { totalCount }
+    repositories(first: $reposPerUser, ownerAffiliations: OWNER, privacy: PUBLIC, orderBy: { field: UPDATED_AT, direction: DESC }) {
+        totalCount
+        nodes {
+            name
+            nameWithOwner
+            description
+            stargazerCount
+            forkCount
+            isFork
+            mirrorUrl
+            primaryLanguage { name }
+            languages(first: ${LANGUAGES_PER_REPO}, orderBy: { field: SIZE, direction: DESC }) { edges { size node { name } } }
+            repositoryTopics(first: ${TOPICS_PER_REPO}) { nodes { topic { name } } }
+        }
+    }
+    contributionsCollection { contributionCalendar { totalContributions } }
+    pinnedItems(first: ${PINNED_ITEMS}, types: REPOSITORY) {
+        nodes { ... on Repository { nameWithOwner } }
+    }
+}`;
+
+// { query, variables } for `logins`; user i is aliased u<i>, and logins are passed as
+// variables so no user input ends up in the query text
+function buildEnrichmentQuery(logins, { reposPerUser = 100 } = {}) {
+    const params = logins.map((login, index) => `$login${index}: String!`).join(', ');
+    const aliases = logins.map((login, index) => `    u${index}: user(login: $login${index}) { ...CandidateFields }`).join('\n');
+    const variables = Object.fromEntries(logins.map((login, index) => [`login${index}`, login]));
+
+    return {
+        query: `query Candidates($reposPerUser: Int!, ${params}) {\n${aliases}\n}\n${USER_FIELDS}`,
+        variables: { reposPerUser: Math.min(reposPerUser, 100), ...variables }
+    };
+}
+
+// { profile, repositories, activity } in the REST field names from one aliased user
+function fromGraphQLUser(user) {
+    const profile = {
+        login: user.login,
+        name: user.name,
+        html_url: user.url,
+        avatar_url: user.avatarUrl,
+        location: user.location,
+        hireable: user.isHireable,
+        followers: user.followers?.totalCount ?? 0,
+        public_repos: user.repositories?.totalCount ?? 0,
+        created_at: user.createdAt
+    };
+
+    const repositories = (user.repositories?.nodes || []).map(repo => ({
+        name: repo.name,
+        full_name: repo.nameWithOwner,
+        description: repo.description,
+        stargazers_count: repo.stargazerCount,
+        forks_count: repo.forkCount,
+        fork: repo.isFork,
+        mirror_url: repo.mirrorUrl,
+        language: repo.primaryLanguage?.name || null,
+        // Same { language: bytes } as the REST languages endpoint
+        languages: Object.fromEntries((repo.languages?.edges || []).map(edge => [edge.node.name, edge.size])),
+        topics: (repo.repositoryTopics?.nodes || []).map(node => node.topic.name)
+    }));
+
+    const activity = {
+        contributions: user.contributionsCollection?.contributionCalendar?.totalContributions ?? null,
+        pinned: (user.pinnedItems?.nodes || []).map(repo => repo.nameWithOwner).filter(Boolean)
+    };
+
+    return { profile, repositories, activity };
+}
+
+// Error messages for the aliases of a batch, e.g. { u3: "Could not resolve to a User ..." }
+function errorsByAlias(errors = []) {
+    const byAlias = {};
+    errors.forEach(error => {
+        const alias = error.path?.[0];
+        if (alias && !byAlias[alias]) {
+            byAlias[alias] = error.message;
+        }
+    });
+    return byAlias;
+}
+
+export { buildEnrichmentQuery, fromGraphQLUser, errorsByAlias };
@@ -0,0 +1,184 @@
+// src/scrapers/github-rate-limit.js
+
+import { RateLimiter } from '../utils/rate-limiter.js';
+import { GitHubAPIError } from './github-crawler-core.js';
+
+// GitHub rate limits, driven by what GitHub reports. Every response carries
+// X-RateLimit-Resource / -Limit / -Remaining / -Reset, and the manager keeps one budget per
+// resource ('core', 'search', 'graphql'). Requests are throttled before a budget runs out:
+//   remaining above the reserve     no delay
+//   remaining at or below it        the rest of the budget is spread evenly until the reset
+//   nothing left                    wait for the reset
+// A secondary rate limit (too many requests too fast) pauses every request for Retry-After,
+// or for a minute doubling with each repeat, as GitHub asks. A wait longer than maxWaitMs
+// fails with GitHubRateLimitError instead of stalling the run.
+//
+//   GITHUB_RATE_LIMIT_RESERVE       share of each budget kept for spreading out (default 0.1)
+//   GITHUB_RATE_LIMIT_MAX_WAIT_MS   longest wait before giving up (default 5 minutes)
+//   GITHUB_MAX_CONCURRENCY          requests in flight (default 5)
+
+const SECONDARY_LIMIT_BASE_MS = 60000;
+
+// A rate-limit wait too long to sit out
+class GitHubRateLimitError extends GitHubAPIError {
+    constructor(message, { resource, resetAt, ...options } = {}) {
+        super(message, options);
+        this.name = 'GitHubRateLimitError';
+        this.resource = resource;
+        this.resetAt = resetAt;
+        this.retryable = false;
+    }
+}
+
+function optionsFromEnv() {
+    const number = name => (process.env[name] ? parseFloat(process.env[name]) : undefined);
+    return {
+        reserve: number('GITHUB_RATE_LIMIT_RESERVE'),
+        maxWaitMs: number('GITHUB_RATE_LIMIT_MAX_WAIT_MS'),
+        maxConcurrent: number('GITHUB_MAX_CONCURRENCY')
+    };
+}
+
+// Resource a request is counted against
+function resourceFor(kind) {
+    if (kind === 'search') return 'search';
+    if (kind === 'graphql') return 'graphql';
+    return 'core';
+}
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+class GitHubRateLimitManager {
+    constructor(options = {}) {
+        const defaults = optionsFromEnv();
+        this.reserve = options.reserve ?? defaults.reserve ?? 0.1;
+        this.maxWaitMs = options.maxWaitMs ?? defaults.maxWaitMs ?? 5 * 60000;
+        this.budgets = {};
+        this.pausedUntil = 0;
+        this.secondaryHits = 0; // consecutive secondary limits, for the backoff
+        // Only the in-flight limit; the budgets above decide when a request may be sent
+        this.slots = new RateLimiter({ maxConcurrent: options.maxConcurrent ?? defaults.maxConcurrent ?? 5 });
+        this.stats = { requests: 0, throttled: 0, totalWaitMs: 0, secondaryLimits: 0, exhausted: 0 };
+    }
+
+    // Milliseconds before a `resource` request may go out
+    waitFor(resource) {
+        const now = Date.now();
+        if (now < this.pausedUntil) return this.pausedUntil - now;
+
+        const budget = this.budgets[resource];
+        if (!budget || now >= budget.resetAt) return 0;
+        if (budget.remaining <= 0) return budget.resetAt - now;
+
+        const reserved = Math.max(1, Math.ceil(budget.limit * this.reserve));
+        if (budget.remaining > reserved) return 0;
+        const interval = (budget.resetAt - now) / budget.remaining;
+        return Math.max(0, Math.ceil(budget.lastRequestAt + interval - now));
+    }
+
+    // Resolves to release() once a `resource` request may be sent
+    async acquire(resource) {
+        for (;;) {
+            const wait = this.waitFor(resource);
+            if (wait === 0) break;
+
+            const budget = this.budgets[resource];
+            if (wait > this.maxWaitMs) {
+                const paused = Date.now() < this.pausedUntil;
+                throw new GitHubRateLimitError(paused
+                    ? `GitHub secondary rate limit: requests paused for ${Math.ceil(wait / 1000)}s, longer than the ${Math.round(this.maxWaitMs / 1000)}s allowed`
+                    : `GitHub ${resource} rate limit exhausted (${budget.limit} requests) until ${new Date(budget.resetAt).toISOString()}${budget.limit <= 60 ? '; set GITHUB_TOKEN for a higher limit' : ''}`, {
+                    resource,
+                    resetAt: paused ? new Date(this.pausedUntil).toISOString() : new Date(budget.resetAt).toISOString(),
+                    status: 403
+                });
+            }
+            if (wait >= 5000) {
+                console.warn(`⏳ GitHub ${resource} budget low (${budget?.remaining ?? 0} left), waiting ${Math.ceil(wait / 1000)}s`);
+            }
+            this.stats.throttled++;
+            this.stats.totalWaitMs += wait;
+            await delay(wait);
+        }
+
+        // Count the request now, so concurrent callers see the smaller budget
+        const budget = this.budgets[resource];
+        if (budget && Date.now() < budget.resetAt) {
+            budget.remaining--;
+            budget.lastRequestAt = Date.now();
+        }
+        this.stats.requests++;
+        return this.slots.acquire();
+    }
+
+    // Budget from a response's X-RateLimit-* headers; the resource header wins over the guess
+    update(resource, headers = {}) {
+        if (headers['x-ratelimit-remaining'] === undefined || headers['x-ratelimit-reset'] === undefined) return;
+
+        const name = headers['x-ratelimit-resource'] || resource;
+        const budget = {
+            limit: parseInt(headers['x-ratelimit-limit'], 10) || 0,
+            remaining: parseInt(headers['x-ratelimit-remaining'], 10),
+            resetAt: parseInt(headers['x-ratelimit-reset'], 10) * 1000,
+            lastRequestAt: Date.now()
+        };
+        const current = this.budgets[name];
+        // Responses can arrive out of order; within one window the lowest count is the latest
+        if (current && current.resetAt === budget.resetAt) {
+            budget.remaining = Math.min(budget.remaining, current.remaining);
+        }
+        this.budgets[name] = budget;
+    }
+
+    // Success resets the secondary-limit backoff
+    recordSuccess(resource, headers) {
+        this.update(resource, headers);
+        this.secondaryHits = 0;
+    }
+
+    recordFailure(resource, error) {
+        this.update(resource, error.headers);
+        if (error.rateLimited) {
+            this.stats.exhausted++;
+        }
+        if (error.secondaryRateLimit) {
+            this.stats.secondaryLimits++;
+            const wait = error.retryAfterMs ?? SECONDARY_LIMIT_BASE_MS * 2 ** this.secondaryHits;
+            this.secondaryHits++;
+            this.pausedUntil = Math.max(this.pausedUntil, Date.now() + wait);
+            console.warn(`⚠️  GitHub secondary rate limit, pausing requests for ${Math.ceil(wait / 1000)}s`);
+        }
+    }
+
+    getStats() {
+        const budgets = Object.fromEntries(Object.entries(this.budgets).map(([name, budget]) => [name, {
+            limit: budget.limit,
+            remaining: budget.remaining,
+            resetAt: new Date(budget.resetAt).toISOString()
+        }]));
+        return { ...this.stats, budgets, pausedUntil: this.pausedUntil > Date.now() ? new Date(this.pausedUntil).toISOString() : null };
+    }
+}
+
+// "core 4,812/5,000, search 27/30; 3 throttled (12.4s)" for console summaries
+function formatRateLimitStats(stats) {
+    const budgets = Object.entries(stats.budgets)
+        .map(([name, budget]) => `${name} ${budget.remaining.toLocaleString('en-US')}/${budget.limit.toLocaleString('en-US')}`);
+    const throttled = stats.throttled > 0 ? `; ${stats.throttled} throttled (${(stats.totalWaitMs / 1000).toFixed(1)}s)` : '';
+    const secondary = stats.secondaryLimits > 0 ? `; ${stats.secondaryLimits} secondary limits` : '';
+    return `${budgets.length > 0 ? budgets.join(', ') : 'no budgets reported'}${throttled}${secondary}`;
+}
+
+let rateLimitManagerInstance = null;
+
+// The process-wide manager; GitHub budgets belong to the token, not to one crawler
+function getGitHubRateLimitManager(options = {}) {
+    if (!rateLimitManagerInstance) {
+        rateLimitManagerInstance = new GitHubRateLimitManager(options);
+    }
+    return rateLimitManagerInstance;
+}
+
+export { GitHubRateLimitManager, GitHubRateLimitError, getGitHubRateLimitManager, formatRateLimitStats, resourceFor };
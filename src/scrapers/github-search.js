@@ -0,0 +1,143 @@
+// src/scrapers/github-search.js
+
+import fs from 'fs/promises';
+import path from 'path';
+
+// Deep GitHub user search. GitHub returns at most 1,000 results per search query, so a query
+// with more matches is split into disjoint ranges of one qualifier and each range is searched
+// on its own:
+//   created     account creation date, bisected (created:2008-01-01..2015-06-30)
+//   followers   follower count, bisected; the open top range doubles (followers:>=200)
+//   repos       public repository count, like followers
+// A range still over the cap is split again until it fits, cannot be split or the partition
+// limit is reached. The dimension is the preferred one, or the next one the query does not
+// already constrain.
+//
+// A SearchCursor records the ranges and pages still to fetch and the users found so far. With
+// a file path it is saved after every page, so a search stopped by an error or a rate limit
+// resumes where it left off on the next run.
+
+const SEARCH_RESULT_CAP = 1000;
+const PARTITION_DIMENSIONS = ['created', 'followers', 'repos'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FIRST_ACCOUNT_DATE = '2007-10-01';
+
+function toDay(date) {
+    return Math.floor(new Date(date).getTime() / DAY_MS);
+}
+
+function fromDay(day) {
+    return new Date(day * DAY_MS).toISOString().slice(0, 10);
+}
+
+// Qualifier for a range; hi is null for an open top range
+function qualifier(dimension, [lo, hi]) {
+    if (dimension === 'created') {
+        return `created:${fromDay(lo)}..${fromDay(hi)}`;
+    }
+    return hi === null ? `${dimension}:>=${lo}` : `${dimension}:${lo}..${hi}`;
+}
+
+function fullRange(dimension) {
+    return dimension === 'created' ? [toDay(FIRST_ACCOUNT_DATE), toDay(Date.now())] : [0, null];
+}
+
+// Two halves of a range, or null when it is a single value
+function splitRange([lo, hi]) {
+    if (hi === null) {
+        const mid = lo === 0 ? 99 : lo * 2 - 1;
+        return [[lo, mid], [mid + 1, null]];
+    }
+    if (lo >= hi) return null;
+    const mid = Math.floor((lo + hi) / 2);
+    return [[lo, mid], [mid + 1, hi]];
+}
+
+// The preferred dimension, else the first one the query does not already use; null if none is free
+function partitionDimensionFor(query, preferred = 'created') {
+    const used = dimension => new RegExp(`(^|\\s)${dimension}:`).test(query);
+    return [preferred, ...PARTITION_DIMENSIONS].find(dimension => !used(dimension)) || null;
+}
+
+// Search tasks covering `task` in two ranges, or null when it cannot be split further
+function splitTask(task, preferred) {
+    const dimension = task.dimension || partitionDimensionFor(task.base, preferred);
+    if (!dimension) return null;
+
+    const halves = splitRange(task.range || fullRange(dimension));
+    if (!halves) return null;
+    return halves.map(range => ({
+        base: task.base,
+        query: `${task.base} ${qualifier(dimension, range)}`,
+        dimension,
+        range,
+        page: 1
+    }));
+}
+
+// Progress of the searches of one run, keyed by base query
+class SearchCursor {
+    constructor(filePath = null, settings = {}) {
+        this.filePath = filePath;
+        this.settings = settings;
+        this.queries = {};
+    }
+
+    // The saved cursor when it was made with the same settings, else a fresh one
+    static async load(filePath, settings = {}) {
+        const cursor = new SearchCursor(filePath, settings);
+        if (!filePath) return cursor;
+
+        let saved;
+        try {
+            saved = JSON.parse(await fs.readFile(filePath, 'utf8'));
+        } catch (error) {
+            return cursor;
+        }
+        if (JSON.stringify(saved.settings) !== JSON.stringify(settings)) {
+            console.warn(`⚠️  Search cursor ${filePath} was saved with other search settings; starting over`);
+            return cursor;
+        }
+
+        cursor.queries = saved.queries || {};
+        const pending = Object.values(cursor.queries).filter(state => !state.complete).length;
+        console.log(`↩️  Resuming search from ${filePath} (${pending} queries unfinished)`);
+        return cursor;
+    }
+
+    // State of `query`, created on first use: { pending (tasks), users, partitions (ranges), complete }
+    start(query) {
+        if (!this.queries[query]) {
+            this.queries[query] = {
+                pending: [{ base: query, query, page: 1 }],
+                users: [],
+                partitions: 1,
+                complete: false
+            };
+        }
+        return this.queries[query];
+    }
+
+    async save() {
+        if (!this.filePath) return;
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.writeFile(this.filePath, JSON.stringify({
+            settings: this.settings,
+            queries: this.queries,
+            savedAt: new Date().toISOString()
+        }, null, 2));
+    }
+
+    // Removes the file once every search is complete; keeps it for the next run otherwise
+    async finish() {
+        if (!this.filePath) return;
+        if (Object.values(this.queries).every(state => state.complete)) {
+            await fs.rm(this.filePath, { force: true });
+        } else {
+            await this.save();
+        }
+    }
+}
+
+export { SearchCursor, SEARCH_RESULT_CAP, PARTITION_DIMENSIONS, partitionDimensionFor, splitTask };
@@ -0,0 +1,187 @@
+// src/skills/skill-graph.js
+
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { getSkillTaxonomy } from './skill-taxonomy.js';
+
+// Weighted "knowing X implies Y" graph between skills, plus the GitHub languages
+// that evidence each skill. Answers two questions for query building and scoring:
+//   getImpliedSkills('tensorflow')   -> python (0.95), deep-learning (0.9), machine-learning (0.86), ...
+//   getEvidenceLanguages('django')   -> ['Python']
+//
+// The bundled graph lives in skill-graph.json. Extra JSON or YAML files listed in
+// SKILL_GRAPH_PATH (separated like PATH) are merged on top, so teams can add niche
+// stacks without editing source. Skills are keyed by taxonomy id, name or alias;
+// ids the taxonomy does not know are kept as custom skills.
+
+const DEFAULT_GRAPH_PATH = new URL('./skill-graph.json', import.meta.url);
+const require = createRequire(import.meta.url);
+
+function readGraphFile(filePath) {
+    const content = fs.readFileSync(filePath, 'utf8');
+    const extension = path.extname(String(filePath)).toLowerCase();
+
+    if (extension === '.yaml' || extension === '.yml') {
+        const YAML = require('yaml');
+        return YAML.parse(content) || {};
+    }
+    return JSON.parse(content);
+}
+
+function quoteLanguage(language) {
+    return /\s/.test(language) ? `language:"${language}"` : `language:${language}`;
+}
+
+class SkillImplicationGraph {
+    constructor(taxonomy = getSkillTaxonomy()) {
+        this.taxonomy = taxonomy;
+        this.version = null;
+        this.edges = new Map();     // id -> Map(impliedId -> weight)
+        this.languages = new Map(); // id -> [GitHub language names]
+        this.sources = [];
+    }
+
+    // Taxonomy id for known skills, lowercase text for custom ones
+    idFor(skill) {
+        return this.taxonomy.canonicalize(skill);
+    }
+
+    nameFor(id) {
+        return this.taxonomy.get(id)?.name || id;
+    }
+
+    // Merge a graph document: { version, skills: { id: { implies: { id: weight }, languages: [] } } }.
+    // Later documents override edge weights and replace language lists for the skills they mention.
+    merge(data, source = 'inline') {
+        if (!data || typeof data.skills !== 'object' || Array.isArray(data.skills)) {
+            throw new Error(`Skill graph ${source} must have a "skills" object`);
+        }
+
+        this.version = data.version || this.version;
+        this.sources.push(String(source));
+
+        for (const [skill, entry] of Object.entries(data.skills)) {
+            const id = this.idFor(skill);
+            if (!this.edges.has(id)) {
+                this.edges.set(id, new Map());
+            }
+
+            for (const [implied, weight] of Object.entries(entry?.implies || {})) {
+                if (typeof weight !== 'number' || weight <= 0 || weight > 1) {
+                    throw new Error(`Skill graph ${source}: weight for ${skill} -> ${implied} must be in (0, 1]`);
+                }
+                const impliedId = this.idFor(implied);
+                if (impliedId !== id) {
+                    this.edges.get(id).set(impliedId, weight);
+                }
+            }
+
+            if (entry?.languages) {
+                this.languages.set(id, [...entry.languages]);
+            }
+        }
+
+        return this;
+    }
+
+    has(skill) {
+        const id = this.idFor(skill);
+        return this.edges.has(id) || this.languages.has(id);
+    }
+
+    // Skills implied by knowing `skill`, strongest first. Transitive weights multiply along
+    // the path (react -> javascript 0.9) and the strongest path to each skill wins.
+    getImpliedSkills(skill, options = {}) {
+        const { transitive = true, minWeight = 0.5 } = options;
+        const startId = this.idFor(skill);
+        const best = new Map([[startId, { weight: 1, path: [startId] }]]);
+        const queue = [startId];
+
+        while (queue.length > 0) {
+            // Expand the heaviest pending skill first so each one is settled with its best weight
+            queue.sort((a, b) => best.get(b).weight - best.get(a).weight);
+            const current = queue.shift();
+            const { weight, path: currentPath } = best.get(current);
+
+            for (const [next, edgeWeight] of this.edges.get(current) || []) {
+                const nextWeight = weight * edgeWeight;
+                if (nextWeight < minWeight || (best.has(next) && best.get(next).weight >= nextWeight)) {
+                    continue;
+                }
+                best.set(next, { weight: nextWeight, path: [...currentPath, next] });
+                if (transitive) {
+                    queue.push(next);
+                }
+            }
+        }
+
+        best.delete(startId);
+        return [...best.entries()]
+            .map(([id, { weight, path: skillPath }]) => ({
+                id,
+                name: this.nameFor(id),
+                weight: Math.round(weight * 1000) / 1000,
+                path: skillPath
+            }))
+            .sort((a, b) => b.weight - a.weight || a.id.localeCompare(b.id));
+    }
+
+    // GitHub languages whose repos evidence `skill`. Skills without their own mapping
+    // borrow it from the strongest implied skill that has one; unknown skills get [].
+    getEvidenceLanguages(skill, options = {}) {
+        const id = this.idFor(skill);
+        if (this.languages.has(id)) {
+            return [...this.languages.get(id)];
+        }
+
+        const { minWeight = 0.6 } = options;
+        for (const implied of this.getImpliedSkills(id, { minWeight })) {
+            if (this.languages.has(implied.id)) {
+                return [...this.languages.get(implied.id)];
+            }
+        }
+        return [];
+    }
+
+    // GitHub search qualifiers for the evidence languages ("language:Python", 'language:"Jupyter Notebook"')
+    getLanguageQualifiers(skill, options = {}) {
+        const { limit = Infinity } = options;
+        return this.getEvidenceLanguages(skill, options).slice(0, limit).map(quoteLanguage);
+    }
+}
+
+function extensionPathsFromEnv() {
+    return (process.env.SKILL_GRAPH_PATH || '')
+        .split(path.delimiter)
+        .map(entry => entry.trim())
+        .filter(Boolean);
+}
+
+function loadSkillGraph(options = {}) {
+    const {
+        filePath = DEFAULT_GRAPH_PATH,
+        extensions = extensionPathsFromEnv(),
+        taxonomy = getSkillTaxonomy()
+    } = options;
+
+    const graph = new SkillImplicationGraph(taxonomy);
+    graph.merge(readGraphFile(filePath), filePath instanceof URL ? 'skill-graph.json' : filePath);
+
+    for (const extensionPath of extensions) {
+        graph.merge(readGraphFile(extensionPath), extensionPath);
+    }
+
+    return graph;
+}
+
+let graphInstance = null;
+
+export function getSkillGraph() {
+    if (!graphInstance) {
+        graphInstance = loadSkillGraph();
+    }
+    return graphInstance;
+}
+
+export { SkillImplicationGraph, loadSkillGraph };
@@ -0,0 +1,231 @@
+// src/skills/skill-taxonomy.js
+
+import fs from 'fs';
+
+// Canonical skill vocabulary shared by the job parser and every crawler.
+// Skills have a stable lowercase id, a display name, a category, aliases and an
+// optional parent ("PostgreSQL" is a kind of "SQL", "PyTorch" a kind of "Deep Learning").
+//
+// Text matching is word-boundary aware, so "ml" does not match inside "html" and
+// "go" does not match inside "django". Spellings in `aliases` match case-insensitively;
+// names flagged `caseSensitive` and `caseSensitiveAliases` only match with exact casing
+// ("Go", "Spring", "REST") to avoid hits on ordinary English words. `lookupAliases` resolve
+// exact names only (GitHub's "Shell" language, a "ts" requirement) and are never matched in
+// free text, where "TS/SCI" or "a shell of patience" would hit. `notFollowedBy` lists
+// characters that make a match part of a longer term, e.g. "-" for "Go-to-market".
+
+const DEFAULT_TAXONOMY_PATH = new URL('./taxonomy.json', import.meta.url);
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function normalize(text) {
+    return String(text).trim().toLowerCase();
+}
+
+// Letters, digits, "_", "+" and "#" continue a token, as do the skill's `notFollowedBy`
+// characters after it; everything else is a boundary
+function boundedPattern(spellings, flags, notFollowedBy = '') {
+    const alternatives = spellings
+        .sort((a, b) => b.length - a.length)
+        .map(escapeRegExp)
+        .join('|');
+    const continuation = notFollowedBy.replace(/[\]\\^-]/g, '\\$&');
+    return new RegExp(`(?<![A-Za-z0-9_])(?:${alternatives})(?![A-Za-z0-9_+#${continuation}])`, flags);
+}
+
+class SkillTaxonomy {
+    constructor(data) {
+        this.version = data.version;
+        this.categories = data.categories || {};
+        this.skills = new Map();
+        this.lookup = new Map();
+        this.childrenOf = new Map();
+        this.matchers = [];
+
+        for (const skill of data.skills) {
+            this.addSkill(skill);
+        }
+
+        for (const skill of this.skills.values()) {
+            if (skill.parent && !this.skills.has(skill.parent)) {
+                throw new Error(`Skill "${skill.id}" has unknown parent "${skill.parent}"`);
+            }
+            if (skill.parent) {
+                this.childrenOf.get(skill.parent).push(skill.id);
+            }
+        }
+    }
+
+    addSkill(skill) {
+        if (this.skills.has(skill.id)) {
+            throw new Error(`Duplicate skill id "${skill.id}" in taxonomy`);
+        }
+
+        const entry = {
+            id: skill.id,
+            name: skill.name,
+            category: skill.category,
+            parent: skill.parent || null,
+            aliases: skill.aliases || [],
+            released: skill.released || null
+        };
+        this.skills.set(entry.id, entry);
+        this.childrenOf.set(entry.id, []);
+
+        // Exact lookups (a job's "requiredSkills" entry, a repo's primary language) ignore case
+        for (const spelling of [skill.id, skill.name, ...entry.aliases, ...(skill.caseSensitiveAliases || []), ...(skill.lookupAliases || [])]) {
+            if (!this.lookup.has(normalize(spelling))) {
+                this.lookup.set(normalize(spelling), entry.id);
+            }
+        }
+
+        const insensitive = [...entry.aliases];
+        const sensitive = [...(skill.caseSensitiveAliases || [])];
+        if (skill.matchName !== false) {
+            (skill.caseSensitive ? sensitive : insensitive).push(skill.name);
+        }
+        if (insensitive.length > 0) this.matchers.push({ id: entry.id, pattern: boundedPattern(insensitive, 'gi', skill.notFollowedBy) });
+        if (sensitive.length > 0) this.matchers.push({ id: entry.id, pattern: boundedPattern(sensitive, 'g', skill.notFollowedBy) });
+    }
+
+    get(id) {
+        return this.skills.get(id) || null;
+    }
+
+    // Resolve a skill name, alias or id to its taxonomy entry
+    resolve(name) {
+        if (name === null || name === undefined) return null;
+        const id = this.lookup.get(normalize(name));
+        return id ? this.skills.get(id) : null;
+    }
+
+    // Canonical id for a known skill, otherwise the normalised input
+    canonicalize(name) {
+        const skill = this.resolve(name);
+        return skill ? skill.id : normalize(name);
+    }
+
+    // Every skill mention in free text, with offsets. Overlapping mentions keep the longest
+    // one, so "Spring Boot" yields spring-boot rather than spring as well.
+    findInText(text) {
+        if (!text) return [];
+
+        const mentions = [];
+        for (const matcher of this.matchers) {
+            matcher.pattern.lastIndex = 0;
+            let match;
+            while ((match = matcher.pattern.exec(text)) !== null) {
+                mentions.push({ id: matcher.id, start: match.index, end: match.index + match[0].length, text: match[0] });
+            }
+        }
+
+        mentions.sort((a, b) => (b.end - b.start) - (a.end - a.start) || a.start - b.start);
+        const kept = [];
+        for (const mention of mentions) {
+            if (!kept.some(other => mention.start < other.end && other.start < mention.end)) {
+                kept.push(mention);
+            }
+        }
+
+        return kept
+            .sort((a, b) => a.start - b.start)
+            .map(mention => ({ ...mention, name: this.skills.get(mention.id).name }));
+    }
+
+    // Unique skill ids mentioned in text, in order of first appearance
+    extractSkills(text) {
+        return [...new Set(this.findInText(text).map(mention => mention.id))];
+    }
+
+    getCategory(id) {
+        return this.skills.get(id)?.category || null;
+    }
+
+    // Year of the first stable public release, for tools and languages that have one
+    getReleaseYear(id) {
+        return this.skills.get(id)?.released || null;
+    }
+
+    getParent(id) {
+        const parentId = this.skills.get(id)?.parent;
+        return parentId ? this.skills.get(parentId) : null;
+    }
+
+    getChildren(id) {
+        return (this.childrenOf.get(id) || []).map(childId => this.skills.get(childId));
+    }
+
+    getAncestors(id) {
+        const ancestors = [];
+        let current = this.getParent(id);
+        while (current && !ancestors.includes(current)) {
+            ancestors.push(current);
+            current = this.getParent(current.id);
+        }
+        return ancestors;
+    }
+
+    getDescendants(id) {
+        const descendants = [];
+        const queue = [...(this.childrenOf.get(id) || [])];
+        while (queue.length > 0) {
+            const childId = queue.shift();
+            descendants.push(this.skills.get(childId));
+            queue.push(...this.childrenOf.get(childId));
+        }
+        return descendants;
+    }
+
+    // Skill ids a free-form requirement refers to: "PostgreSQL" -> [postgresql],
+    // "TensorFlow/PyTorch" -> [tensorflow, pytorch]. Unknown skills stay as normalised text.
+    resolveRequirement(requirement) {
+        const exact = this.resolve(requirement);
+        if (exact) return [exact.id];
+        const mentioned = this.extractSkills(requirement);
+        return mentioned.length > 0 ? mentioned : [normalize(requirement)];
+    }
+
+    // A requirement is met when the candidate has the skill itself or a more specific child
+    // of it (PostgreSQL satisfies SQL). Requirements naming alternatives need any one of them.
+    matchesSkill(requirement, candidateSkills) {
+        const candidateIds = new Set(candidateSkills.map(skill => this.canonicalize(skill)));
+        return this.resolveRequirement(requirement).some(id =>
+            candidateIds.has(id) || this.getDescendants(id).some(child => candidateIds.has(child.id))
+        );
+    }
+
+    // Strongest evidence for a requirement in { skill: 0-1 }, by the same rules as matchesSkill;
+    // 0 when nothing matches
+    matchStrength(requirement, evidence = {}) {
+        const weights = new Map();
+        Object.entries(evidence).forEach(([skill, weight]) => {
+            const id = this.canonicalize(skill);
+            weights.set(id, Math.max(weights.get(id) || 0, weight));
+        });
+        const ids = this.resolveRequirement(requirement)
+            .flatMap(id => [id, ...this.getDescendants(id).map(child => child.id)]);
+        return Math.max(0, ...ids.map(id => weights.get(id) || 0));
+    }
+
+    countMatches(requirements = [], candidateSkills = []) {
+        return requirements.filter(requirement => this.matchesSkill(requirement, candidateSkills)).length;
+    }
+}
+
+function loadSkillTaxonomy(filePath = DEFAULT_TAXONOMY_PATH) {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return new SkillTaxonomy(data);
+}
+
+let taxonomyInstance = null;
+
+export function getSkillTaxonomy() {
+    if (!taxonomyInstance) {
+        taxonomyInstance = loadSkillTaxonomy();
+    }
+    return taxonomyInstance;
+}
+
+export { SkillTaxonomy, loadSkillTaxonomy };
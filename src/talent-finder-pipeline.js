@@ -1,13 +1,17 @@
 // src/talent-finder-pipeline.js
 
 import { JobRequirementsParser } from './parsers/job-parser.js';
+import { formatSalary } from './parsers/salary.js';
+import { formatEmploymentTerms } from './parsers/employment-terms.js';
 import { findCandidatesForJob } from './github-talent-finder.js';
+import { loadJobDocument } from './ingest/job-document-loader.js';
+import { formatLLMUsage, getPerformanceMonitor } from './utils/performance-monitor.js';
 import dotenv from 'dotenv';
 
 // Load environment variables
 dotenv.config();
 
-async function runTalentFinderPipeline(jobDescription) {
+async function runTalentFinderPipeline(jobDescription, options = {}) {
     try {
         console.log('🚀 Starting Talent Finder Pipeline...');
         console.log('=' .repeat(60));
@@ -15,13 +19,14 @@ async function runTalentFinderPipeline(jobDescription) {
         // Step 1: Parse job description
         console.log('📋 Step 1: Parsing job description with AI...');
         const parser = new JobRequirementsParser();
-        const parsedJob = await parser.parseJobDescription(jobDescription);
+        const parsedJob = await parser.parseJobDescription(jobDescription, { source: options.source, signal: options.signal, priority: options.priority });
         
         console.log('✅ Job parsing completed!');
         console.log(`📋 Job Title: ${parsedJob.title}`);
         console.log(`🏢 Company: ${parsedJob.companyInfo.name}`);
         console.log(`📍 Location: ${parsedJob.location.type} (${parsedJob.location.country})`);
-        console.log(`💰 Salary: $${parsedJob.salary.min?.toLocaleString() || 'N/A'} - $${parsedJob.salary.max?.toLocaleString() || 'N/A'} ${parsedJob.salary.currency}`);
+        console.log(`💰 Salary: ${formatSalary(parsedJob.salary, parsedJob.salaryNormalized)}`);
+        console.log(`💼 Employment: ${formatEmploymentTerms(parsedJob.employment)}`);
         console.log(`📚 Required Skills: ${parsedJob.requiredSkills.join(', ')}`);
         console.log('');
         
@@ -51,6 +56,11 @@ async function runTalentFinderPipeline(jobDescription) {
             console.log('');
         });
         
+        const monitor = getPerformanceMonitor();
+        const llmUsage = monitor.getLLMUsage();
+        const modelStats = monitor.getModelStats();
+        console.log(`💵 LLM Usage: ${formatLLMUsage(llmUsage)}`);
+        
         // Step 4: Save comprehensive results
         const fs = await import('fs/promises');
         const results = {
@@ -58,6 +68,8 @@ async function runTalentFinderPipeline(jobDescription) {
             searchDate: new Date().toISOString(),
             totalCandidates: candidates.length,
             candidates: candidates,
+            llmUsage,
+            modelStats,
             pipelineVersion: '1.0.0'
         };
         
@@ -132,9 +144,15 @@ async function runWithCustomJob(jobDescription) {
     return await runTalentFinderPipeline(jobDescription);
 }
 
+// Function to run with a saved job posting (HTML, PDF, DOCX or text file)
+async function runWithJobFile(filePath) {
+    const document = await loadJobDocument(filePath);
+    return await runTalentFinderPipeline(document.text, { source: document.source });
+}
+
 // Run if this file is executed directly
 if (import.meta.url === `file://${process.argv[1]}`) {
-    runWithSampleJob();
+    process.argv[2] ? runWithJobFile(process.argv[2]) : runWithSampleJob();
 }
 
-export { runTalentFinderPipeline, runWithSampleJob, runWithCustomJob };
+export { runTalentFinderPipeline, runWithSampleJob, runWithCustomJob, runWithJobFile };
@@ -1,9 +1,16 @@
 // src/ultimate-cached-pipeline.js
 
-import { JobRequirementsParser } from './parsers/job-parser.js';
+import { JobRequirementsParser, formatExtraction } from './parsers/job-parser.js';
+import { formatSalary } from './parsers/salary.js';
+import { formatEmploymentTerms } from './parsers/employment-terms.js';
+import { JobDescriptionLinter, formatLintReport } from './lint/job-linter.js';
 import GitHubCrawlerCached from './scrapers/github-crawler-cached.js';
-import { getPerformanceMonitor } from './utils/performance-monitor.js';
+import { formatRateLimitStats } from './scrapers/github-rate-limit.js';
+import { formatLLMUsage, formatModelStats, getPerformanceMonitor } from './utils/performance-monitor.js';
+import { formatCost } from './utils/llm-pricing.js';
+import { formatRedactionStats } from './utils/pii-redactor.js';
 import { getCacheManager } from './utils/cache-manager.js';
+import { loadJobDocument } from './ingest/job-document-loader.js';
 import dotenv from 'dotenv';
 import fs from 'fs/promises';
 
@@ -13,6 +20,7 @@ dotenv.config();
 class UltimateCachedPipeline {
     constructor() {
         this.parser = new JobRequirementsParser();
+        this.linter = new JobDescriptionLinter({ parser: this.parser });
         this.crawler = new GitHubCrawlerCached();
         this.monitor = getPerformanceMonitor();
         this.cache = getCacheManager({
@@ -22,7 +30,7 @@ class UltimateCachedPipeline {
         });
     }
 
-    async runUltimatePipeline(jobDescription) {
+    async runUltimatePipeline(jobDescription, options = {}) {
         try {
             console.log('🚀 Starting Ultimate Cached Talent Finder Pipeline');
             console.log('=' .repeat(60));
@@ -33,12 +41,23 @@ class UltimateCachedPipeline {
             console.log('📋 Step 1: Parsing job description and extracting critical skills...');
             this.monitor.startOperation('Job Parsing & Skill Extraction');
             
-            const parsedJob = await this.parser.parseJobDescription(jobDescription);
-            const criticalSkills = await this.parser.extractCriticalSkills(jobDescription);
+            // options.signal cancels the run's LLM calls; options.priority queues them ('interactive', 'normal', 'background')
+            const llmOptions = { signal: options.signal, priority: options.priority };
+            const parsedJob = await this.parser.parseJobDescription(jobDescription, { source: options.source, ...llmOptions });
+            
+            // Check the posting before sourcing against it; strict mode stops on lint errors
+            const lintReport = this.linter.lintParsedJob(jobDescription, parsedJob);
+            if ((options.strictLint || process.env.JOB_LINT_STRICT === 'true') && !lintReport.summary.ready) {
+                formatLintReport(lintReport).forEach(line => console.log(line));
+                throw new Error(`Job posting has ${lintReport.summary.errors} lint errors; fix them before sourcing (npm run lint-job)`);
+            }
+            
+            const { skills: criticalSkills, extraction: skillExtraction } = await this.parser.analyzeCriticalSkills(jobDescription, llmOptions);
             const optimizedQueries = await this.parser.generateOptimizedSearchQueries({
                 description: jobDescription,
+                criticalSkills,
                 level: parsedJob.level
-            });
+            }, llmOptions);
             
             this.monitor.endOperation('Job Parsing & Skill Extraction');
             
@@ -46,9 +65,12 @@ class UltimateCachedPipeline {
             console.log(`📋 Job Title: ${parsedJob.title}`);
             console.log(`🏢 Company: ${parsedJob.companyInfo.name}`);
             console.log(`📍 Location: ${parsedJob.location.type} (${parsedJob.location.country})`);
-            console.log(`💰 Salary: $${parsedJob.salary.min?.toLocaleString() || 'N/A'} - $${parsedJob.salary.max?.toLocaleString() || 'N/A'} ${parsedJob.salary.currency}`);
-            console.log(`🧠 AI Identified Critical Skills: ${criticalSkills.join(', ')}`);
+            console.log(`💰 Salary: ${formatSalary(parsedJob.salary, parsedJob.salaryNormalized)}`);
+            console.log(`💼 Employment: ${formatEmploymentTerms(parsedJob.employment)}`);
+            console.log(`🧾 Parsed by: ${formatExtraction(parsedJob.extraction)}`);
+            console.log(`🧠 Critical Skills (${formatExtraction(skillExtraction)}): ${criticalSkills.join(', ')}`);
             console.log(`🔍 Optimized Search Queries: ${optimizedQueries.length} queries`);
+            formatLintReport(lintReport, 5).forEach(line => console.log(line));
             console.log('');
             
             // Step 2: Search for candidates using cached crawler
@@ -101,6 +123,23 @@ class UltimateCachedPipeline {
                 console.log(`   ${api.name}: ${api.count} calls, ${api.totalDuration}ms total, ${api.averageDuration.toFixed(0)}ms avg`);
             });
             
+            console.log(`\n💵 LLM Usage: ${formatLLMUsage(performanceReport.llmUsage)}`);
+            Object.entries(performanceReport.modelStats).forEach(([model, stats]) => {
+                console.log(`🎯 ${model}: ${formatModelStats(stats)}`);
+            });
+            const llmCacheStats = this.parser.llmClient?.getCacheStats?.() || null;
+            if (llmCacheStats) {
+                console.log(`💾 LLM Cache: ${llmCacheStats.totalHits} hits, ${llmCacheStats.misses} misses (${llmCacheStats.hitRate}), saved ${formatCost(llmCacheStats.savedCostUsd)}`);
+            }
+            const piiRedactionStats = this.parser.llmClient?.getRedactionStats?.() || null;
+            if (piiRedactionStats) {
+                console.log(`🛡️  PII redacted: ${formatRedactionStats(piiRedactionStats)}`);
+            }
+            const githubRateLimits = this.crawler.getRateLimitStats();
+            if (githubRateLimits) {
+                console.log(`🚦 GitHub rate limits: ${formatRateLimitStats(githubRateLimits)}`);
+            }
+            
             // Step 5: Cache statistics
             const cacheStats = this.crawler.getCacheStats();
             console.log('\n📦 Cache Performance:');
@@ -118,9 +157,16 @@ class UltimateCachedPipeline {
                 totalCandidates: candidates.length,
                 candidates: candidates,
                 performance: performanceReport,
+                llmUsage: performanceReport.llmUsage,
+                modelStats: performanceReport.modelStats,
+                llmCache: llmCacheStats,
+                piiRedaction: piiRedactionStats,
+                githubRateLimits,
                 cacheStats: cacheStats,
                 criticalSkills: criticalSkills,
-                optimizedQueries: optimizedQueries
+                criticalSkillsExtraction: skillExtraction,
+                optimizedQueries: optimizedQueries,
+                lintReport: lintReport
             };
             
             await fs.writeFile('./data/ultimate-cached-results.json', JSON.stringify(results, null, 2));
@@ -256,9 +302,16 @@ async function runWithCustomJob(jobDescription) {
     return await pipeline.runUltimatePipeline(jobDescription);
 }
 
+// Function to run with a saved job posting (HTML, PDF, DOCX or text file)
+async function runWithJobFile(filePath) {
+    const document = await loadJobDocument(filePath);
+    const pipeline = new UltimateCachedPipeline();
+    return await pipeline.runUltimatePipeline(document.text, { source: document.source });
+}
+
 // Run if this file is executed directly
 if (import.meta.url === `file://${process.argv[1]}`) {
-    runWithSampleJob();
+    process.argv[2] ? runWithJobFile(process.argv[2]) : runWithSampleJob();
 }
 
-export { UltimateCachedPipeline, runWithSampleJob, runWithCustomJob };
+export { UltimateCachedPipeline, runWithSampleJob, runWithCustomJob, runWithJobFile };
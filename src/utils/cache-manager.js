@@ -3,12 +3,16 @@
 import fs from 'fs/promises';
 import path from 'path';
 import crypto from 'crypto';
+import { getFixtureStore } from './fixtures.js';
 
 class CacheManager {
     constructor(options = {}) {
         this.cacheDir = options.cacheDir || './data/github-cache';
         this.defaultTTL = options.defaultTTL || 3600000; // 1 hour default
         this.maxMemorySize = options.maxMemorySize || 200;
+        // Under FIXTURE_MODE every request has to reach the fixture layer, so a run
+        // neither reads nor leaves behind disk cache entries
+        this.memoryOnly = options.memoryOnly ?? getFixtureStore().enabled;
         this.memoryCache = new Map();
         this.stats = {
             hits: 0,
@@ -36,6 +40,10 @@ class CacheManager {
         }
 
         // Check disk cache
+        if (this.memoryOnly) {
+            this.stats.misses++;
+            return null;
+        }
         try {
             const filePath = path.join(this.cacheDir, `${key}.json`);
             const fileContent = await fs.readFile(filePath, 'utf8');
@@ -68,6 +76,9 @@ class CacheManager {
         this.setMemoryCache(key, cached);
 
         // Set in disk cache
+        if (this.memoryOnly) {
+            return;
+        }
         try {
             await this.ensureCacheDir();
             const filePath = path.join(this.cacheDir, `${key}.json`);
@@ -0,0 +1,22 @@
+// src/utils/concurrency.js
+
+// Run `worker(item, index)` over `items` with at most `limit` calls in flight.
+// Results keep the input order. A rejected worker rejects the whole map, so callers
+// that need per-item isolation should catch inside the worker.
+async function mapWithConcurrency(items, limit, worker) {
+    const results = new Array(items.length);
+    const workerCount = Math.max(1, Math.min(limit || 1, items.length));
+    let nextIndex = 0;
+
+    const runWorker = async () => {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            results[index] = await worker(items[index], index);
+        }
+    };
+
+    await Promise.all(Array.from({ length: workerCount }, runWorker));
+    return results;
+}
+
+export { mapWithConcurrency };
@@ -0,0 +1,149 @@
+// src/utils/fixtures.js
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import fetch, { Response } from 'node-fetch';
+
+// Record/replay of external traffic (LLM completions and GitHub API calls) for reproducible
+// tests and offline demos:
+//   FIXTURE_MODE=record  perform every request and save the request/response pair
+//   FIXTURE_MODE=replay  serve saved responses; an unrecorded request throws FixtureMissingError
+//   FIXTURE_DIR          where fixtures live (default ./tests/fixtures)
+// Each pair is one JSON file, <dir>/<kind>/<hash>.json, keyed by a hash of the request, so
+// recordings diff cleanly and concurrent requests never write the same file.
+
+const FIXTURE_MODES = ['off', 'record', 'replay'];
+
+// Rate-limit answers are transient; replaying them would only replay the wait
+const UNRECORDED_STATUSES = [403, 429];
+
+class FixtureMissingError extends Error {
+    constructor(kind, request, filePath) {
+        super(`No ${kind} fixture for ${describeRequest(request)} (expected ${filePath}). Re-record with FIXTURE_MODE=record`);
+        this.name = 'FixtureMissingError';
+        this.kind = kind;
+        this.request = request;
+        this.filePath = filePath;
+        this.retryable = false;
+    }
+}
+
+function describeRequest(request) {
+    if (request.url) return `${request.method || 'GET'} ${request.url}`;
+    if (request.prompt) return `${request.provider} ${request.model} prompt "${request.prompt.slice(0, 60).replace(/\s+/g, ' ')}..."`;
+    return JSON.stringify(request).slice(0, 100);
+}
+
+// JSON with sorted keys, so equal requests hash equally whatever order their fields were built in
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+class FixtureStore {
+    constructor(options = {}) {
+        this.mode = options.mode || process.env.FIXTURE_MODE || 'off';
+        if (!FIXTURE_MODES.includes(this.mode)) {
+            throw new Error(`Unknown fixture mode "${this.mode}". Expected one of: ${FIXTURE_MODES.join(', ')}`);
+        }
+        this.dir = options.dir || process.env.FIXTURE_DIR || './tests/fixtures';
+        this.stats = { recorded: 0, replayed: 0 };
+    }
+
+    get enabled() {
+        return this.mode !== 'off';
+    }
+
+    filePath(kind, request) {
+        const hash = crypto.createHash('sha256').update(stableStringify(request)).digest('hex').slice(0, 20);
+        return path.join(this.dir, kind, `${hash}.json`);
+    }
+
+    // Saved response for `request`; throws FixtureMissingError when there is none
+    async load(kind, request) {
+        const filePath = this.filePath(kind, request);
+        let content;
+        try {
+            content = await fs.readFile(filePath, 'utf8');
+        } catch (error) {
+            throw new FixtureMissingError(kind, request, filePath);
+        }
+        this.stats.replayed++;
+        return JSON.parse(content).response;
+    }
+
+    async save(kind, request, response) {
+        const filePath = this.filePath(kind, request);
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(filePath, JSON.stringify({ kind, request, response, recordedAt: new Date().toISOString() }, null, 2));
+        this.stats.recorded++;
+    }
+
+    // `perform()` live when off, saving its result when recording; the saved result when replaying.
+    // `shouldRecord(response)` can veto saving transient answers.
+    async run(kind, request, perform, shouldRecord = () => true) {
+        if (this.mode === 'replay') {
+            return this.load(kind, request);
+        }
+
+        const response = await perform();
+        if (this.mode === 'record' && shouldRecord(response)) {
+            await this.save(kind, request, response);
+        }
+        return response;
+    }
+
+    // Drop-in for node-fetch GET and POST requests. The key is the method, URL and body;
+    // headers are not part of it, so recordings made with one token replay with any other (or none).
+    async fetch(url, init = {}) {
+        if (!this.enabled) {
+            return fetch(url, init);
+        }
+
+        const request = { method: init.method || 'GET', url, body: init.body };
+        const recorded = await this.run('http', request, async () => {
+            const response = await fetch(url, init);
+            const body = await response.text();
+            const recording = {
+                status: response.status,
+                statusText: response.statusText,
+                headers: Object.fromEntries(response.headers.entries())
+            };
+            // Keep JSON bodies as JSON so the fixture files stay readable
+            try {
+                return { ...recording, json: JSON.parse(body) };
+            } catch (error) {
+                return { ...recording, body };
+            }
+        }, response => !UNRECORDED_STATUSES.includes(response.status));
+
+        return new Response(recorded.json !== undefined ? JSON.stringify(recorded.json) : recorded.body, {
+            status: recorded.status,
+            statusText: recorded.statusText,
+            headers: recorded.headers
+        });
+    }
+}
+
+let fixtureStoreInstance = null;
+
+function getFixtureStore(options = {}) {
+    if (!fixtureStoreInstance) {
+        fixtureStoreInstance = new FixtureStore(options);
+        if (fixtureStoreInstance.enabled) {
+            console.log(`📼 Fixtures: ${fixtureStoreInstance.mode} (${fixtureStoreInstance.dir})`);
+        }
+    }
+    return fixtureStoreInstance;
+}
+
+export { FixtureStore, FixtureMissingError, getFixtureStore, FIXTURE_MODES };
@@ -0,0 +1,96 @@
+// src/utils/json-schema.js
+
+// Minimal JSON Schema validator covering the subset of keywords our schemas use:
+// type, enum, required, properties, additionalProperties, items, minimum,
+// maximum, minLength and pattern.
+
+class SchemaValidationError extends Error {
+    constructor(message, errors = []) {
+        super(message);
+        this.name = 'SchemaValidationError';
+        this.errors = errors;
+    }
+}
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    if (type === 'number') return actual === 'number' || actual === 'integer';
+    return actual === type;
+}
+
+function validateSchema(value, schema, path = '$') {
+    const errors = [];
+    const push = (keyword, message) => errors.push({ path, keyword, message });
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            push('type', `expected ${types.join(' or ')}, got ${typeOf(value)} (${JSON.stringify(value)})`);
+            return errors;
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        push('enum', `must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}, got ${JSON.stringify(value)}`);
+        return errors;
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            push('minimum', `must be >= ${schema.minimum}, got ${value}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            push('maximum', `must be <= ${schema.maximum}, got ${value}`);
+        }
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            push('minLength', `must be at least ${schema.minLength} characters long`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            push('pattern', `must match ${schema.pattern}, got ${JSON.stringify(value)}`);
+        }
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, index) => {
+            errors.push(...validateSchema(item, schema.items, `${path}[${index}]`));
+        });
+    }
+
+    if (typeOf(value) === 'object') {
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) {
+                errors.push({ path: `${path}.${key}`, keyword: 'required', message: 'is required' });
+            }
+        }
+
+        const properties = schema.properties || {};
+        for (const [key, propertyValue] of Object.entries(value)) {
+            if (properties[key]) {
+                if (propertyValue !== undefined) {
+                    errors.push(...validateSchema(propertyValue, properties[key], `${path}.${key}`));
+                }
+            } else if (schema.additionalProperties === false) {
+                errors.push({ path: `${path}.${key}`, keyword: 'additionalProperties', message: 'is not allowed' });
+            }
+        }
+    }
+
+    return errors;
+}
+
+// Human/LLM readable one-line-per-error summary
+function formatValidationErrors(errors) {
+    return errors.map(error => `- ${error.path}: ${error.message}`).join('\n');
+}
+
+export { validateSchema, formatValidationErrors, SchemaValidationError };
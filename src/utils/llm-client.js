@@ -1,13 +1,99 @@
-// src/services/llm-client.js
+// src/utils/llm-client.js
+
+import CacheManager from './cache-manager.js';
+import { getFixtureStore } from './fixtures.js';
+import { classifyLLMError, LLMAbortedError, LLMBudgetExceededError, LLMContentFilterError, LLMError, LLMTimeoutError } from './llm-errors.js';
+import { estimateCost, estimateTokens, formatCost, priceFor } from './llm-pricing.js';
+import { createProvider, defaultModelFor } from './llm-providers.js';
+import { getPerformanceMonitor } from './performance-monitor.js';
+import { PIIRedactor } from './pii-redactor.js';
+import { getRateLimiter } from './rate-limiter.js';
+import { routesFromEnv, taskFor, validateRoutes } from './llm-routing.js';
+import { generateStructured } from './structured-output.js';
+import { SchemaValidationError } from './json-schema.js';
+
+// Provider-agnostic LLM client. Configure in code or through the environment:
+//   LLM_PROVIDER  openai (default) | anthropic | local (any OpenAI-compatible server)
+//   LLM_MODEL     model name, defaulting per provider
+//   LLM_BASE_URL  server URL for local models, e.g. http://localhost:11434/v1 for Ollama
+//
+// Failures surface as typed LLMErrors (see llm-errors.js) after `maxRetries` retries with
+// exponential backoff and full jitter. A fallback model is only used when configured
+// (`fallback` option or LLM_FALLBACK_PROVIDER / LLM_FALLBACK_MODEL); every completion
+// records its `origin`: 'model' or 'fallback-model', and the provider and model that answered.
+//
+// Calls can be routed by task, i.e. prompt name, to their own ordered chain of models
+// (`routes` option or LLM_ROUTES_PATH, see llm-routing.js). Structured calls also move down
+// the chain when an answer fails validation or scores below the route's minConfidence.
+// How each model fared is added to the PerformanceMonitor's model success rates.
+//
+// Each attempt is cut off after `timeoutMs` (LLM_TIMEOUT_MS, default 60s) and counts as a
+// retryable timeout. `signal` (an AbortSignal) cancels a call while it is queued, in flight
+// or waiting to retry, with LLMAbortedError. Requests go through the provider's shared
+// rate limiter (rate-limiter.js); `priority` puts interactive calls ahead of batch work.
+//
+// Every completion is priced (llm-pricing.js) and added to the run's PerformanceMonitor.
+// Budget caps apply to the run's cumulative cost:
+//   LLM_BUDGET_SOFT_USD          past it, calls switch to LLM_BUDGET_DOWNGRADE_MODEL (or just warn)
+//   LLM_BUDGET_HARD_USD          past it, calls are refused with LLMBudgetExceededError
+//
+// Completions are cached on disk, keyed on provider, model, prompt version, parameters and
+// prompt text, so identical calls are paid for once:
+//   LLM_CACHE=off                no caching
+//   LLM_CACHE_TTL_MS             entry lifetime (default 7 days)
+//   LLM_CACHE_DIR                cache directory (default ./data/llm-cache)
+//   LLM_CACHE_BYPASS=true        skip lookups but store fresh answers, to refresh the cache
+//
+// Emails, phone numbers, street addresses, labelled names and custom patterns are masked in
+// every prompt before it is cached, recorded or sent, and restored in the answer
+// (see pii-redactor.js; PII_REDACTION=off disables it).
+
+// Finish reasons that mean the provider withheld the answer
+const FILTERED_FINISH_REASONS = ['content_filter', 'refusal'];
+
+function budgetFromEnv() {
+    const amount = name => (process.env[name] ? parseFloat(process.env[name]) : null);
+    return {
+        softLimitUsd: amount('LLM_BUDGET_SOFT_USD'),
+        hardLimitUsd: amount('LLM_BUDGET_HARD_USD'),
+        downgradeModel: process.env.LLM_BUDGET_DOWNGRADE_MODEL || null
+    };
+}
+
+const DEFAULT_CACHE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+function cacheFromEnv() {
+    return {
+        enabled: process.env.LLM_CACHE !== 'off',
+        ttlMs: parseInt(process.env.LLM_CACHE_TTL_MS || DEFAULT_CACHE_TTL_MS, 10),
+        dir: process.env.LLM_CACHE_DIR || './data/llm-cache',
+        bypass: process.env.LLM_CACHE_BYPASS === 'true'
+    };
+}
+
+function fallbackFromEnv() {
+    if (!process.env.LLM_FALLBACK_PROVIDER) return [];
+    return [{ provider: process.env.LLM_FALLBACK_PROVIDER, model: process.env.LLM_FALLBACK_MODEL || undefined }];
+}
 
 class LLMClient {
     constructor(config = {}) {
+        const provider = config.provider || process.env.LLM_PROVIDER || 'openai';
         this.config = {
-            provider: 'openai', // or 'anthropic', 'local'
-            model: 'gpt-3.5-turbo',
+            provider,
+            model: process.env.LLM_MODEL || defaultModelFor(provider),
             maxTokens: 2000,
             temperature: 0.1,
-            ...config
+            baseURL: process.env.LLM_BASE_URL || undefined,
+            maxRetries: parseInt(process.env.LLM_MAX_RETRIES ?? '2', 10),
+            retryBaseDelayMs: 500,
+            retryMaxDelayMs: 8000,
+            timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS || '60000', 10),
+            fallback: fallbackFromEnv(),
+            ...config,
+            routes: { ...routesFromEnv(), ...validateRoutes(config.routes || {}, 'the LLMClient config') },
+            budget: { ...budgetFromEnv(), ...config.budget },
+            cache: { ...cacheFromEnv(), ...config.cache }
         };
         
         // Initialize API client based on provider
@@ -15,223 +101,419 @@ class LLMClient {
     }
 
     initializeClient() {
-        // This would initialize the actual LLM client
-        // For now, we'll use a mock implementation
-        console.log(`Initializing LLM client with provider: ${this.config.provider}`);
-        
-        // In production, you would initialize:
-        // - OpenAI client
-        // - Anthropic client  
-        // - Local model client
-        // - etc.
-        
+        // stderr, so CLIs that print JSON (lint-job --json) keep stdout parseable
+        console.error(`Initializing LLM client with provider: ${this.config.provider} (${this.config.model})`);
+        this.provider = createProvider(this.config.provider, this.config);
+        this.fixtures = this.config.fixtures || getFixtureStore();
+        this.monitor = this.config.monitor || getPerformanceMonitor();
+        this.budgetWarned = false;
+        // Memory only while recording or replaying, including with fixtures passed in the config
+        this.cache = new CacheManager({ cacheDir: this.config.cache.dir, defaultTTL: this.config.cache.ttlMs, memoryOnly: this.fixtures.enabled });
+        this.cacheSavings = { costUsd: 0, inputTokens: 0, outputTokens: 0 };
+        this.redactor = this.config.redactor || new PIIRedactor(this.config.redaction);
+        this.limiter = getRateLimiter(this.config.provider, this.config.rateLimit);
+        this.primary = { name: this.config.provider, model: this.config.model, provider: this.provider, limiter: this.limiter };
+        this.targets = new Map([[this.targetKey(this.config), this.primary]]);
+        this.fallbacks = (this.config.fallback || []).map(fallback => this.targetFor(fallback));
         this.isInitialized = true;
     }
 
-    async generateResponse(prompt, options = {}) {
+    targetKey(step) {
+        return [step.provider, step.model || defaultModelFor(step.provider), step.baseURL || ''].join('|');
+    }
+
+    // Provider instance and rate limiter for one step of a chain, created once per client
+    targetFor(step) {
+        const key = this.targetKey(step);
+        if (!this.targets.has(key)) {
+            const config = { ...step, model: step.model || defaultModelFor(step.provider) };
+            this.targets.set(key, {
+                name: step.provider,
+                model: config.model,
+                provider: createProvider(step.provider, config),
+                limiter: getRateLimiter(step.provider, step.rateLimit)
+            });
+        }
+        return this.targets.get(key);
+    }
+
+    // { task, chain, minConfidence } for a call: the task's route, or the primary model
+    // followed by the configured fallbacks. `options.model` replaces the first model.
+    routeFor(options = {}) {
+        const task = taskFor(options);
+        const route = task ? this.config.routes[task] : null;
+        const chain = route ? route.chain.map(step => this.targetFor(step)) : [this.primary, ...this.fallbacks];
+        if (options.model) {
+            chain[0] = { ...chain[0], model: options.model };
+        }
+        return { task, chain, minConfidence: route?.minConfidence ?? null };
+    }
+
+    // Full completion: { text, model, provider, usage, costUsd, finishReason, origin, promptVersion, cached }.
+    // options may override model, temperature, maxTokens and add a system prompt for this call;
+    // `promptVersion` becomes part of the cache key and `cache: false` skips the cache;
+    // `cacheIf(completion)` returning false keeps a fresh answer out of the cache.
+    // `restorePII: false` leaves redaction placeholders in the answer. `signal` and
+    // `priority` ('interactive', 'normal', 'background') control cancellation and queueing.
+    // `task` picks the route when the prompt version does not.
+    // Throws an LLMError when every model in the chain fails.
+    async complete(prompt, options = {}) {
         if (!this.isInitialized) {
             throw new Error('LLM client not initialized');
         }
+        
+        const control = { signal: options.signal, priority: options.priority || 'normal' };
+        this.throwIfAborted(control.signal);
 
-        console.log('🤖 LLM Query:', prompt.substring(0, 100) + '...');
+        const promptVersion = options.promptVersion || null;
         
-        try {
-            // Use real OpenAI API
-            const { OpenAI } = await import('openai');
-            const openai = new OpenAI({
-                apiKey: process.env.OPENAI_API_KEY || ''
-            });
-            
-            const response = await openai.chat.completions.create({
-                model: 'gpt-3.5-turbo',
-                messages: [{ role: 'user', content: prompt }],
-                temperature: 0.1,
-                max_tokens: 1000
-            });
-            
-            return response.choices[0].message.content;
-            
-        } catch (error) {
-            console.error('OpenAI API Error:', error.message);
-            
-            // Fallback to dynamic mock based on actual job content
-            return this.createDynamicResponse(prompt);
-        }
-    }
+        // Personal data never reaches the cache, the fixtures or the provider
+        const redaction = this.redactor.start();
+        const safePrompt = redaction.redact(prompt);
+        const finish = (completion, cached) => {
+            this.redactor.audit(redaction, { provider: completion.provider, model: completion.model, promptVersion, cached });
+            if (options.restorePII === false || redaction.count === 0) {
+                return { ...completion, promptVersion, cached };
+            }
+            return {
+                ...completion,
+                text: redaction.restore(completion.text),
+                structured: redaction.restore(completion.structured),
+                promptVersion,
+                cached
+            };
+        };
 
-    createDynamicResponse(prompt) {
-        // Extract job description from prompt
-        const jobDescription = prompt.split('Job Description:')[1] || prompt;
+        // A `target` pins the call to one model of a chain, as generateStructured does
+        const route = options.target
+            ? { task: taskFor(options), chain: [options.target], pinned: true }
+            : this.routeFor(options);
+        const first = route.chain[0];
         
-        // Simple parsing logic based on keywords in the actual job description
-        const lowerDesc = jobDescription.toLowerCase();
+        const settings = {
+            // The downgrade model belongs to the configured provider
+            model: first.name === this.config.provider ? this.budgetModel(first.model) : first.model,
+            temperature: options.temperature ?? this.config.temperature,
+            maxTokens: options.maxTokens || this.config.maxTokens,
+            system: redaction.redact(options.system),
+            structured: options.structured
+        };
+
+        const request = { provider: first.name, ...settings, prompt: safePrompt };
+        const useCache = this.config.cache.enabled && options.cache !== false;
+        const cacheKey = useCache
+            ? this.cache.generateKey('llm', JSON.stringify({ ...request, promptVersion }))
+            : null;
+        
+        if (cacheKey && !this.config.cache.bypass) {
+            const cached = await this.cache.get(cacheKey);
+            if (cached) {
+                this.cacheSavings.costUsd += cached.costUsd || 0;
+                this.cacheSavings.inputTokens += cached.usage.inputTokens;
+                this.cacheSavings.outputTokens += cached.usage.outputTokens;
+                // Callers may mutate what they get back; the memory cache keeps the original
+                return finish(structuredClone(cached), true);
+            }
+        }
+
+        this.enforceHardBudget();
         
-        // Extract title
-        let title = 'Software Developer';
-        if (lowerDesc.includes('backend engineer')) title = 'Backend Engineer';
-        if (lowerDesc.includes('frontend')) title = 'Frontend Developer';
-        if (lowerDesc.includes('full stack')) title = 'Full Stack Developer';
-        if (lowerDesc.includes('data engineer')) title = 'Data Engineer';
+        // Under FIXTURE_MODE the completion is recorded or replayed, keyed by everything sent to the model
+        const startTime = Date.now();
+        const completion = await this.fixtures.run('llm', request, () => this.completeLive(safePrompt, settings, control, route));
+        const priced = this.recordUsage(safePrompt, completion, Date.now() - startTime);
+        const result = finish(priced, false);
         
-        // Extract level
-        let level = 'mid';
-        if (lowerDesc.includes('senior')) level = 'senior';
-        if (lowerDesc.includes('junior')) level = 'junior';
-        if (lowerDesc.includes('lead')) level = 'lead';
+        // A fallback model's answer is not what the primary would have said, so it is not cached.
+        // Neither is one the caller rejects, such as structured output that failed validation.
+        if (cacheKey && priced.origin === 'model' && (!options.cacheIf || options.cacheIf(result))) {
+            await this.cache.set(cacheKey, priced);
+        }
+        return result;
+    }
+
+    // What the PII redactor masked so far: { enabled, calls, redactedCalls, byType }
+    getRedactionStats() {
+        return this.redactor.getStats();
+    }
+
+    // Attempts and success rates per model, from the PerformanceMonitor
+    getModelStats() {
+        return this.monitor.getModelStats();
+    }
+
+    // Queueing and throttling of this client's provider: limits, in flight, queued, waits
+    getRateLimitStats() {
+        return this.limiter.getStats();
+    }
+
+    // Hit/miss counts of the response cache and what the hits saved
+    getCacheStats() {
+        return {
+            ...this.cache.getStats(),
+            enabled: this.config.cache.enabled,
+            savedCostUsd: this.cacheSavings.costUsd,
+            savedInputTokens: this.cacheSavings.inputTokens,
+            savedOutputTokens: this.cacheSavings.outputTokens
+        };
+    }
+
+    // Refuse calls once the run's spend reaches the hard cap; cache hits are still served
+    enforceHardBudget() {
+        const { hardLimitUsd } = this.config.budget;
+        const spent = this.monitor.getLLMUsage().costUsd;
         
-        // Extract experience
-        let minExp = 2, maxExp = 5;
-        const expMatch = jobDescription.match(/(\d+)\+?\s*years?/i);
-        if (expMatch) {
-            minExp = parseInt(expMatch[1]);
-            maxExp = minExp + 2;
+        if (hardLimitUsd !== null && hardLimitUsd !== undefined && spent >= hardLimitUsd) {
+            throw new LLMBudgetExceededError(`LLM budget exhausted: ${formatCost(spent)} spent, hard limit ${formatCost(hardLimitUsd)}`, { provider: this.config.provider });
         }
+    }
+
+    // Model to use under the run's budget: the downgrade model once the soft cap is passed
+    budgetModel(model) {
+        const { softLimitUsd, downgradeModel } = this.config.budget;
+        const spent = this.monitor.getLLMUsage().costUsd;
         
-        // Extract location
-        let locationType = 'onsite';
-        if (lowerDesc.includes('remote')) locationType = 'remote';
-        if (lowerDesc.includes('hybrid')) locationType = 'hybrid';
+        if (softLimitUsd === null || softLimitUsd === undefined || spent < softLimitUsd) {
+            return model;
+        }
         
-        // Extract salary
-        let salary = null;
-        const salaryMatch = jobDescription.match(/\$(\d{1,3}(?:,\d{3})*)\s*[-–]\s*\$(\d{1,3}(?:,\d{3})*)/);
-        if (salaryMatch) {
-            salary = {
-                min: parseInt(salaryMatch[1].replace(/,/g, '')),
-                max: parseInt(salaryMatch[2].replace(/,/g, '')),
-                currency: 'USD',
-                period: 'yearly'
-            };
+        if (!this.budgetWarned) {
+            this.budgetWarned = true;
+            console.warn(`⚠️  LLM soft budget ${formatCost(softLimitUsd)} reached (${formatCost(spent)} spent)${downgradeModel ? `, switching to ${downgradeModel}` : ''}`);
         }
+        return downgradeModel || model;
+    }
+
+    // Price the completion and add it to the run totals. Servers that report no usage get
+    // a character-based estimate, flagged with usage.estimated.
+    recordUsage(prompt, completion, duration) {
+        const reported = completion.usage || {};
+        const estimated = reported.inputTokens == null || reported.outputTokens == null;
+        const usage = {
+            inputTokens: reported.inputTokens ?? estimateTokens(prompt),
+            outputTokens: reported.outputTokens ?? estimateTokens(completion.text),
+            ...(estimated ? { estimated: true } : {})
+        };
+        const costUsd = estimateCost(usage, priceFor(completion.provider, completion.model));
         
-        // Extract skills
-        const skills = [];
-        const skillKeywords = ['rust', 'golang', 'python', 'javascript', 'react', 'node.js', 'kubernetes', 'kafka', 'redis', 'grpc'];
-        skillKeywords.forEach(skill => {
-            if (lowerDesc.includes(skill)) skills.push(skill);
-        });
+        this.monitor.trackApiCall(`LLM ${completion.provider}`, duration);
+        this.monitor.trackLLMUsage(completion.provider, completion.model, usage, costUsd);
         
-        // Extract company info
-        let companyName = null;
-        if (lowerDesc.includes('neuraforge')) companyName = 'NeuraForge';
+        return { ...completion, usage, costUsd };
+    }
+
+    // Each model of the route's chain in turn until one answers. Outcomes of pinned calls
+    // are tracked by generateStructured, which also judges the answer.
+    async completeLive(prompt, settings, control = {}, route = this.routeFor()) {
+        let firstError;
+        for (const [index, target] of route.chain.entries()) {
+            if (index > 0) {
+                const previous = route.chain[index - 1];
+                console.warn(`⚠️  ${previous.name} (${previous.model}) failed (${firstError.kind}), falling back to ${target.name} (${target.model})`);
+            }
+            const model = index === 0 ? settings.model : target.model;
+            try {
+                const completion = await this.completeWithRetries(target.provider, target.limiter, prompt, { ...settings, model }, control);
+                if (!route.pinned) this.monitor.trackModelOutcome(target.name, model, 'success', route.task);
+                return index === 0
+                    ? { ...completion, origin: 'model' }
+                    : { ...completion, origin: 'fallback-model', fallbackReason: `${firstError.kind}: ${firstError.message}` };
+            } catch (error) {
+                // A cancelled call is not a failure another model should answer
+                if (error.kind === 'aborted') throw error;
+                if (!route.pinned) this.monitor.trackModelOutcome(target.name, model, 'error', route.task);
+                if (index > 0) console.error(`${target.name} fallback failed:`, error.message);
+                firstError = firstError || error;
+            }
+        }
+
+        throw firstError;
+    }
+
+    // One provider with retries. Every attempt waits for the provider's rate limiter and
+    // runs under its own timeout; the caller's signal cancels all of it.
+    async completeWithRetries(provider, limiter, prompt, settings, control = {}) {
+        const { signal, priority } = control;
+        // Tokens per minute are charged like the providers do: prompt plus the output allowance
+        const estimatedTokens = estimateTokens(prompt) + estimateTokens(settings.system) + (settings.maxTokens || 0);
         
-        return JSON.stringify({
-            title: title,
-            level: level,
-            yearsExperience: { min: minExp, max: maxExp },
-            location: { type: locationType, city: null, state: null, country: 'USA' },
-            salary: salary,
-            requiredSkills: skills,
-            preferredSkills: [],
-            benefits: ['equity', 'remote work'],
-            companyInfo: {
-                name: companyName,
-                size: 'startup',
-                industry: 'Technology'
+        for (let attempt = 0; ; attempt++) {
+            let release;
+            const attemptSignal = this.attemptSignal(signal);
+            try {
+                release = await limiter.acquire({ tokens: estimatedTokens, priority, signal });
+                const completion = await provider.complete(prompt, { ...settings, signal: attemptSignal.signal });
+                const { inputTokens, outputTokens } = completion.usage || {};
+                release(inputTokens != null && outputTokens != null ? inputTokens + outputTokens : null);
+                if (FILTERED_FINISH_REASONS.includes(completion.finishReason)) {
+                    throw new LLMContentFilterError(`${provider.name}: response withheld (finish reason ${completion.finishReason})`, { provider: provider.name });
+                }
+                return completion;
+            } catch (rawError) {
+                release?.();
+                this.throwIfAborted(signal, provider.name);
+                const error = attemptSignal.timedOut()
+                    ? new LLMTimeoutError(`${provider.name}: no response within ${this.config.timeoutMs}ms`, { provider: provider.name, cause: rawError })
+                    : classifyLLMError(rawError, provider.name);
+                if (error.kind === 'rate-limit' && error.retryAfterMs) {
+                    limiter.pause(error.retryAfterMs);
+                }
+                if (!error.retryable || attempt >= this.config.maxRetries) {
+                    throw error;
+                }
+                
+                const delay = this.retryDelay(attempt, error);
+                console.warn(`⚠️  ${provider.name} ${error.kind} error, retrying in ${delay}ms (${attempt + 1}/${this.config.maxRetries})`);
+                await this.delay(delay, signal);
+            } finally {
+                attemptSignal.dispose();
             }
-        }, null, 2);
-    }
-
-    async parseJobDescription(jobDescription) {
-        const prompt = `
-Parse this job description and extract structured information as JSON:
-
-${jobDescription}
-
-Return only valid JSON with the structure:
-{
-    "title": "job title",
-    "level": "junior|mid|senior|lead|principal", 
-    "yearsExperience": {"min": number, "max": number},
-    "location": {"type": "remote|hybrid|onsite", "city": "string", "state": "string", "country": "string"},
-    "salary": {"min": number, "max": number, "currency": "USD", "period": "yearly"},
-    "requiredSkills": ["skill1", "skill2"],
-    "preferredSkills": ["skill1", "skill2"],
-    "benefits": ["benefit1", "benefit2"],
-    "companyInfo": {"name": "string", "size": "startup|small|medium|large|enterprise", "industry": "string"}
-}
-`;
+        }
+    }
 
-        return await this.generateResponse(prompt);
+    // Signal for one attempt: aborts when the caller's signal does or after timeoutMs
+    attemptSignal(signal) {
+        const controller = new AbortController();
+        let timedOut = false;
+        const timer = this.config.timeoutMs > 0
+            ? setTimeout(() => {
+                timedOut = true;
+                controller.abort();
+            }, this.config.timeoutMs)
+            : null;
+        const onAbort = () => controller.abort(signal.reason);
+        signal?.addEventListener('abort', onAbort, { once: true });
+        
+        return {
+            signal: controller.signal,
+            timedOut: () => timedOut,
+            dispose: () => {
+                clearTimeout(timer);
+                signal?.removeEventListener('abort', onAbort);
+            }
+        };
+    }
+
+    abortedError(signal, provider = this.config.provider) {
+        const reason = signal.reason instanceof Error ? signal.reason.message : 'request cancelled';
+        return new LLMAbortedError(`${provider}: ${reason}`, { provider, cause: signal.reason });
+    }
+
+    throwIfAborted(signal, provider) {
+        if (signal?.aborted) {
+            throw this.abortedError(signal, provider);
+        }
+    }
+
+    // Exponential backoff with full jitter, but never sooner than the server's Retry-After
+    retryDelay(attempt, error) {
+        const ceiling = Math.min(this.config.retryMaxDelayMs, this.config.retryBaseDelayMs * 2 ** attempt);
+        const jittered = Math.round(Math.random() * ceiling);
+        return Math.max(jittered, Math.min(error.retryAfterMs ?? 0, this.config.retryMaxDelayMs * 4));
+    }
+
+    // Resolves after `ms`, or rejects with LLMAbortedError as soon as `signal` aborts
+    async delay(ms, signal) {
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(this.abortedError(signal));
+            };
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    // Data matching `schema` via tool calling or JSON mode where the provider supports it and
+    // tolerant JSON extraction otherwise; see structured-output.js for the options.
+    // Each model of the route's chain gets the full repair loop; the next one takes over when
+    // it fails, its answer never validates, or `options.confidence(data)` scores below the
+    // route's minConfidence. If every model is under the bar the most confident answer wins,
+    // flagged with lowConfidence. Resolves to the answering completion plus
+    // { data, completions, confidence, routing: { task, attempts } }.
+    async generateStructured(prompt, schema, options = {}) {
+        const { task, chain, minConfidence } = this.routeFor(options);
+        const attempts = [];
+        let firstFailure = null;
+        let firstError = null;
+        let best = null;
+
+        for (const [index, target] of chain.entries()) {
+            if (index > 0) {
+                const previous = attempts[attempts.length - 1];
+                console.warn(`⚠️  ${previous.provider} (${previous.model}) did not answer ${task || 'the prompt'} (${previous.reason}), trying ${target.name} (${target.model})`);
+            }
+            const withOrigin = result => (index === 0
+                ? { ...result, origin: 'model' }
+                : { ...result, origin: 'fallback-model', fallbackReason: firstFailure });
+
+            let outcome;
+            let reason;
+            try {
+                const result = await generateStructured((nextPrompt, settings) => this.complete(nextPrompt, { ...options, ...settings, target }), prompt, schema, options);
+                const confidence = options.confidence ? options.confidence(result.data) : null;
+                if (minConfidence !== null && confidence !== null && confidence < minConfidence) {
+                    outcome = 'low-confidence';
+                    reason = `low-confidence: ${confidence.toFixed(2)} below ${minConfidence}`;
+                    if (!best || confidence > best.confidence) {
+                        best = { ...withOrigin(result), confidence, lowConfidence: true };
+                    }
+                } else {
+                    attempts.push({ provider: target.name, model: target.model, outcome: 'success' });
+                    this.monitor.trackModelOutcome(target.name, target.model, 'success', task);
+                    return { ...withOrigin(result), confidence, routing: { task, attempts } };
+                }
+            } catch (error) {
+                if (error.kind === 'aborted' || error instanceof LLMBudgetExceededError) throw error;
+                if (!(error instanceof LLMError) && !(error instanceof SchemaValidationError)) throw error;
+                outcome = error instanceof SchemaValidationError ? 'invalid' : 'error';
+                reason = `${error.kind || 'invalid'}: ${error.message}`;
+                firstError = firstError || error;
+            }
+
+            attempts.push({ provider: target.name, model: target.model, outcome, reason });
+            this.monitor.trackModelOutcome(target.name, target.model, outcome, task);
+            firstFailure = firstFailure || reason;
+        }
+
+        if (best) {
+            console.warn(`⚠️  No model in the ${task || 'default'} chain reached confidence ${minConfidence}, keeping ${best.provider} (${best.model}) at ${best.confidence.toFixed(2)}`);
+            return { ...best, routing: { task, attempts } };
+        }
+        throw firstError;
     }
 
     // Method to test if LLM is available
     async testConnection() {
         try {
-            const response = await this.generateResponse('Test connection. Respond with "OK".');
-            return response.includes('OK');
+            const { text } = await this.complete('Test connection. Respond with "OK".', { cache: false });
+            return text.includes('OK');
         } catch (error) {
-            console.warn('LLM connection test failed:', error.message);
+            console.warn(`LLM connection test failed (${error instanceof LLMError ? error.kind : 'unknown'}):`, error.message);
             return false;
         }
     }
 
-    // Method to configure different providers
+    // Method to configure different providers; the model resets to the provider's default unless given
     setProvider(provider, config = {}) {
-        this.config.provider = provider;
-        this.config = { ...this.config, ...config };
+        this.config = { ...this.config, provider, model: defaultModelFor(provider), ...config };
         this.initializeClient();
     }
 
-    // Method to update model settings
+    // Method to update model settings (model, temperature, maxTokens, baseURL, apiKey, maxRetries, timeoutMs, fallback, budget, rateLimit)
     updateSettings(settings) {
         this.config = { ...this.config, ...settings };
+        this.initializeClient();
     }
 }
 
 // Factory function to create LLM client with different providers
-export function createLLMClient(provider = 'openai', config = {}) {
+export function createLLMClient(provider = process.env.LLM_PROVIDER || 'openai', config = {}) {
     return new LLMClient({ provider, ...config });
 }
 
 // Default export
 export { LLMClient };
-
-// Production implementation examples:
-
-/*
-// OpenAI Implementation
-class OpenAIClient extends LLMClient {
-    initializeClient() {
-        const { OpenAI } = require('openai');
-        this.client = new OpenAI({
-            apiKey: process.env.OPENAI_API_KEY
-        });
-        this.isInitialized = true;
-    }
-
-    async generateResponse(prompt, options = {}) {
-        const response = await this.client.chat.completions.create({
-            model: this.config.model,
-            messages: [{ role: 'user', content: prompt }],
-            max_tokens: this.config.maxTokens,
-            temperature: this.config.temperature,
-            ...options
-        });
-        
-        return response.choices[0].message.content;
-    }
-}
-
-// Anthropic Implementation  
-class AnthropicClient extends LLMClient {
-    initializeClient() {
-        const Anthropic = require('@anthropic-ai/sdk');
-        this.client = new Anthropic({
-            apiKey: process.env.ANTHROPIC_API_KEY
-        });
-        this.isInitialized = true;
-    }
-
-    async generateResponse(prompt, options = {}) {
-        const response = await this.client.messages.create({
-            model: this.config.model,
-            max_tokens: this.config.maxTokens,
-            messages: [{ role: 'user', content: prompt }],
-            ...options
-        });
-        
-        return response.content[0].text;
-    }
-}
-*/
\ No newline at end of file
@@ -0,0 +1,139 @@
+// src/utils/llm-errors.js
+
+// Typed LLM failures. Providers throw whatever their SDK or HTTP layer throws;
+// LLMClient passes it through classifyLLMError so callers can branch on `kind`
+// and the retry loop knows which failures are worth another attempt.
+//
+//   auth            bad or missing API key (401/403)          not retried
+//   rate-limit      429, or quota exhausted                   retried unless the quota is gone
+//   timeout         request or connection timed out           retried
+//   content-filter  provider refused or filtered the output   not retried
+//   unavailable     5xx, overloaded, server unreachable       retried
+//   invalid-request malformed request, unknown model (4xx)    not retried
+//   budget          run's hard cost cap reached               not retried (raised by LLMClient)
+//   aborted         caller's AbortSignal fired                not retried (raised by LLMClient)
+
+const LLM_ERROR_KINDS = ['auth', 'rate-limit', 'timeout', 'content-filter', 'unavailable', 'invalid-request', 'budget', 'aborted', 'unknown'];
+
+class LLMError extends Error {
+    constructor(message, options = {}) {
+        super(message);
+        this.name = 'LLMError';
+        this.kind = options.kind || 'unknown';
+        this.provider = options.provider || null;
+        this.status = options.status ?? null;
+        this.retryable = options.retryable ?? false;
+        this.retryAfterMs = options.retryAfterMs ?? null;
+        this.cause = options.cause;
+    }
+}
+
+class LLMAuthError extends LLMError {
+    constructor(message, options = {}) {
+        super(message, { ...options, kind: 'auth', retryable: false });
+        this.name = 'LLMAuthError';
+    }
+}
+
+class LLMRateLimitError extends LLMError {
+    constructor(message, options = {}) {
+        super(message, { retryable: true, ...options, kind: 'rate-limit' });
+        this.name = 'LLMRateLimitError';
+    }
+}
+
+class LLMTimeoutError extends LLMError {
+    constructor(message, options = {}) {
+        super(message, { ...options, kind: 'timeout', retryable: true });
+        this.name = 'LLMTimeoutError';
+    }
+}
+
+class LLMContentFilterError extends LLMError {
+    constructor(message, options = {}) {
+        super(message, { ...options, kind: 'content-filter', retryable: false });
+        this.name = 'LLMContentFilterError';
+    }
+}
+
+class LLMUnavailableError extends LLMError {
+    constructor(message, options = {}) {
+        super(message, { ...options, kind: 'unavailable', retryable: true });
+        this.name = 'LLMUnavailableError';
+    }
+}
+
+class LLMBudgetExceededError extends LLMError {
+    constructor(message, options = {}) {
+        super(message, { ...options, kind: 'budget', retryable: false });
+        this.name = 'LLMBudgetExceededError';
+    }
+}
+
+class LLMAbortedError extends LLMError {
+    constructor(message, options = {}) {
+        super(message, { ...options, kind: 'aborted', retryable: false });
+        this.name = 'LLMAbortedError';
+    }
+}
+
+const NETWORK_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE', 'EHOSTUNREACH'];
+
+// Retry-After in seconds (or an HTTP date) from SDK errors, which carry either a
+// Headers instance or a plain object
+function retryAfterMs(error) {
+    const headers = error.headers;
+    const value = typeof headers?.get === 'function' ? headers.get('retry-after') : headers?.['retry-after'];
+    if (!value) return null;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Map an SDK, HTTP or network error onto one of the typed errors above
+function classifyLLMError(error, provider = null) {
+    if (error instanceof LLMError) return error;
+
+    const status = error.status ?? error.statusCode ?? null;
+    const code = error.code || error.error?.code || error.error?.type || error.cause?.code || '';
+    const message = error.message || String(error);
+    const options = { provider, status, cause: error };
+    const label = provider ? `${provider}: ${message}` : message;
+
+    if (status === 401 || status === 403) {
+        return new LLMAuthError(label, options);
+    }
+    if (status === 429) {
+        // OpenAI reports an exhausted quota as a 429 that no amount of waiting fixes
+        const quota = code === 'insufficient_quota' || /quota|billing/i.test(message);
+        return new LLMRateLimitError(label, { ...options, retryable: !quota, retryAfterMs: retryAfterMs(error) });
+    }
+    if (status === 408 || /timeout/i.test(error.name || '') || error.name === 'AbortError' || code === 'ETIMEDOUT' || /timed? ?out/i.test(message)) {
+        return new LLMTimeoutError(label, options);
+    }
+    if (code === 'content_filter' || code === 'content_policy_violation' || /content (management )?(policy|filter)/i.test(message)) {
+        return new LLMContentFilterError(label, options);
+    }
+    if ((status && status >= 500) || NETWORK_ERROR_CODES.includes(code) || /connection error|fetch failed|socket hang up/i.test(message)) {
+        return new LLMUnavailableError(label, options);
+    }
+    if (status && status >= 400) {
+        return new LLMError(label, { ...options, kind: 'invalid-request' });
+    }
+    return new LLMError(label, options);
+}
+
+export {
+    LLM_ERROR_KINDS,
+    LLMError,
+    LLMAuthError,
+    LLMRateLimitError,
+    LLMTimeoutError,
+    LLMContentFilterError,
+    LLMUnavailableError,
+    LLMBudgetExceededError,
+    LLMAbortedError,
+    classifyLLMError
+};
@@ -0,0 +1,62 @@
+// src/utils/llm-pricing.js
+
+import fs from 'fs';
+
+// Token pricing for LLM calls. Prices are per million tokens in llm-pricing.json, keyed by
+// provider/model; LLMClient prices every completion with them and PerformanceMonitor sums
+// the cost of a run.
+
+const DEFAULT_PRICING_PATH = new URL('./llm-pricing.json', import.meta.url);
+
+// OpenAI-compatible servers all price as 'local'
+const PROVIDER_ALIASES = { ollama: 'local', 'openai-compatible': 'local' };
+
+function loadPricing(filePath = process.env.LLM_PRICING_PATH || DEFAULT_PRICING_PATH) {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!data.models || typeof data.models !== 'object') {
+        throw new Error(`LLM pricing table ${filePath} must have "models"`);
+    }
+    return data;
+}
+
+let pricingInstance = null;
+
+function getPricing() {
+    if (!pricingInstance) {
+        pricingInstance = loadPricing();
+    }
+    return pricingInstance;
+}
+
+// { input, output } per million tokens, or null when the table has no price for the model.
+// Exact key first, then the longest key the model name starts with, then provider/*.
+function priceFor(provider, model, pricing = getPricing()) {
+    const name = PROVIDER_ALIASES[provider] || provider;
+    const key = `${name}/${model}`;
+    if (pricing.models[key]) return pricing.models[key];
+
+    const prefix = Object.keys(pricing.models)
+        .filter(candidate => !candidate.endsWith('/*') && key.startsWith(candidate))
+        .sort((a, b) => b.length - a.length)[0];
+    if (prefix) return pricing.models[prefix];
+
+    return pricing.models[`${name}/*`] || null;
+}
+
+// Rough count for servers that report no usage: about four characters per token
+function estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+}
+
+// Cost in USD of one call, or null when the model has no price
+function estimateCost(usage, price) {
+    if (!price) return null;
+    return ((usage.inputTokens || 0) * price.input + (usage.outputTokens || 0) * price.output) / 1000000;
+}
+
+function formatCost(costUsd) {
+    if (costUsd === null || costUsd === undefined) return 'unknown';
+    return `$${costUsd < 0.01 && costUsd > 0 ? costUsd.toFixed(5) : costUsd.toFixed(2)}`;
+}
+
+export { loadPricing, getPricing, priceFor, estimateTokens, estimateCost, formatCost };
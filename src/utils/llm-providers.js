@@ -0,0 +1,219 @@
+// src/utils/llm-providers.js
+
+import fetch from 'node-fetch';
+
+// One class per LLM backend, all with the same surface:
+//   complete(prompt, settings) -> { text, model, provider, usage: { inputTokens, outputTokens }, finishReason }
+// `settings` carries model, temperature and maxTokens; LLMClient merges its config into it.
+// `settings.signal` (an AbortSignal) cancels the request in flight.
+// `settings.structured` ({ name, description, schema } with an object schema) asks for JSON:
+// the completion then has `method` ('tool', 'json-mode' or 'text') and, for tool calls,
+// the parsed arguments in `structured`.
+// SDKs are imported on first use so a laptop running only a local model needs no cloud packages or keys.
+// SDK-level retries are off: LLMClient owns the retry policy (see llm-errors.js).
+
+const DEFAULT_MODELS = {
+    openai: 'gpt-3.5-turbo',
+    anthropic: 'claude-3-5-haiku-latest',
+    local: 'llama3.1'
+};
+
+// Ollama's OpenAI-compatible endpoint; vLLM and llama.cpp server default to http://localhost:8000/v1 and :8080/v1
+const DEFAULT_LOCAL_BASE_URL = 'http://localhost:11434/v1';
+
+function toMessages(prompt, settings) {
+    const messages = settings.system ? [{ role: 'system', content: settings.system }] : [];
+    messages.push({ role: 'user', content: prompt });
+    return messages;
+}
+
+// Tool-call arguments are a JSON string; leave malformed ones to the tolerant extraction
+function parseArguments(json) {
+    try {
+        return JSON.parse(json);
+    } catch (error) {
+        return undefined;
+    }
+}
+
+class OpenAIProvider {
+    constructor(config = {}) {
+        this.name = 'openai';
+        this.config = config;
+        this.client = null;
+    }
+
+    async getClient() {
+        if (!this.client) {
+            const { OpenAI } = await import('openai');
+            this.client = new OpenAI({
+                apiKey: this.config.apiKey || process.env.OPENAI_API_KEY || '',
+                baseURL: this.config.baseURL || process.env.OPENAI_BASE_URL || undefined,
+                maxRetries: 0
+            });
+        }
+        return this.client;
+    }
+
+    async complete(prompt, settings) {
+        const client = await this.getClient();
+        const { structured } = settings;
+        const response = await client.chat.completions.create({
+            model: settings.model,
+            messages: toMessages(prompt, settings),
+            temperature: settings.temperature,
+            max_tokens: settings.maxTokens,
+            ...(structured ? {
+                tools: [{ type: 'function', function: { name: structured.name, description: structured.description, parameters: structured.schema } }],
+                tool_choice: { type: 'function', function: { name: structured.name } }
+            } : {})
+        }, { signal: settings.signal });
+
+        const message = response.choices[0]?.message;
+        const toolCall = message?.tool_calls?.find(call => call.function?.name === structured?.name);
+        return {
+            text: toolCall ? toolCall.function.arguments : (message?.content || ''),
+            model: response.model || settings.model,
+            provider: this.name,
+            usage: {
+                inputTokens: response.usage?.prompt_tokens ?? null,
+                outputTokens: response.usage?.completion_tokens ?? null
+            },
+            finishReason: response.choices[0]?.finish_reason || null,
+            ...(structured ? { method: toolCall ? 'tool' : 'text', structured: toolCall ? parseArguments(toolCall.function.arguments) : undefined } : {})
+        };
+    }
+}
+
+class AnthropicProvider {
+    constructor(config = {}) {
+        this.name = 'anthropic';
+        this.config = config;
+        this.client = null;
+    }
+
+    async getClient() {
+        if (!this.client) {
+            const { default: Anthropic } = await import('@anthropic-ai/sdk');
+            this.client = new Anthropic({
+                apiKey: this.config.apiKey || process.env.ANTHROPIC_API_KEY,
+                baseURL: this.config.baseURL || process.env.ANTHROPIC_BASE_URL || undefined,
+                maxRetries: 0
+            });
+        }
+        return this.client;
+    }
+
+    async complete(prompt, settings) {
+        const client = await this.getClient();
+        const { structured } = settings;
+        const response = await client.messages.create({
+            model: settings.model,
+            max_tokens: settings.maxTokens,
+            temperature: settings.temperature,
+            ...(settings.system ? { system: settings.system } : {}),
+            ...(structured ? {
+                tools: [{ name: structured.name, description: structured.description, input_schema: structured.schema }],
+                tool_choice: { type: 'tool', name: structured.name }
+            } : {}),
+            messages: [{ role: 'user', content: prompt }]
+        }, { signal: settings.signal });
+
+        const toolUse = response.content.find(block => block.type === 'tool_use' && block.name === structured?.name);
+        return {
+            text: toolUse
+                ? JSON.stringify(toolUse.input)
+                : response.content.filter(block => block.type === 'text').map(block => block.text).join(''),
+            model: response.model || settings.model,
+            provider: this.name,
+            usage: {
+                inputTokens: response.usage?.input_tokens ?? null,
+                outputTokens: response.usage?.output_tokens ?? null
+            },
+            finishReason: response.stop_reason || null,
+            ...(structured ? { method: toolUse ? 'tool' : 'text', structured: toolUse ? toolUse.input : undefined } : {})
+        };
+    }
+}
+
+// Any server speaking the OpenAI chat completions API over HTTP: Ollama, vLLM, llama.cpp server, LM Studio
+class OpenAICompatibleProvider {
+    constructor(config = {}) {
+        this.name = 'local';
+        this.config = config;
+        this.baseURL = (config.baseURL || process.env.LLM_BASE_URL || DEFAULT_LOCAL_BASE_URL).replace(/\/+$/, '');
+    }
+
+    async complete(prompt, settings) {
+        const apiKey = this.config.apiKey || process.env.LLM_API_KEY;
+        // JSON mode is widely supported (Ollama, vLLM, llama.cpp); jsonMode: false turns it off for servers that reject it.
+        // It only produces objects, so prompts asking for an array are left to the tolerant extraction.
+        const jsonMode = Boolean(settings.structured) && !settings.structured.wrapped && this.config.jsonMode !== false;
+        const response = await fetch(`${this.baseURL}/chat/completions`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+            },
+            body: JSON.stringify({
+                model: settings.model,
+                messages: toMessages(prompt, settings),
+                temperature: settings.temperature,
+                max_tokens: settings.maxTokens,
+                stream: false,
+                ...(jsonMode ? { response_format: { type: 'json_object' } } : {})
+            }),
+            signal: settings.signal
+        });
+
+        if (!response.ok) {
+            const body = await response.text().catch(() => '');
+            const error = new Error(`LLM server at ${this.baseURL} returned ${response.status} ${response.statusText}${body ? `: ${body.slice(0, 200)}` : ''}`);
+            error.status = response.status;
+            error.headers = response.headers;
+            throw error;
+        }
+
+        const data = await response.json();
+        return {
+            text: data.choices?.[0]?.message?.content || '',
+            model: data.model || settings.model,
+            provider: this.name,
+            usage: {
+                inputTokens: data.usage?.prompt_tokens ?? null,
+                outputTokens: data.usage?.completion_tokens ?? null
+            },
+            finishReason: data.choices?.[0]?.finish_reason || null,
+            ...(settings.structured ? { method: jsonMode ? 'json-mode' : 'text' } : {})
+        };
+    }
+}
+
+const PROVIDERS = {
+    openai: OpenAIProvider,
+    anthropic: AnthropicProvider,
+    local: OpenAICompatibleProvider,
+    'openai-compatible': OpenAICompatibleProvider,
+    ollama: OpenAICompatibleProvider
+};
+
+function createProvider(name, config = {}) {
+    const Provider = PROVIDERS[name];
+    if (!Provider) {
+        throw new Error(`Unknown LLM provider "${name}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    return new Provider(config);
+}
+
+function defaultModelFor(name) {
+    return DEFAULT_MODELS[PROVIDERS[name] === OpenAICompatibleProvider ? 'local' : name];
+}
+
+export {
+    OpenAIProvider,
+    AnthropicProvider,
+    OpenAICompatibleProvider,
+    createProvider,
+    defaultModelFor,
+    DEFAULT_MODELS
+};
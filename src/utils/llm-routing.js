@@ -0,0 +1,56 @@
+// src/utils/llm-routing.js
+
+import fs from 'fs';
+
+// Task-based model routing. A task is a prompt name from the prompt registry ('job-extraction',
+// 'critical-skills', ...) or an explicit `task` option. Each route is an ordered chain of
+// models: the first answers, the rest take over in order when it fails, and for structured
+// output also when its answer fails validation or scores below `minConfidence`:
+//   {
+//     "routes": {
+//       "critical-skills": { "chain": [{ "provider": "local", "model": "llama3.1" },
+//                                      { "provider": "openai", "model": "gpt-4o-mini" }] },
+//       "job-extraction": { "chain": [{ "provider": "openai", "model": "gpt-4o" },
+//                                     { "provider": "anthropic", "model": "claude-3-5-sonnet-latest" }],
+//                           "minConfidence": 0.5 }
+//     }
+//   }
+// Routes come from `routes` in the LLMClient config or a JSON file at LLM_ROUTES_PATH. Tasks
+// without a route use the client's provider and model followed by its `fallback` list.
+
+function validateRoutes(routes, source) {
+    for (const [task, route] of Object.entries(routes)) {
+        if (!Array.isArray(route.chain) || route.chain.length === 0) {
+            throw new Error(`LLM route "${task}" in ${source} needs a non-empty "chain"`);
+        }
+        route.chain.forEach((step, index) => {
+            if (!step.provider) {
+                throw new Error(`LLM route "${task}" step ${index + 1} in ${source} has no provider`);
+            }
+        });
+        if (route.minConfidence !== undefined && route.minConfidence !== null && !(route.minConfidence >= 0 && route.minConfidence <= 1)) {
+            throw new Error(`LLM route "${task}" in ${source} has minConfidence ${route.minConfidence}; expected a number between 0 and 1`);
+        }
+    }
+    return routes;
+}
+
+function loadRoutes(filePath) {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!data.routes || typeof data.routes !== 'object') {
+        throw new Error(`LLM routes file ${filePath} must have "routes"`);
+    }
+    return validateRoutes(data.routes, filePath);
+}
+
+function routesFromEnv() {
+    return process.env.LLM_ROUTES_PATH ? loadRoutes(process.env.LLM_ROUTES_PATH) : {};
+}
+
+// Task for a call: the explicit task, else the name part of its prompt version ("critical-skills@1")
+function taskFor(options = {}) {
+    if (options.task) return options.task;
+    return options.promptVersion ? String(options.promptVersion).split('@')[0] : null;
+}
+
+export { loadRoutes, validateRoutes, routesFromEnv, taskFor };
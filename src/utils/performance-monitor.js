@@ -1,11 +1,15 @@
 // src/utils/performance-monitor.js
 
+import { formatCost } from './llm-pricing.js';
+
 class PerformanceMonitor {
     constructor() {
         this.metrics = {
             startTime: Date.now(),
             operations: {},
             apiCalls: {},
+            llmUsage: {},
+            modelOutcomes: {},
             bottlenecks: []
         };
         this.currentOperation = null;
@@ -51,6 +55,72 @@ class PerformanceMonitor {
         api.maxDuration = Math.max(api.maxDuration, duration);
     }
 
+    // Tokens and cost of one LLM call; costUsd is null for models without a price
+    trackLLMUsage(provider, model, usage, costUsd) {
+        const key = `${provider}/${model}`;
+        if (!this.metrics.llmUsage[key]) {
+            this.metrics.llmUsage[key] = { calls: 0, inputTokens: 0, outputTokens: 0, costUsd: 0, unpricedCalls: 0 };
+        }
+        
+        const entry = this.metrics.llmUsage[key];
+        entry.calls++;
+        entry.inputTokens += usage.inputTokens || 0;
+        entry.outputTokens += usage.outputTokens || 0;
+        if (costUsd === null) {
+            entry.unpricedCalls++;
+        } else {
+            entry.costUsd += costUsd;
+        }
+    }
+
+    // Run totals across all models plus the per-model breakdown
+    getLLMUsage() {
+        const byModel = this.metrics.llmUsage;
+        const total = field => Object.values(byModel).reduce((sum, entry) => sum + entry[field], 0);
+        return {
+            calls: total('calls'),
+            inputTokens: total('inputTokens'),
+            outputTokens: total('outputTokens'),
+            costUsd: total('costUsd'),
+            unpricedCalls: total('unpricedCalls'),
+            byModel
+        };
+    }
+
+    // Outcome of one model in a routing chain: 'success', 'error' (the call failed),
+    // 'invalid' (the answer failed validation) or 'low-confidence'
+    trackModelOutcome(provider, model, outcome, task = null) {
+        const key = `${provider}/${model}`;
+        if (!this.metrics.modelOutcomes[key]) {
+            this.metrics.modelOutcomes[key] = { attempts: 0, successes: 0, errors: 0, invalid: 0, lowConfidence: 0, byTask: {} };
+        }
+        
+        const entry = this.metrics.modelOutcomes[key];
+        const field = { success: 'successes', error: 'errors', invalid: 'invalid', 'low-confidence': 'lowConfidence' }[outcome];
+        if (!field) {
+            throw new Error(`Unknown model outcome "${outcome}"`);
+        }
+        entry.attempts++;
+        entry[field]++;
+        if (task) {
+            const byTask = entry.byTask[task] || (entry.byTask[task] = { attempts: 0, successes: 0 });
+            byTask.attempts++;
+            if (outcome === 'success') byTask.successes++;
+        }
+    }
+
+    // Per-model attempts and success rates, keyed "provider/model"
+    getModelStats() {
+        return Object.fromEntries(Object.entries(this.metrics.modelOutcomes).map(([key, entry]) => [key, {
+            ...entry,
+            successRate: entry.attempts > 0 ? entry.successes / entry.attempts : null,
+            byTask: Object.fromEntries(Object.entries(entry.byTask).map(([task, counts]) => [task, {
+                ...counts,
+                successRate: counts.successes / counts.attempts
+            }]))
+        }]));
+    }
+
     addBottleneck(description, duration, impact) {
         this.metrics.bottlenecks.push({
             description,
@@ -84,6 +154,8 @@ class PerformanceMonitor {
             totalDuration,
             operationSummary,
             apiSummary,
+            llmUsage: this.getLLMUsage(),
+            modelStats: this.getModelStats(),
             bottlenecks: this.metrics.bottlenecks,
             recommendations: this.generateRecommendations()
         };
@@ -138,6 +210,17 @@ class PerformanceMonitor {
             console.log(`   ${api.name}: ${api.count} calls, ${api.totalDuration}ms total, ${api.averageDuration.toFixed(0)}ms avg`);
         });
         
+        console.log('\n💵 LLM Usage:');
+        console.log(`   ${formatLLMUsage(summary.llmUsage)}`);
+        
+        const modelStats = Object.entries(summary.modelStats);
+        if (modelStats.length > 0) {
+            console.log('\n🎯 Model Success Rates:');
+            modelStats.forEach(([model, stats]) => {
+                console.log(`   ${model}: ${formatModelStats(stats)}`);
+            });
+        }
+        
         console.log('\n🚨 Bottlenecks:');
         summary.bottlenecks.forEach(bottleneck => {
             console.log(`   ${bottleneck.description}: ${bottleneck.duration}ms (${bottleneck.impact})`);
@@ -152,6 +235,23 @@ class PerformanceMonitor {
     }
 }
 
+// One-line LLM usage summary, e.g. "3 calls, 4,120 in / 610 out tokens, $0.00298"
+function formatLLMUsage(llmUsage) {
+    const unpriced = llmUsage.unpricedCalls > 0 ? ` (${llmUsage.unpricedCalls} calls without a price)` : '';
+    return `${llmUsage.calls} calls, ${llmUsage.inputTokens.toLocaleString('en-US')} in / ${llmUsage.outputTokens.toLocaleString('en-US')} out tokens, ${formatCost(llmUsage.costUsd)}${unpriced}`;
+}
+
+// "9/10 answered (90%), 1 failed" for one model's routing outcomes
+function formatModelStats(stats) {
+    const failures = [
+        [stats.errors, 'failed'],
+        [stats.invalid, 'invalid'],
+        [stats.lowConfidence, 'low-confidence']
+    ].filter(([count]) => count > 0).map(([count, label]) => `${count} ${label}`);
+    const rate = stats.successRate === null ? '' : ` (${Math.round(stats.successRate * 100)}%)`;
+    return `${stats.successes}/${stats.attempts} answered${rate}${failures.length > 0 ? `, ${failures.join(', ')}` : ''}`;
+}
+
 let globalMonitor = null;
 
 export function getPerformanceMonitor() {
@@ -161,4 +261,4 @@ export function getPerformanceMonitor() {
     return globalMonitor;
 }
 
-export { PerformanceMonitor };
+export { PerformanceMonitor, formatLLMUsage, formatModelStats };
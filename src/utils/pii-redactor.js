@@ -0,0 +1,177 @@
+// src/utils/pii-redactor.js
+
+import fs from 'fs';
+import path from 'path';
+
+// Masks personal data in prompts before they leave the machine. Each distinct value becomes
+// a numbered placeholder ("[EMAIL_1]", "[PHONE_2]") and the same value always gets the same
+// placeholder within a call, so the model can still refer to it; placeholders in the answer
+// are swapped back afterwards. Built-in detectors:
+//   email    jane.doe@acme-internal.com
+//   phone    (512) 555-0142, 512.555.0142, +44 20 7946 0958 (at least 8 digits, so not "+1.2.3")
+//   address  1200 Congress Avenue, Suite 300
+//   name     a person named after a label: "Hiring manager: Jane Doe", "reach out to John Smith";
+//            job titles are skipped, so "Reports to Engineering Manager" keeps its text
+// Extra patterns come from `patterns` in code or a JSON file at PII_PATTERNS_PATH:
+//   { "patterns": [{ "type": "employee-id", "pattern": "EMP-\\d{6}", "flags": "i" }] }
+// A pattern with a capture group masks only the first group.
+//
+// Every call that redacts something is appended to an audit log (PII_AUDIT_LOG, default
+// ./data/pii-audit.jsonl). The log records types, placeholders and the length of each value,
+// nothing derived from its content: a hash of a phone number or a name is easy to reverse.
+
+// Capitalized words that start a job title or a team rather than a person's name
+const TITLE_WORDS = [
+    'Manager', 'Director', 'Lead', 'Head', 'Chief', 'Vice', 'President', 'Officer', 'Engineering',
+    'Engineer', 'Recruiting', 'Recruiter', 'Talent', 'Acquisition', 'Human', 'Resources', 'People',
+    'Team', 'Department', 'Senior', 'Staff', 'Principal', 'Product', 'Sales', 'Support',
+    'Operations', 'Partner', 'Specialist', 'Coordinator', 'Architect', 'Us', 'Our', 'The'
+];
+const TITLE = `(?:${TITLE_WORDS.join('|')})`;
+const NAME_WORD = `(?!${TITLE}\\b)[A-Z][a-z]+`;
+
+const BUILT_IN_DETECTORS = [
+    { type: 'email', pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/g },
+    { type: 'phone', pattern: /(?<![\w+])(?:(?:\+?1[\s.-]?)?(?:\(\d{3}\)\s?|\d{3}[\s.-])\d{3}[\s.-]\d{4}|\+(?=(?:\d[\s.-]?){8})\d{1,3}(?:[\s.-]\d{1,4}){2,5})(?![\w-])/g },
+    { type: 'address', pattern: /\b\d{1,6}\s+(?:[NSEW]\.?\s+)?(?:[A-Z][A-Za-z0-9'.-]*\s+){1,4}(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Parkway|Pkwy|Place|Pl|Terrace|Circle|Highway|Hwy)\b\.?(?:,?\s*(?:Suite|Ste|Apt|Unit|Floor|Fl|#)\.?\s*[A-Za-z0-9-]+)?/g },
+    {
+        type: 'name',
+        pattern: new RegExp(`\\b(?:[Hh]iring [Mm]anager|[Rr]ecruiter|[Cc]ontact|[Rr]eports? to|[Aa]sk for|[Rr]each out to)\\s*(?::|-|is)?\\s*(?:${TITLE}\\s+)*(${NAME_WORD}(?:[ '-]${NAME_WORD}){1,2})\\b`, 'g')
+    }
+];
+
+const PII_TYPES = BUILT_IN_DETECTORS.map(detector => detector.type);
+
+function toDetector(definition) {
+    if (!definition.type || !definition.pattern) {
+        throw new Error(`PII patterns need a type and a pattern (got ${JSON.stringify(definition)})`);
+    }
+    const pattern = definition.pattern instanceof RegExp
+        ? definition.pattern
+        : new RegExp(definition.pattern, definition.flags || '');
+    const flags = pattern.flags.includes('g') ? pattern.flags : `${pattern.flags}g`;
+    return { type: definition.type, pattern: new RegExp(pattern.source, flags) };
+}
+
+function loadPatterns(filePath) {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!Array.isArray(data.patterns)) {
+        throw new Error(`PII pattern file ${filePath} must have a "patterns" array`);
+    }
+    return data.patterns;
+}
+
+// Placeholders for one LLM call: redact every text sent, restore every text received
+class Redaction {
+    constructor(detectors) {
+        this.detectors = detectors;
+        this.placeholders = new Map(); // original value -> { type, placeholder }
+        this.originals = new Map();    // placeholder -> original value
+        this.counts = {};
+    }
+
+    get count() {
+        return this.placeholders.size;
+    }
+
+    placeholderFor(type, value) {
+        if (!this.placeholders.has(value)) {
+            this.counts[type] = (this.counts[type] || 0) + 1;
+            const placeholder = `[${type.toUpperCase().replace(/[^A-Z0-9]+/g, '_')}_${this.counts[type]}]`;
+            this.placeholders.set(value, { type, placeholder });
+            this.originals.set(placeholder, value);
+        }
+        return this.placeholders.get(value).placeholder;
+    }
+
+    redact(text) {
+        if (typeof text !== 'string' || text.length === 0) return text;
+
+        return this.detectors.reduce((current, { type, pattern }) => current.replace(pattern, (match, ...groups) => {
+            const group = typeof groups[0] === 'string' ? groups[0] : null;
+            if (!group) return this.placeholderFor(type, match);
+            // Mask the captured part only, keeping labels like "Hiring manager:"
+            const offset = match.indexOf(group);
+            return match.slice(0, offset) + this.placeholderFor(type, group) + match.slice(offset + group.length);
+        }), text);
+    }
+
+    // Put the original values back into a string, or into every string of a parsed object
+    restore(value) {
+        if (this.count === 0 || value === null || value === undefined) return value;
+        if (typeof value === 'string') {
+            return value.replace(/\[[A-Z0-9_]+_\d+\]/g, placeholder => this.originals.get(placeholder) ?? placeholder);
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => this.restore(item));
+        }
+        if (typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.restore(item)]));
+        }
+        return value;
+    }
+
+    // Audit-safe description: no original values
+    describe() {
+        return [...this.placeholders.entries()].map(([value, { type, placeholder }]) => ({ type, placeholder, length: value.length }));
+    }
+}
+
+class PIIRedactor {
+    constructor(options = {}) {
+        this.enabled = options.enabled ?? process.env.PII_REDACTION !== 'off';
+        const types = options.types || PII_TYPES;
+        const customPatterns = options.patterns
+            || (process.env.PII_PATTERNS_PATH ? loadPatterns(process.env.PII_PATTERNS_PATH) : []);
+        this.detectors = [
+            ...BUILT_IN_DETECTORS.filter(detector => types.includes(detector.type)),
+            ...customPatterns.map(toDetector)
+        ];
+        this.auditLogPath = options.auditLog === undefined
+            ? (process.env.PII_AUDIT_LOG || './data/pii-audit.jsonl')
+            : options.auditLog; // null keeps the audit in memory only
+        this.stats = { calls: 0, redactedCalls: 0, byType: {} };
+    }
+
+    // A fresh Redaction for one call; a no-op one when redaction is off
+    start() {
+        return new Redaction(this.enabled ? this.detectors : []);
+    }
+
+    // Count the call and append an audit entry when anything was masked
+    audit(redaction, details = {}) {
+        this.stats.calls++;
+        if (redaction.count === 0) return null;
+
+        this.stats.redactedCalls++;
+        for (const [type, count] of Object.entries(redaction.counts)) {
+            this.stats.byType[type] = (this.stats.byType[type] || 0) + count;
+        }
+
+        const entry = { timestamp: new Date().toISOString(), ...details, counts: redaction.counts, redactions: redaction.describe() };
+        if (this.auditLogPath) {
+            try {
+                fs.mkdirSync(path.dirname(this.auditLogPath), { recursive: true });
+                fs.appendFileSync(this.auditLogPath, JSON.stringify(entry) + '\n');
+            } catch (error) {
+                console.warn(`⚠️  Could not write PII audit log ${this.auditLogPath}: ${error.message}`);
+            }
+        }
+        return entry;
+    }
+
+    getStats() {
+        return { enabled: this.enabled, ...this.stats, byType: { ...this.stats.byType } };
+    }
+}
+
+// "3 values in 2/5 calls (email 2, phone 1)" for console summaries
+function formatRedactionStats(stats) {
+    if (!stats.enabled) return 'off';
+    const entries = Object.entries(stats.byType);
+    const total = entries.reduce((sum, [, count]) => sum + count, 0);
+    if (total === 0) return `nothing to redact in ${stats.calls} calls`;
+    return `${total} values in ${stats.redactedCalls}/${stats.calls} calls (${entries.map(([type, count]) => `${type} ${count}`).join(', ')})`;
+}
+
+export { PIIRedactor, Redaction, PII_TYPES, formatRedactionStats };
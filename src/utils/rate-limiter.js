@@ -0,0 +1,226 @@
+// src/utils/rate-limiter.js
+
+// Client-side rate limiting, so batch work queues here instead of tripping 429s. A RateLimiter
+// has three limits, each optional:
+//   requestsPerMinute   token bucket refilled continuously
+//   tokensPerMinute     token bucket charged with the estimated prompt + max output tokens,
+//                       corrected to the reported usage when the request finishes
+//   maxConcurrent       requests in flight
+// Waiting requests are served by priority ('interactive' before 'normal' before 'background'),
+// first come first served within a priority. Only the head of the queue is considered, so a
+// large background request is not starved by a stream of small ones behind it.
+//
+// getRateLimiter() keeps one limiter per LLM provider, shared by every LLMClient in the
+// process. Its limits default per provider and can be overridden for every provider with
+// LLM_RATE_LIMIT_RPM, LLM_RATE_LIMIT_TPM and LLM_MAX_CONCURRENCY (0 means unlimited).
+// The GitHub rate-limit manager creates its own RateLimiter with only maxConcurrent set, to
+// cap GitHub requests in flight; GitHub's budgets are tracked there.
+
+const PRIORITIES = { interactive: 0, normal: 1, background: 2 };
+
+// Published tier-1 limits for the cloud APIs; a local server is only limited by how many
+// requests it can run at once
+const DEFAULT_LIMITS = {
+    openai: { requestsPerMinute: 500, tokensPerMinute: 200000, maxConcurrent: 8 },
+    anthropic: { requestsPerMinute: 50, tokensPerMinute: 40000, maxConcurrent: 4 },
+    local: { requestsPerMinute: 0, tokensPerMinute: 0, maxConcurrent: 2 }
+};
+
+const PROVIDER_ALIASES = { ollama: 'local', 'openai-compatible': 'local' };
+
+function limitsFromEnv() {
+    const limit = name => (process.env[name] !== undefined && process.env[name] !== '' ? parseInt(process.env[name], 10) : undefined);
+    const limits = {
+        requestsPerMinute: limit('LLM_RATE_LIMIT_RPM'),
+        tokensPerMinute: limit('LLM_RATE_LIMIT_TPM'),
+        maxConcurrent: limit('LLM_MAX_CONCURRENCY')
+    };
+    return Object.fromEntries(Object.entries(limits).filter(([, value]) => value !== undefined));
+}
+
+function abortReason(signal) {
+    if (signal.reason instanceof Error) return signal.reason;
+    const error = new Error('The operation was aborted');
+    error.name = 'AbortError';
+    return error;
+}
+
+class RateLimiter {
+    constructor(limits = {}) {
+        this.queue = [];
+        this.inFlight = 0;
+        this.sequence = 0;
+        this.timer = null;
+        this.pausedUntil = 0;
+        this.stats = { granted: 0, waited: 0, totalWaitMs: 0, maxWaitMs: 0, aborted: 0, pauses: 0 };
+        this.configure(limits);
+    }
+
+    // New limits; buckets start full, and a reconfigured bucket keeps its current level
+    // (capped at the new size) so changing limits never hands out a fresh minute of requests
+    configure(limits) {
+        const configured = this.lastRefill !== undefined;
+        if (configured) this.refill();
+
+        const requestsPerMinute = limits.requestsPerMinute ?? this.requestsPerMinute ?? 0;
+        const tokensPerMinute = limits.tokensPerMinute ?? this.tokensPerMinute ?? 0;
+        this.availableRequests = configured && this.requestsPerMinute
+            ? Math.min(this.availableRequests, requestsPerMinute)
+            : requestsPerMinute;
+        this.availableTokens = configured && this.tokensPerMinute
+            ? Math.min(this.availableTokens, tokensPerMinute)
+            : tokensPerMinute;
+        this.requestsPerMinute = requestsPerMinute;
+        this.tokensPerMinute = tokensPerMinute;
+        this.maxConcurrent = limits.maxConcurrent ?? this.maxConcurrent ?? 0;
+        this.lastRefill = Date.now();
+
+        // Higher limits may let queued requests start
+        if (configured) this.drain();
+        return this;
+    }
+
+    refill() {
+        const now = Date.now();
+        const elapsed = now - this.lastRefill;
+        this.lastRefill = now;
+        if (this.requestsPerMinute) {
+            this.availableRequests = Math.min(this.requestsPerMinute, this.availableRequests + elapsed * this.requestsPerMinute / 60000);
+        }
+        if (this.tokensPerMinute) {
+            this.availableTokens = Math.min(this.tokensPerMinute, this.availableTokens + elapsed * this.tokensPerMinute / 60000);
+        }
+    }
+
+    // Milliseconds until `entry` may start; Infinity when it waits for a running request to finish
+    waitFor(entry) {
+        const now = Date.now();
+        if (now < this.pausedUntil) return this.pausedUntil - now;
+        if (this.maxConcurrent && this.inFlight >= this.maxConcurrent) return Infinity;
+
+        const requestWait = this.requestsPerMinute && this.availableRequests < 1
+            ? (1 - this.availableRequests) * 60000 / this.requestsPerMinute
+            : 0;
+        const tokenWait = this.tokensPerMinute && this.availableTokens < entry.tokens
+            ? (entry.tokens - this.availableTokens) * 60000 / this.tokensPerMinute
+            : 0;
+        return Math.ceil(Math.max(requestWait, tokenWait));
+    }
+
+    // Resolves to release(actualTokens) once the request may be sent; call it when the request
+    // finishes. Rejects with the signal's reason if `signal` aborts while waiting.
+    acquire({ tokens = 0, priority = 'normal', signal } = {}) {
+        if (signal?.aborted) {
+            return Promise.reject(abortReason(signal));
+        }
+        if (!(priority in PRIORITIES)) {
+            return Promise.reject(new Error(`Unknown request priority "${priority}". Expected one of: ${Object.keys(PRIORITIES).join(', ')}`));
+        }
+
+        return new Promise((resolve, reject) => {
+            // A request larger than the whole bucket could never start; let it drain the bucket instead
+            const entry = {
+                tokens: this.tokensPerMinute ? Math.min(tokens, this.tokensPerMinute) : tokens,
+                rank: PRIORITIES[priority],
+                sequence: this.sequence++,
+                enqueuedAt: Date.now(),
+                resolve,
+                reject,
+                signal
+            };
+            if (signal) {
+                entry.onAbort = () => {
+                    this.queue = this.queue.filter(candidate => candidate !== entry);
+                    this.stats.aborted++;
+                    reject(abortReason(signal));
+                    this.drain();
+                };
+                signal.addEventListener('abort', entry.onAbort, { once: true });
+            }
+
+            const index = this.queue.findIndex(candidate => candidate.rank > entry.rank);
+            this.queue.splice(index === -1 ? this.queue.length : index, 0, entry);
+            this.drain();
+        });
+    }
+
+    drain() {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        while (this.queue.length > 0) {
+            this.refill();
+            const entry = this.queue[0];
+            const wait = this.waitFor(entry);
+            if (wait === Infinity) return; // release() drains again
+            if (wait > 0) {
+                this.timer = setTimeout(() => this.drain(), wait);
+                return;
+            }
+
+            this.queue.shift();
+            entry.signal?.removeEventListener('abort', entry.onAbort);
+            if (this.requestsPerMinute) this.availableRequests -= 1;
+            if (this.tokensPerMinute) this.availableTokens -= entry.tokens;
+            this.inFlight++;
+
+            const waitedMs = Date.now() - entry.enqueuedAt;
+            this.stats.granted++;
+            if (waitedMs > 0) {
+                this.stats.waited++;
+                this.stats.totalWaitMs += waitedMs;
+                this.stats.maxWaitMs = Math.max(this.stats.maxWaitMs, waitedMs);
+            }
+            entry.resolve(this.releaser(entry));
+        }
+    }
+
+    releaser(entry) {
+        let released = false;
+        return (actualTokens = null) => {
+            if (released) return;
+            released = true;
+            this.inFlight--;
+            // Settle the estimate against what the provider reported; overuse becomes debt
+            if (this.tokensPerMinute && actualTokens !== null) {
+                this.availableTokens = Math.min(this.tokensPerMinute, this.availableTokens + entry.tokens - actualTokens);
+            }
+            this.drain();
+        };
+    }
+
+    // Hold every request for `ms`, e.g. after a 429 with Retry-After
+    pause(ms) {
+        if (!ms || ms <= 0) return;
+        this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+        this.stats.pauses++;
+        this.drain();
+    }
+
+    getStats() {
+        return {
+            requestsPerMinute: this.requestsPerMinute,
+            tokensPerMinute: this.tokensPerMinute,
+            maxConcurrent: this.maxConcurrent,
+            inFlight: this.inFlight,
+            queued: this.queue.length,
+            ...this.stats,
+            avgWaitMs: this.stats.waited > 0 ? Math.round(this.stats.totalWaitMs / this.stats.waited) : 0
+        };
+    }
+}
+
+const rateLimiters = new Map();
+
+// The process-wide limiter for `provider`; `limits` override its defaults and the environment
+function getRateLimiter(provider, limits = {}) {
+    const name = PROVIDER_ALIASES[provider] || provider;
+    if (!rateLimiters.has(name)) {
+        rateLimiters.set(name, new RateLimiter({ ...(DEFAULT_LIMITS[name] || DEFAULT_LIMITS.local), ...limitsFromEnv(), ...limits }));
+    } else if (Object.keys(limits).length > 0) {
+        rateLimiters.get(name).configure(limits);
+    }
+    return rateLimiters.get(name);
+}
+
+export { RateLimiter, getRateLimiter, PRIORITIES, DEFAULT_LIMITS };
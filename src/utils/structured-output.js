@@ -0,0 +1,168 @@
+// src/utils/structured-output.js
+
+import { formatValidationErrors, SchemaValidationError, validateSchema } from './json-schema.js';
+
+// Structured LLM output: ask for data matching a JSON schema, validate it and ask the model
+// to repair answers that fail validation.
+//
+// Providers that can constrain the output do so (see llm-providers.js): OpenAI and Anthropic
+// through a forced tool call, OpenAI-compatible servers through JSON mode. Everything else,
+// and any answer that still arrives as prose, goes through extractJson.
+
+// Tool parameters and JSON mode both require an object at the root, so other schemas
+// are wrapped in { result: ... } and unwrapped again on the way back
+const WRAPPER_KEY = 'result';
+
+function toObjectSchema(schema) {
+    if (schema.type === 'object') {
+        return { schema, wrapped: false };
+    }
+    return {
+        schema: { type: 'object', required: [WRAPPER_KEY], properties: { [WRAPPER_KEY]: schema } },
+        wrapped: true
+    };
+}
+
+function jsonType(value) {
+    if (value === null) return 'null';
+    return Array.isArray(value) ? 'array' : typeof value;
+}
+
+// Balanced {...} / [...] spans in `text`, skipping brackets inside JSON strings
+function* jsonCandidates(text) {
+    for (let start = 0; start < text.length; start++) {
+        if (text[start] !== '{' && text[start] !== '[') continue;
+
+        const stack = [];
+        let inString = false;
+        for (let index = start; index < text.length; index++) {
+            const char = text[index];
+            if (inString) {
+                if (char === '\\') index++;
+                else if (char === '"') inString = false;
+            } else if (char === '"') {
+                inString = true;
+            } else if (char === '{' || char === '[') {
+                stack.push(char === '{' ? '}' : ']');
+            } else if (char === '}' || char === ']') {
+                if (stack.pop() !== char) break;
+                if (stack.length === 0) {
+                    yield text.slice(start, index + 1);
+                    break;
+                }
+            }
+        }
+    }
+}
+
+// First JSON value of the `expected` type ('object', 'array' or null for any) in a model
+// answer that may wrap it in code fences or explanations. Throws when there is none.
+function extractJson(text, expected = null) {
+    const trimmed = String(text ?? '').trim();
+    const fenced = trimmed.match(/```(?:json)?\s*([\s\S]*?)```/i);
+    const sources = fenced ? [fenced[1].trim(), trimmed] : [trimmed];
+    const matches = value => !expected || jsonType(value) === expected;
+
+    for (const source of sources) {
+        try {
+            const value = JSON.parse(source);
+            if (matches(value)) return value;
+        } catch (error) {
+            // not bare JSON, look inside
+        }
+        for (const candidate of jsonCandidates(source)) {
+            try {
+                const value = JSON.parse(candidate);
+                if (matches(value)) return value;
+            } catch (error) {
+                // unbalanced or not JSON, keep scanning
+            }
+        }
+    }
+
+    throw new Error(`no JSON ${expected || 'value'} found in the response`);
+}
+
+function defaultRepairPrompt(prompt, previousResponse, errors) {
+    return `${prompt}
+
+Your previous answer did not match the required structure:
+${previousResponse}
+
+Validation errors:
+${formatValidationErrors(errors)}
+
+Return ONLY the corrected JSON.`;
+}
+
+// Run `complete(prompt, { structured })` until the answer validates against `schema`.
+//   options.name            tool name shown to the model (default 'respond')
+//   options.transform       maps parsed data to the value that is validated and returned
+//   options.validate        value -> validation errors (default: validateSchema against `schema`)
+//   options.repairPrompt    (previousResponse, errors) -> prompt for a repair attempt
+//   options.maxRepairAttempts
+// Resolves to the last completion plus { data, completions }; throws SchemaValidationError
+// when the repair attempts run out. `complete` also gets `cacheIf(completion)`, true only for
+// an answer that validates, so a cache never keeps one that needed repair.
+async function generateStructured(complete, prompt, schema, options = {}) {
+    const { schema: objectSchema, wrapped } = toObjectSchema(schema);
+    const structured = { name: options.name || 'respond', description: options.description, schema: objectSchema, wrapped };
+    const transform = options.transform || (data => data);
+    const validate = options.validate || (value => validateSchema(value, schema));
+    const repairPrompt = options.repairPrompt || ((previous, errors) => defaultRepairPrompt(prompt, previous, errors));
+    const maxRepairAttempts = options.maxRepairAttempts ?? 2;
+    const expected = Array.isArray(schema.type) ? null : (schema.type || null);
+
+    // { value, errors } for a completion, worked out once per completion
+    const checked = new WeakMap();
+    const check = completion => {
+        if (checked.has(completion)) return checked.get(completion);
+
+        let data;
+        let errors = [];
+        try {
+            data = completion.structured !== undefined
+                ? (wrapped ? completion.structured?.[WRAPPER_KEY] : completion.structured)
+                : extractJson(completion.text, expected);
+        } catch (error) {
+            errors = [{ path: '$', keyword: 'json', message: `invalid JSON: ${error.message}` }];
+        }
+        if (errors.length === 0 && expected && jsonType(data) !== expected) {
+            errors = [{ path: '$', keyword: 'type', message: `expected a JSON ${expected}, got ${jsonType(data)}` }];
+        }
+
+        let value;
+        if (errors.length === 0) {
+            value = transform(data);
+            errors = validate(value);
+        }
+        checked.set(completion, { value, errors });
+        return { value, errors };
+    };
+    const cacheIf = completion => check(completion).errors.length === 0;
+
+    const completions = [];
+    let nextPrompt = prompt;
+
+    for (let attempt = 0; ; attempt++) {
+        const completion = await complete(nextPrompt, { structured, cacheIf });
+        completions.push(completion);
+
+        const { value, errors } = check(completion);
+        if (errors.length === 0) {
+            return { ...completion, data: value, completions };
+        }
+
+        if (attempt >= maxRepairAttempts) {
+            throw new SchemaValidationError(
+                `Structured output failed validation after ${attempt} repair attempt(s):\n${formatValidationErrors(errors)}`,
+                errors
+            );
+        }
+
+        console.warn(`⚠️  Structured output failed validation (${errors.length} errors), asking the model to repair it...`);
+        nextPrompt = repairPrompt(completion.text, errors);
+    }
+}
+
+export { generateStructured, extractJson, toObjectSchema };
@@ -1,6 +1,7 @@
 #!/usr/bin/env node
 
 // test-ai-skill-extraction.js - Test AI-powered critical skill extraction
+// Record once with FIXTURE_MODE=record, then FIXTURE_MODE=replay gives the same results every run
 
 import { JobRequirementsParser } from './src/parsers/job-parser.js';
 
@@ -0,0 +1,59 @@
+// tests/batch-parser.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { BatchJobParser } from '../src/parsers/batch-parser.js';
+import sampleJobs from './sample-jobs.js';
+
+const batchParser = options => new BatchJobParser({ parserOptions: { mode: 'rules' }, concurrency: 2, ...options });
+
+test('parses every posting and keeps the input order', async () => {
+    const { results, summary } = await batchParser().parseAll([
+        { id: 'data-scientist', text: sampleJobs.jobDescription },
+        { id: 'java', text: '# Java Developer\n\nRate: $75/hr\nW2 only\n\n## Requirements\n- Java\n- Spring' }
+    ]);
+
+    assert.deepEqual(results.map(result => [result.id, result.status]), [['data-scientist', 'parsed'], ['java', 'parsed']]);
+    assert.equal(results[1].job.title, 'Java Developer');
+    assert.equal(summary.parsed, 2);
+    assert.equal(summary.failed, 0);
+});
+
+test('a failed posting does not stop the batch', async () => {
+    const { results, summary } = await batchParser().parseAll([
+        { id: 'empty', text: '   ' },
+        { id: 'missing', filePath: path.join(os.tmpdir(), 'talentfinder-no-such-posting.md') },
+        { id: 'ok', text: sampleJobs.jobDescription }
+    ]);
+
+    assert.deepEqual(results.map(result => result.status), ['failed', 'failed', 'parsed']);
+    assert.equal(results[0].error.message, 'Empty job description');
+    assert.deepEqual(summary.failures.map(failure => failure.id), ['empty', 'missing']);
+});
+
+test('postings that differ only in case and whitespace are parsed once', async () => {
+    const { results, summary } = await batchParser().parseAll([
+        { id: 'first', text: sampleJobs.jobDescription },
+        { id: 'copy', text: `  ${sampleJobs.jobDescription.toUpperCase().replace(/\n/g, '\n\n')}` }
+    ]);
+
+    assert.equal(results[1].status, 'duplicate');
+    assert.equal(results[1].duplicateOf, 'first');
+    assert.deepEqual(summary.duplicateGroups, [{ id: 'copy', duplicateOf: 'first' }]);
+});
+
+test('reads postings from files and counts the fields filled from defaults', async (t) => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'talentfinder-postings-'));
+    t.after(() => fs.rm(dir, { recursive: true, force: true }));
+    const filePath = path.join(dir, 'data-scientist.md');
+    await fs.writeFile(filePath, sampleJobs.jobDescription);
+
+    const { results, summary } = await batchParser().parseAll([{ filePath }]);
+
+    assert.equal(results[0].id, 'data-scientist.md');
+    assert.equal(results[0].status, 'parsed');
+    assert.ok(summary.mostDefaultedFields.some(entry => entry.field === 'employment.type' && entry.count === 1));
+});
@@ -0,0 +1,21 @@
+// tests/employment-fit.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyLocation } from '../src/matching/employment-fit.js';
+
+test('classifies US and non-US locations', () => {
+    assert.equal(classifyLocation('Austin, TX'), 'us');
+    assert.equal(classifyLocation('San Francisco Bay Area'), 'us');
+    assert.equal(classifyLocation('Berlin, Germany'), 'non-us');
+    assert.equal(classifyLocation('Earth'), 'unknown');
+});
+
+test('"America" and "Georgia" alone are not US', () => {
+    assert.equal(classifyLocation('Latin America'), 'non-us');
+    assert.equal(classifyLocation('Tbilisi, Georgia'), 'non-us');
+    assert.equal(classifyLocation('Georgia'), 'unknown');
+    assert.equal(classifyLocation('Atlanta, Georgia'), 'us');
+    assert.equal(classifyLocation('Savannah, GA'), 'us');
+    assert.equal(classifyLocation('United States of America'), 'us');
+});
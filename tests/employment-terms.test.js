@@ -0,0 +1,44 @@
+// tests/employment-terms.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractEmploymentTerms, inferEmploymentType, formatEmploymentTerms } from '../src/parsers/employment-terms.js';
+
+test('reads a Dice-style contract requisition', () => {
+    const terms = extractEmploymentTerms('Contract - W2\n6 month contract\nActive TS/SCI required\nNo sponsorship available');
+    assert.deepEqual(terms, { type: 'contract', taxTerms: ['W2'], contractLengthMonths: 6, clearance: 'ts-sci', visaSponsorship: false });
+    assert.equal(formatEmploymentTerms(terms), 'contract (W2), 6 months, ts-sci clearance, no sponsorship');
+});
+
+test('keeps only the tax terms that are not excluded', () => {
+    const terms = extractEmploymentTerms('Contract to hire. W2 or 1099, no C2C. Visa sponsorship available');
+    assert.equal(terms.type, 'contract-to-hire');
+    assert.deepEqual(terms.taxTerms, ['W2', '1099']);
+    assert.equal(terms.visaSponsorship, true);
+});
+
+test('a labelled employment type wins over mentions in the text', () => {
+    assert.equal(extractEmploymentTerms('You will work with contractors', { 'employment type': 'Part-time' }).type, 'part-time');
+});
+
+test('leaves what the posting does not state null', () => {
+    const terms = extractEmploymentTerms('Build data pipelines with Python. USC/GC only.');
+    assert.deepEqual(terms, { type: null, taxTerms: [], contractLengthMonths: null, clearance: null, visaSponsorship: false });
+    assert.equal(formatEmploymentTerms(terms), 'type not stated, no sponsorship');
+});
+
+test('infers a contract only for hourly W2/C2C/1099 work', () => {
+    const w2 = { type: null, taxTerms: ['W2'] };
+    assert.equal(inferEmploymentType(w2, { min: 70, max: 80, currency: 'USD', period: 'hourly' }), 'contract');
+    assert.equal(inferEmploymentType(w2, { min: 150000, max: 180000, currency: 'USD', period: 'yearly' }), null);
+    assert.equal(inferEmploymentType({ type: null, taxTerms: [] }, { min: 70, max: 80, currency: 'USD', period: 'hourly' }), null);
+    assert.equal(inferEmploymentType({ type: 'full-time', taxTerms: ['W2'] }, { period: 'hourly' }), 'full-time');
+});
+
+test('"contract" only sets the type when it is about the position', () => {
+    assert.equal(extractEmploymentTerms('Full-time role building smart contract tooling on Ethereum').type, 'full-time');
+    assert.equal(extractEmploymentTerms('Full-time. No C2C.').type, 'full-time');
+    assert.equal(extractEmploymentTerms('We review every contract carefully').type, null);
+    assert.equal(extractEmploymentTerms('Long term contract, remote').type, 'contract');
+    assert.equal(extractEmploymentTerms('Contractor position with our platform team').type, 'contract');
+});
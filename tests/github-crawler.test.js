@@ -0,0 +1,100 @@
+// tests/github-crawler.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GitHubCrawlerCore } from '../src/scrapers/github-crawler-core.js';
+import { FixtureStore, FixtureMissingError } from '../src/utils/fixtures.js';
+import { startStandIn, temporaryFixtureDir, silenceConsole } from './helpers/stand-in-server.js';
+
+const JOB = {
+    title: 'Senior Data Scientist',
+    level: 'senior',
+    yearsExperience: { min: 5, max: null },
+    requiredSkills: ['Python', 'TensorFlow'],
+    preferredSkills: ['Apache Kafka']
+};
+
+const USERS = {
+    alice: { location: 'Austin, TX', followers: 240, created_at: '2014-03-01T00:00:00Z', hireable: true },
+    bob: { location: 'Berlin, Germany', followers: 130, created_at: '2019-06-01T00:00:00Z', hireable: false }
+};
+
+const REPOSITORIES = {
+    alice: [
+        { name: 'tf-models', language: 'Python', stargazers_count: 80, forks_count: 12, description: 'TensorFlow models', topics: ['tensorflow'] },
+        { name: 'stream-jobs', language: 'Java', stargazers_count: 5, forks_count: 1, description: 'Kafka consumers', topics: ['kafka'] }
+    ],
+    bob: [
+        { name: 'dotfiles', language: 'Shell', stargazers_count: 2, forks_count: 0, description: null, topics: [] }
+    ]
+};
+
+const LANGUAGES = {
+    'alice/tf-models': { Python: 90000, 'Jupyter Notebook': 10000 },
+    'alice/stream-jobs': { Java: 40000 },
+    'bob/dotfiles': { Shell: 3000 }
+};
+
+// Enough of the GitHub REST API for one search and its enrichment
+function gitHub(req) {
+    const url = new URL(req.url, 'http://stand-in');
+    if (url.pathname === '/search/users') {
+        return { json: { total_count: 3, items: ['alice', 'bob', 'ghost'].map(login => ({ login, html_url: `https://github.com/${login}` })) } };
+    }
+
+    const [, kind, owner, rest, more] = url.pathname.split('/');
+    if (kind === 'repos' && more === 'languages') {
+        return { json: LANGUAGES[`${owner}/${rest}`] || {} };
+    }
+    if (kind !== 'users' || !USERS[owner]) {
+        return { status: 404, json: { message: 'Not Found' } };
+    }
+    if (!rest) {
+        return { json: { login: owner, name: owner, html_url: `https://github.com/${owner}`, public_repos: REPOSITORIES[owner].length, ...USERS[owner] } };
+    }
+    if (rest === 'repos') {
+        return { json: REPOSITORIES[owner].map(repo => ({ ...repo, full_name: `${owner}/${repo.name}`, fork: false })) };
+    }
+    if (rest === 'events') {
+        return { json: owner === 'alice' ? [{ type: 'PushEvent', created_at: new Date().toISOString() }] : [] };
+    }
+    return { status: 404, json: { message: 'Not Found' } };
+}
+
+function crawler(baseURL, fixtures) {
+    return new GitHubCrawlerCore({ baseURL, apiToken: null, enrichment: 'rest', fetchEvents: true, languageRepos: 3, searchDepth: 10, maxSkillQueries: 1, fixtures });
+}
+
+test('a recorded search replays to the same candidates', async (t) => {
+    silenceConsole(t);
+    const server = await startStandIn(gitHub);
+    const fixtures = await temporaryFixtureDir();
+    t.after(fixtures.remove);
+
+    const recorded = await crawler(server.url, new FixtureStore({ mode: 'record', dir: fixtures.dir })).searchCandidates(JOB);
+    await server.close();
+    const replay = new FixtureStore({ mode: 'replay', dir: fixtures.dir });
+    const replayed = await crawler(server.url, replay).searchCandidates(JOB);
+
+    // The unknown user is skipped, not fatal
+    assert.deepEqual(replayed.map(candidate => candidate.username), ['alice', 'bob']);
+    assert.deepEqual(replayed, recorded);
+    assert.ok(replay.stats.replayed > 0);
+
+    const [alice, bob] = replayed;
+    assert.ok(alice.score > bob.score);
+    assert.ok(alice.skills.includes('python'));
+    assert.ok(alice.languages.Python > 0.5);
+    assert.equal(alice.recentEvents, 1);
+    assert.equal(bob.recentEvents, 0);
+});
+
+test('a request missing from the recording fails the run instead of skipping the candidate', async (t) => {
+    silenceConsole(t);
+    const fixtures = await temporaryFixtureDir();
+    t.after(fixtures.remove);
+    const replaying = crawler('http://127.0.0.1:9', new FixtureStore({ mode: 'replay', dir: fixtures.dir }));
+
+    await assert.rejects(replaying.enrichCandidates([{ login: 'alice' }], JOB), FixtureMissingError);
+    await assert.rejects(replaying.searchAllUsers(['python']), FixtureMissingError);
+});
@@ -0,0 +1,133 @@
+// tests/github-graphql.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildEnrichmentQuery, fromGraphQLUser, errorsByAlias } from '../src/scrapers/github-graphql.js';
+import { GitHubCrawlerCore } from '../src/scrapers/github-crawler-core.js';
+import { FixtureStore } from '../src/utils/fixtures.js';
+import { startStandIn, silenceConsole } from './helpers/stand-in-server.js';
+
+const JOB = { title: 'Data Engineer', level: 'senior', yearsExperience: { min: 5, max: null }, requiredSkills: ['Python'], preferredSkills: [] };
+
+function graphQLUser(login, repositories) {
+    return {
+        login,
+        name: login.toUpperCase(),
+        url: `https://github.com/${login}`,
+        avatarUrl: `https://avatars.example/${login}`,
+        location: 'Austin, TX',
+        isHireable: true,
+        createdAt: '2015-01-01T00:00:00Z',
+        followers: { totalCount: 42 },
+        repositories: {
+            totalCount: repositories.length,
+            nodes: repositories.map(([name, language, bytes]) => ({
+                name,
+                nameWithOwner: `${login}/${name}`,
+                description: null,
+                stargazerCount: 10,
+                forkCount: 2,
+                isFork: false,
+                mirrorUrl: null,
+                primaryLanguage: { name: language },
+                languages: { edges: [{ size: bytes, node: { name: language } }] },
+                repositoryTopics: { nodes: [{ topic: { name: 'etl' } }] }
+            }))
+        },
+        contributionsCollection: { contributionCalendar: { totalContributions: 321 } },
+        pinnedItems: { nodes: [{ nameWithOwner: `${login}/${repositories[0][0]}` }, {}] }
+    };
+}
+
+test('aliases every login and passes logins as variables', () => {
+    const { query, variables } = buildEnrichmentQuery(['alice', 'bob") { viewer { login } }'], { reposPerUser: 250 });
+
+    assert.match(query, /^query Candidates\(\$reposPerUser: Int!, \$login0: String!, \$login1: String!\)/);
+    assert.match(query, /u0: user\(login: \$login0\) \{ \.\.\.CandidateFields \}/);
+    assert.match(query, /u1: user\(login: \$login1\)/);
+    assert.ok(!query.includes('viewer'));
+    assert.deepEqual(variables, { reposPerUser: 100, login0: 'alice', login1: 'bob") { viewer { login } }' });
+});
+
+test('maps a GraphQL user onto the REST field names', () => {
+    const { profile, repositories, activity } = fromGraphQLUser(graphQLUser('alice', [['pipelines', 'Python', 5000]]));
+
+    assert.deepEqual(profile, {
+        login: 'alice',
+        name: 'ALICE',
+        html_url: 'https://github.com/alice',
+        avatar_url: 'https://avatars.example/alice',
+        location: 'Austin, TX',
+        hireable: true,
+        followers: 42,
+        public_repos: 1,
+        created_at: '2015-01-01T00:00:00Z'
+    });
+    assert.deepEqual(repositories, [{
+        name: 'pipelines',
+        full_name: 'alice/pipelines',
+        description: null,
+        stargazers_count: 10,
+        forks_count: 2,
+        fork: false,
+        mirror_url: null,
+        language: 'Python',
+        languages: { Python: 5000 },
+        topics: ['etl']
+    }]);
+    assert.deepEqual(activity, { contributions: 321, pinned: ['alice/pipelines'] });
+});
+
+test('keeps the first error of each alias', () => {
+    assert.deepEqual(errorsByAlias([
+        { path: ['u1'], message: 'Could not resolve to a User with the login of \'ghost\'.' },
+        { path: ['u1', 'repositories'], message: 'second error' },
+        { message: 'no path' }
+    ]), { u1: 'Could not resolve to a User with the login of \'ghost\'.' });
+    assert.deepEqual(errorsByAlias(), {});
+});
+
+test('enriches users in batches of graphqlBatchSize and skips unknown users', async (t) => {
+    silenceConsole(t);
+    const users = {
+        alice: graphQLUser('alice', [['pipelines', 'Python', 9000]]),
+        bob: graphQLUser('bob', [['cli', 'Go', 4000]]),
+        carol: graphQLUser('carol', [['notebooks', 'Python', 3000]])
+    };
+    const server = await startStandIn((req, body) => {
+        const data = {};
+        const errors = [];
+        Object.entries(body.variables).filter(([name]) => name.startsWith('login')).forEach(([name, login]) => {
+            const alias = `u${name.slice('login'.length)}`;
+            data[alias] = users[login] || null;
+            if (!users[login]) errors.push({ type: 'NOT_FOUND', path: [alias], message: `Could not resolve to a User with the login of '${login}'.` });
+        });
+        return { json: errors.length > 0 ? { data, errors } : { data } };
+    });
+    t.after(server.close);
+    const crawler = new GitHubCrawlerCore({ baseURL: server.url, apiToken: 'test', enrichment: 'graphql', graphqlBatchSize: 2, fixtures: new FixtureStore({ mode: 'off' }) });
+
+    const candidates = await crawler.enrichCandidates(['alice', 'ghost', 'bob', 'carol'].map(login => ({ login, html_url: `https://github.com/${login}` })), JOB);
+
+    assert.deepEqual(candidates.map(candidate => candidate.username), ['alice', 'bob', 'carol']);
+    assert.deepEqual(server.requests.map(request => `${request.method} ${request.url}`), ['POST /graphql', 'POST /graphql']);
+    assert.deepEqual(server.requests[1].body.variables, { reposPerUser: 100, login0: 'bob', login1: 'carol' });
+
+    const [alice] = candidates;
+    assert.ok(alice.skills.includes('python'));
+    assert.equal(alice.languages.Python, 1);
+    assert.equal(alice.contributions, 321);
+});
+
+test('a rate-limited batch is a spent budget, and the batch is skipped', async (t) => {
+    silenceConsole(t);
+    const server = await startStandIn(() => ({
+        json: { errors: [{ type: 'RATE_LIMITED', message: 'API rate limit exceeded' }] },
+        headers: { 'x-ratelimit-resource': 'graphql', 'x-ratelimit-limit': '5000', 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': String(Math.floor(Date.now() / 1000) + 600) }
+    }));
+    t.after(server.close);
+    const crawler = new GitHubCrawlerCore({ baseURL: server.url, apiToken: 'test', enrichment: 'graphql', fixtures: new FixtureStore({ mode: 'off' }) });
+
+    await assert.rejects(crawler.request('graphql', '/graphql', buildEnrichmentQuery(['alice'])), error => error.status === 403 && error.rateLimited && error.retryAfterMs > 590000);
+    assert.deepEqual(await crawler.enrichCandidates([{ login: 'alice' }], JOB), []);
+});
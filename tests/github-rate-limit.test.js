@@ -0,0 +1,116 @@
+// tests/github-rate-limit.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GitHubRateLimitManager, GitHubRateLimitError, formatRateLimitStats, resourceFor } from '../src/scrapers/github-rate-limit.js';
+import { GitHubCrawlerCore, GitHubAPIError } from '../src/scrapers/github-crawler-core.js';
+import { retryMiddleware, rateLimitMiddleware } from '../src/scrapers/crawler-middleware.js';
+import { FixtureStore } from '../src/utils/fixtures.js';
+import { startStandIn, silenceConsole } from './helpers/stand-in-server.js';
+
+const inSeconds = seconds => String(Math.floor(Date.now() / 1000) + seconds);
+
+const budgetHeaders = (resource, limit, remaining, resetIn = 60) => ({
+    'x-ratelimit-resource': resource,
+    'x-ratelimit-limit': String(limit),
+    'x-ratelimit-remaining': String(remaining),
+    'x-ratelimit-reset': inSeconds(resetIn)
+});
+
+test('tells a spent budget, a secondary limit and a denied request apart', () => {
+    const spent = new GitHubAPIError('x', { status: 403, headers: budgetHeaders('core', 5000, 0, 120) });
+    assert.equal(spent.rateLimited, true);
+    assert.equal(spent.retryable, true);
+    assert.ok(spent.retryAfterMs > 115000 && spent.retryAfterMs <= 120000);
+
+    const secondary = new GitHubAPIError('x', { status: 403, headers: { 'retry-after': '3' } });
+    assert.equal(secondary.secondaryRateLimit, true);
+    assert.equal(secondary.retryAfterMs, 3000);
+
+    const dated = new GitHubAPIError('x', { status: 429, headers: { 'retry-after': new Date(Date.now() + 30000).toUTCString() } });
+    assert.equal(dated.secondaryRateLimit, true);
+    assert.ok(dated.retryAfterMs > 25000 && dated.retryAfterMs <= 30000);
+
+    const unreadable = new GitHubAPIError('x', { status: 403, headers: { 'retry-after': 'soon' }, apiMessage: 'You have exceeded a secondary rate limit' });
+    assert.equal(unreadable.secondaryRateLimit, true);
+    assert.equal(unreadable.retryAfterMs, null);
+
+    const denied = new GitHubAPIError('x', { status: 403, apiMessage: 'Resource not accessible by integration' });
+    assert.equal(denied.permissionDenied, true);
+    assert.equal(denied.retryable, false);
+});
+
+test('spreads the last part of a budget until the reset and waits once it is gone', () => {
+    const manager = new GitHubRateLimitManager({ reserve: 0.1, maxConcurrent: 2 });
+    assert.equal(manager.waitFor('search'), 0);
+
+    manager.update('search', budgetHeaders('search', 30, 20));
+    assert.equal(manager.waitFor('search'), 0);
+
+    // 3 left (the reserve) over about a minute: one request every ~20s
+    manager.update('search', budgetHeaders('search', 30, 3));
+    const spread = manager.waitFor('search');
+    assert.ok(spread > 15000 && spread <= 20000, `waits ${spread}ms`);
+
+    manager.update('search', budgetHeaders('search', 30, 0));
+    assert.ok(manager.waitFor('search') > 55000);
+    assert.equal(manager.waitFor('core'), 0);
+
+    // A late response from earlier in the window does not raise the count again
+    manager.budgets.core = { limit: 5000, remaining: 10, resetAt: Number(inSeconds(60)) * 1000, lastRequestAt: Date.now() };
+    manager.update('core', { ...budgetHeaders('core', 5000, 40), 'x-ratelimit-reset': String(manager.budgets.core.resetAt / 1000) });
+    assert.equal(manager.budgets.core.remaining, 10);
+    assert.equal(resourceFor('repos'), 'core');
+});
+
+test('a wait longer than maxWaitMs fails instead of stalling', async () => {
+    const manager = new GitHubRateLimitManager({ maxWaitMs: 1000 });
+    manager.update('core', budgetHeaders('core', 60, 0, 600));
+
+    await assert.rejects(manager.acquire('core'), error =>
+        error instanceof GitHubRateLimitError && error.resource === 'core' && /set GITHUB_TOKEN/.test(error.message));
+});
+
+test('secondary limits pause for Retry-After, else a doubling minute', (t) => {
+    silenceConsole(t);
+    const manager = new GitHubRateLimitManager({});
+
+    manager.recordFailure('search', new GitHubAPIError('x', { status: 403, headers: { 'retry-after': '2' } }));
+    const pause = manager.waitFor('core');
+    assert.ok(pause > 1500 && pause <= 2000);
+
+    manager.pausedUntil = 0;
+    manager.recordFailure('search', new GitHubAPIError('x', { status: 429 }));
+    assert.ok(manager.waitFor('search') > 115000, 'second hit in a row waits two minutes');
+
+    manager.pausedUntil = 0;
+    manager.recordSuccess('search', {});
+    manager.recordFailure('search', new GitHubAPIError('x', { status: 429 }));
+    assert.ok(manager.waitFor('search') <= 60000, 'a success resets the backoff');
+    assert.equal(manager.getStats().secondaryLimits, 3);
+});
+
+test('a crawler retries a secondary limit after Retry-After and tracks the budget', async (t) => {
+    silenceConsole(t);
+    let calls = 0;
+    const server = await startStandIn(() => (calls++ === 0
+        ? { status: 403, json: { message: 'You have exceeded a secondary rate limit' }, headers: { 'retry-after': '0' } }
+        : { json: { total_count: 0, items: [] }, headers: budgetHeaders('search', 30, 29) }));
+    t.after(server.close);
+    const manager = new GitHubRateLimitManager({});
+    const crawler = new GitHubCrawlerCore({
+        baseURL: server.url,
+        apiToken: null,
+        middleware: [retryMiddleware({ baseDelayMs: 1 }), rateLimitMiddleware({ manager })],
+        fixtures: new FixtureStore({ mode: 'off' })
+    });
+
+    const data = await crawler.request('search', '/search/users?q=language:go');
+
+    assert.deepEqual(data, { total_count: 0, items: [] });
+    assert.equal(server.requests.length, 2);
+    const stats = crawler.getRateLimitStats();
+    assert.equal(stats.secondaryLimits, 1);
+    assert.equal(stats.budgets.search.remaining, 29);
+    assert.equal(formatRateLimitStats(stats), 'search 29/30; 1 secondary limits');
+});
@@ -0,0 +1,130 @@
+// tests/github-search.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { partitionDimensionFor, splitTask, SearchCursor } from '../src/scrapers/github-search.js';
+import { GitHubCrawlerCore } from '../src/scrapers/github-crawler-core.js';
+import { FixtureStore } from '../src/utils/fixtures.js';
+import { startStandIn, temporaryFixtureDir, silenceConsole } from './helpers/stand-in-server.js';
+
+test('partitions on the preferred dimension unless the query already uses it', () => {
+    assert.equal(partitionDimensionFor('language:go'), 'created');
+    assert.equal(partitionDimensionFor('language:go created:>2020-01-01'), 'followers');
+    assert.equal(partitionDimensionFor('language:go', 'repos'), 'repos');
+    assert.equal(partitionDimensionFor('created:>2020 followers:>5 repos:>1'), null);
+});
+
+test('splits ranges into disjoint halves until they hold one value', () => {
+    const [low, high] = splitTask({ base: 'language:go', query: 'language:go', page: 3 }, 'followers');
+    assert.deepEqual(low, { base: 'language:go', query: 'language:go followers:0..99', dimension: 'followers', range: [0, 99], page: 1 });
+    assert.equal(high.query, 'language:go followers:>=100');
+
+    // The open top range doubles
+    assert.deepEqual(splitTask(high).map(task => task.query), ['language:go followers:100..199', 'language:go followers:>=200']);
+    assert.deepEqual(splitTask({ ...low, range: [5, 6] }).map(task => task.range), [[5, 5], [6, 6]]);
+    assert.equal(splitTask({ ...low, range: [5, 5] }), null);
+
+    const [first, second] = splitTask({ base: 'location:austin', query: 'location:austin' });
+    assert.match(first.query, /^location:austin created:2007-10-01\.\.\d{4}-\d{2}-\d{2}$/);
+    assert.equal(first.range[1] + 1, second.range[0]);
+});
+
+// GitHub's user search over `count` users where user i has i followers: at most 1,000
+// results per query, most followed first
+function userSearch(count, { failAfter = Infinity } = {}) {
+    let served = 0;
+    return (req) => {
+        if (served++ >= failAfter) return { status: 502, json: { message: 'Server Error' } };
+        const url = new URL(req.url, 'http://stand-in');
+        const query = url.searchParams.get('q');
+        const perPage = Number(url.searchParams.get('per_page'));
+        const page = Number(url.searchParams.get('page') || 1);
+        if (page * perPage > 1000) return { status: 422, json: { message: 'Only the first 1000 search results are available' } };
+
+        const range = query.match(/followers:(?:>=(\d+)|(\d+)\.\.(\d+))/);
+        const [lo, hi] = range ? [Number(range[1] ?? range[2]), range[3] === undefined ? Infinity : Number(range[3])] : [0, Infinity];
+        const matches = [];
+        for (let followers = Math.min(count - 1, hi); followers >= lo; followers--) matches.push(followers);
+        return {
+            json: {
+                total_count: matches.length,
+                items: matches.slice((page - 1) * perPage, page * perPage).map(followers => ({ login: `u${followers}`, html_url: `https://github.com/u${followers}` }))
+            }
+        };
+    };
+}
+
+function searcher(url, options = {}) {
+    return new GitHubCrawlerCore({ baseURL: url, apiToken: null, partitionBy: 'followers', fixtures: new FixtureStore({ mode: 'off' }), ...options });
+}
+
+test('a search past the 1,000-result cap is partitioned until every user is reached', async (t) => {
+    silenceConsole(t);
+    const server = await startStandIn(userSearch(1500));
+    t.after(server.close);
+
+    const users = await searcher(server.url, { searchDepth: 5000 }).searchUsers('language:go');
+
+    assert.equal(users.length, 1500);
+    assert.equal(new Set(users.map(user => user.login)).size, 1500);
+});
+
+test('a shallow search stays on the first query and stops at searchDepth', async (t) => {
+    silenceConsole(t);
+    const server = await startStandIn(userSearch(1500));
+    t.after(server.close);
+
+    const users = await searcher(server.url, { searchDepth: 150 }).searchUsers('language:go');
+
+    assert.equal(users.length, 150);
+    assert.deepEqual(users.slice(0, 2).map(user => user.login), ['u1499', 'u1498']);
+    assert.equal(server.requests.length, 2);
+});
+
+test('an interrupted search resumes from its cursor file and removes it when done', async (t) => {
+    silenceConsole(t);
+    const dir = await temporaryFixtureDir();
+    t.after(dir.remove);
+    const cursorPath = path.join(dir.dir, 'cursor.json');
+
+    const uninterrupted = await startStandIn(userSearch(1200));
+    await searcher(uninterrupted.url, { searchDepth: 2000 }).searchAllUsers(['language:go']);
+    await uninterrupted.close();
+
+    const failing = await startStandIn(userSearch(1200, { failAfter: 4 }));
+    const interrupted = await searcher(failing.url, { searchDepth: 2000, searchCursorPath: cursorPath }).searchAllUsers(['language:go']);
+    await failing.close();
+    assert.deepEqual(interrupted, []);
+
+    const saved = JSON.parse(await fs.readFile(cursorPath, 'utf8'));
+    const state = saved.queries['language:go'];
+    assert.equal(state.complete, false);
+    assert.ok(state.users.length > 0);
+    assert.deepEqual(saved.settings, { queries: ['language:go'], searchDepth: 2000, partitionBy: 'followers' });
+
+    const working = await startStandIn(userSearch(1200));
+    t.after(working.close);
+    const resumed = await searcher(working.url, { searchDepth: 2000, searchCursorPath: cursorPath }).searchAllUsers(['language:go']);
+
+    assert.equal(new Set(resumed.map(user => user.login)).size, 1200);
+    // The 4 pages fetched before the failure are not fetched again
+    assert.equal(working.requests.length, uninterrupted.requests.length - 4);
+    assert.ok(!working.requests.some(request => request.url === failing.requests[0].url));
+    await assert.rejects(fs.access(cursorPath));
+});
+
+test('a cursor saved with other settings is ignored', async (t) => {
+    silenceConsole(t);
+    const dir = await temporaryFixtureDir();
+    t.after(dir.remove);
+    const cursorPath = path.join(dir.dir, 'cursor.json');
+
+    const cursor = new SearchCursor(cursorPath, { queries: ['language:go'], searchDepth: 100 });
+    cursor.start('language:go').users.push({ login: 'someone' });
+    await cursor.save();
+
+    assert.equal((await SearchCursor.load(cursorPath, { queries: ['language:go'], searchDepth: 100 })).queries['language:go'].users.length, 1);
+    assert.deepEqual((await SearchCursor.load(cursorPath, { queries: ['language:go'], searchDepth: 200 })).queries, {});
+});
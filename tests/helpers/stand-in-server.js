@@ -0,0 +1,48 @@
+// tests/helpers/stand-in-server.js
+
+import http from 'http';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+// A local HTTP server standing in for api.github.com or an OpenAI-compatible LLM server.
+// Tests record a run against it with FIXTURE_MODE=record semantics, close it, and replay the
+// recording, so replay is exercised without network access or committed hash-named files.
+// `handler(request, body)` returns { status, json } for every request.
+async function startStandIn(handler) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            const parsed = body ? JSON.parse(body) : null;
+            requests.push({ method: req.method, url: req.url, body: parsed });
+            const { status = 200, json, headers = {} } = handler(req, parsed);
+            res.writeHead(status, { 'content-type': 'application/json', ...headers });
+            res.end(JSON.stringify(json));
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+// A fresh fixture directory, removed by the returned cleanup
+async function temporaryFixtureDir() {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'talentfinder-fixtures-'));
+    return { dir, remove: () => fs.rm(dir, { recursive: true, force: true }) };
+}
+
+// Mutes console output for the rest of test `t`. The crawlers and the LLM client log progress
+// with emoji, and Node 20's test runner can fail to decode that output from a test file.
+function silenceConsole(t) {
+    for (const method of ['log', 'warn', 'error']) {
+        t.mock.method(console, method, () => {});
+    }
+}
+
+export { startStandIn, temporaryFixtureDir, silenceConsole };
@@ -0,0 +1,76 @@
+// tests/job-linter.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { JobDescriptionLinter } from '../src/lint/job-linter.js';
+import { temporaryFixtureDir } from './helpers/stand-in-server.js';
+
+const linter = new JobDescriptionLinter({ parserOptions: { mode: 'rules' }, currentYear: 2026 });
+
+const rules = report => report.findings.map(finding => finding.rule);
+
+test('flags coded language with a rewrite of the line', async () => {
+    const report = await linter.lint('# Backend Developer\n**Salary:** $120k - $150k\n\nWe want a rockstar who works hard.\n');
+    const finding = report.findings.find(candidate => candidate.rule === 'inclusive-language/coded');
+
+    assert.equal(finding.span.text, 'rockstar');
+    assert.match(finding.rewrite, /^We want an? expert who works hard\.$/);
+});
+
+test('flags more years of a skill than it has existed', async () => {
+    const report = await linter.lint('# Backend Developer\n**Salary:** $120k - $150k\n\n## Requirements\n- 10+ years of FastAPI\n');
+    const finding = report.findings.find(candidate => candidate.rule === 'unrealistic-experience');
+
+    assert.equal(finding.severity, 'error');
+    assert.match(finding.message, /released in 2018/);
+    assert.equal(report.summary.ready, false);
+});
+
+test('a remote role without a pay range is an error', async () => {
+    const report = await linter.lint('# Backend Developer\n**Location:** Remote\n\n## Requirements\n- 3+ years of Python\n');
+    const finding = report.findings.find(candidate => candidate.rule === 'missing-salary');
+
+    assert.equal(finding.severity, 'error');
+});
+
+test('checks the level against the experience range', async () => {
+    const junior = await linter.lint('# Junior Developer\n**Salary:** $80k - $95k\n\n## Requirements\n- 6+ years of Python\n');
+    assert.ok(rules(junior).includes('level-experience-mismatch'));
+
+    const shortLead = await linter.lint('# Lead Engineer\n**Salary:** $180k - $210k\n\n## Requirements\n- 1-3 years of Python\n');
+    assert.ok(rules(shortLead).includes('level-experience-mismatch'));
+
+    // "5+ years" has no upper bound, so it is never too short for a lead
+    const openLead = await linter.lint('# Lead Engineer\n**Salary:** $180k - $210k\n\n## Requirements\n- 5+ years of Python\n');
+    assert.ok(!rules(openLead).includes('level-experience-mismatch'));
+});
+
+test('a clean posting scores 100 and is ready', async () => {
+    const report = await linter.lint('# Backend Developer\n**Location:** Austin, TX\n**Salary:** $120,000 - $150,000 per year\n\n## Requirements\n- 3+ years of Python\n- PostgreSQL\n');
+
+    assert.deepEqual(report.findings, []);
+    assert.deepEqual(report.summary, { score: 100, errors: 0, warnings: 0, info: 0, ready: true });
+});
+
+test('--json prints only the report on stdout, even when the LLM is unreachable', async (t) => {
+    const workDir = await temporaryFixtureDir();
+    t.after(workDir.remove);
+    const file = path.join(workDir.dir, 'job.md');
+    await fs.writeFile(file, '# Backend Developer\n**Salary:** $120k - $150k\n\n## Requirements\n- 3+ years of Python\n');
+    const script = fileURLToPath(new URL('../src/lint-job.js', import.meta.url));
+
+    const { stdout } = await promisify(execFile)(process.execPath, [script, file, '--mode', 'auto', '--json'], {
+        cwd: workDir.dir,
+        env: { ...process.env, LLM_PROVIDER: 'local', LLM_BASE_URL: 'http://127.0.0.1:9/v1', LLM_MAX_RETRIES: '0', LLM_CACHE: 'off' }
+    });
+
+    const report = JSON.parse(stdout);
+    assert.equal(report.job.extraction.mode, 'rules');
+    assert.match(report.job.extraction.fallbackReason, /^unavailable: /);
+    assert.equal(report.job.title, 'Backend Developer');
+});
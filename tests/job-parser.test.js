@@ -0,0 +1,95 @@
+// tests/job-parser.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JobRequirementsParser } from '../src/parsers/job-parser.js';
+import { validateJobRequirements } from '../src/parsers/job-schema.js';
+import { LLMClient } from '../src/utils/llm-client.js';
+import { FixtureStore } from '../src/utils/fixtures.js';
+import sampleJobs from './sample-jobs.js';
+import { startStandIn, temporaryFixtureDir, silenceConsole } from './helpers/stand-in-server.js';
+
+const { jobDescription } = sampleJobs;
+
+test('rules mode parses the sample posting into a valid job', async () => {
+    const job = await new JobRequirementsParser(null, { mode: 'rules' }).parseJobDescription(jobDescription);
+
+    assert.deepEqual(validateJobRequirements(job), []);
+    assert.equal(job.title, 'Senior Data Scientist - Machine Learning');
+    assert.equal(job.level, 'senior');
+    assert.deepEqual(job.salary, { min: 150000, max: 200000, currency: 'USD', period: 'yearly' });
+    assert.equal(job.location.type, 'remote');
+    assert.equal(job.companyInfo.name, 'DataFlow Analytics');
+    assert.ok(job.requiredSkills.includes('Python'));
+    assert.ok(job.preferredSkills.includes('Apache Kafka'));
+    assert.deepEqual(job.extraction, { mode: 'rules', origin: 'rule-based' });
+});
+
+test('an open-ended experience requirement has no upper bound', async () => {
+    const job = await new JobRequirementsParser(null, { mode: 'rules' }).parseJobDescription(jobDescription);
+
+    assert.deepEqual(job.yearsExperience, { min: 5, max: null });
+    assert.equal(job.provenance.yearsExperience.source, 'stated');
+    assert.equal(job.provenance.yearsExperience.spans[0].text, '5+ years');
+});
+
+test('an unstated employment type stays null and is flagged as defaulted', async () => {
+    const parser = new JobRequirementsParser(null, { mode: 'rules' });
+
+    const permanent = await parser.parseJobDescription(jobDescription);
+    assert.equal(permanent.employment.type, null);
+    assert.equal(permanent.provenance['employment.type'].source, 'defaulted');
+
+    const hourly = await parser.parseJobDescription('# Java Developer\n\nRate: $75/hr\nW2 only\n\n## Requirements\n- Java');
+    assert.equal(hourly.employment.type, 'contract');
+    assert.equal(hourly.provenance['employment.type'].source, 'inferred');
+});
+
+test('ai mode replays a recorded extraction without reaching the model', async (t) => {
+    silenceConsole(t);
+    const answer = {
+        title: 'Senior Data Scientist',
+        level: 'senior',
+        yearsExperience: { min: 5, max: null },
+        location: { type: 'remote', city: null, state: null, country: 'USA' },
+        salary: { min: 150000, max: 200000, currency: 'USD', period: 'yearly' },
+        requiredSkills: ['Python', 'TensorFlow', 'SQL'],
+        preferredSkills: ['Kafka'],
+        benefits: ['401(k) with company match'],
+        companyInfo: { name: 'DataFlow Analytics', size: 'startup', industry: 'Analytics' },
+        employment: { type: 'full-time', taxTerms: [], contractLengthMonths: null, clearance: null, visaSponsorship: null }
+    };
+    const server = await startStandIn((req, body) => ({
+        json: {
+            model: body.model,
+            choices: [{ message: { role: 'assistant', content: JSON.stringify(answer) }, finish_reason: 'stop' }],
+            usage: { prompt_tokens: 900, completion_tokens: 200 }
+        }
+    }));
+    const fixtures = await temporaryFixtureDir();
+    t.after(fixtures.remove);
+
+    const parse = mode => {
+        const llmClient = new LLMClient({
+            provider: 'local',
+            model: 'llama3.1',
+            baseURL: `${server.url}/v1`,
+            maxRetries: 0,
+            cache: { enabled: false },
+            fixtures: new FixtureStore({ mode, dir: fixtures.dir })
+        });
+        return new JobRequirementsParser(llmClient, { mode: 'ai' }).parseJobDescription(jobDescription);
+    };
+
+    const recorded = await parse('record');
+    assert.ok(server.requests.length > 0);
+    // With the server gone, any call that reached the model would fail the parse
+    await server.close();
+    const replayed = await parse('replay');
+
+    assert.deepEqual(validateJobRequirements(replayed), []);
+    assert.deepEqual(replayed.yearsExperience, { min: 5, max: null });
+    assert.deepEqual(replayed.requiredSkills, recorded.requiredSkills);
+    assert.equal(replayed.salaryNormalized.status, 'stated');
+    assert.equal(replayed.provenance.title.source, 'stated');
+});
@@ -0,0 +1,128 @@
+// tests/llm-cache.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { LLMClient } from '../src/utils/llm-client.js';
+import { FixtureStore } from '../src/utils/fixtures.js';
+import { startStandIn, temporaryFixtureDir, silenceConsole } from './helpers/stand-in-server.js';
+
+const SCHEMA = { type: 'object', properties: { title: { type: 'string' } }, required: ['title'] };
+
+// An OpenAI-compatible server giving `answers` in turn, then repeating the last one
+function answering(answers) {
+    let calls = 0;
+    return (req, body) => ({
+        json: {
+            model: body.model,
+            choices: [{ message: { role: 'assistant', content: answers[Math.min(calls++, answers.length - 1)] }, finish_reason: 'stop' }],
+            usage: { prompt_tokens: 40, completion_tokens: 10 }
+        }
+    });
+}
+
+async function cachingClient(t, handler) {
+    silenceConsole(t);
+    const server = await startStandIn(handler);
+    t.after(server.close);
+    const cacheDir = await temporaryFixtureDir();
+    t.after(cacheDir.remove);
+
+    const client = new LLMClient({
+        provider: 'local',
+        model: 'llama3.1',
+        baseURL: `${server.url}/v1`,
+        maxRetries: 0,
+        cache: { enabled: true, dir: cacheDir.dir, bypass: false },
+        fixtures: new FixtureStore({ mode: 'off' })
+    });
+    return { client, server };
+}
+
+test('an answer that failed validation is not cached, the repaired one is', async (t) => {
+    const { client, server } = await cachingClient(t, answering(['{"title": 42}', '{"title": "Data Engineer"}']));
+
+    const repaired = await client.generateStructured('Extract the title', SCHEMA);
+    assert.deepEqual(repaired.data, { title: 'Data Engineer' });
+    assert.equal(server.requests.length, 2);
+
+    // The original prompt was not cached with its invalid answer, so it reaches the model again
+    const again = await client.generateStructured('Extract the title', SCHEMA);
+    assert.deepEqual(again.data, { title: 'Data Engineer' });
+    assert.equal(again.cached, false);
+    assert.equal(server.requests.length, 3);
+
+    // That answer validated on the first try and is served from the cache from now on
+    const cached = await client.generateStructured('Extract the title', SCHEMA);
+    assert.deepEqual(cached.data, { title: 'Data Engineer' });
+    assert.equal(cached.cached, true);
+    assert.equal(server.requests.length, 3);
+});
+
+test('identical calls are answered from disk, across clients', async (t) => {
+    const { client, server } = await cachingClient(t, answering(['OK']));
+
+    const first = await client.complete('ping', { promptVersion: 'ping@1' });
+    assert.equal(first.cached, false);
+
+    const other = new LLMClient({ ...client.config, cache: { ...client.config.cache } });
+    const second = await other.complete('ping', { promptVersion: 'ping@1' });
+
+    assert.equal(second.cached, true);
+    assert.equal(second.text, 'OK');
+    assert.equal(server.requests.length, 1);
+    assert.equal(other.getCacheStats().diskHits, 1);
+    assert.equal(other.getCacheStats().savedOutputTokens, 10);
+});
+
+test('the key covers the model, parameters, system prompt and prompt version', async (t) => {
+    const { client, server } = await cachingClient(t, answering(['OK']));
+
+    await client.complete('ping');
+    await client.complete('ping', { model: 'qwen2.5' });
+    await client.complete('ping', { temperature: 0.7 });
+    await client.complete('ping', { system: 'Be brief.' });
+    await client.complete('ping', { promptVersion: 'ping@2' });
+    assert.equal(server.requests.length, 5);
+
+    await client.complete('ping');
+    await client.complete('ping', { cache: false });
+    assert.equal(server.requests.length, 6);
+});
+
+test('expired entries and bypass runs go back to the model', async (t) => {
+    const { client, server } = await cachingClient(t, answering(['OK']));
+    client.cache.defaultTTL = 1;
+
+    await client.complete('ping');
+    await new Promise(resolve => setTimeout(resolve, 5));
+    assert.equal((await client.complete('ping')).cached, false);
+    assert.equal(server.requests.length, 2);
+
+    client.cache.defaultTTL = 60000;
+    client.config.cache.bypass = true;
+    await client.complete('pong');
+    await client.complete('pong');
+    assert.equal(server.requests.length, 4);
+
+    // A bypass run still refreshes the cache for the next one
+    client.config.cache.bypass = false;
+    assert.equal((await client.complete('pong')).cached, true);
+});
+
+test('with fixtures the cache stays in memory, so a replay never depends on it', async (t) => {
+    const { client, server } = await cachingClient(t, answering(['OK']));
+    const fixtureDir = await temporaryFixtureDir();
+    t.after(fixtureDir.remove);
+    const withFixtures = mode => new LLMClient({ ...client.config, fixtures: new FixtureStore({ mode, dir: fixtureDir.dir }) });
+
+    await withFixtures('record').complete('ping');
+    await server.close();
+    const replay = withFixtures('replay');
+    const replayed = await replay.complete('ping');
+
+    assert.equal(replayed.text, 'OK');
+    assert.equal(replayed.cached, false);
+    assert.equal(replay.fixtures.stats.replayed, 1);
+    assert.deepEqual(await fs.readdir(client.config.cache.dir), []);
+});
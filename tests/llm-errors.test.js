@@ -0,0 +1,105 @@
+// tests/llm-errors.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyLLMError, LLMError, LLMAuthError, LLMRateLimitError, LLMTimeoutError, LLMContentFilterError, LLMUnavailableError } from '../src/utils/llm-errors.js';
+import { LLMClient } from '../src/utils/llm-client.js';
+import { FixtureStore } from '../src/utils/fixtures.js';
+import { JobRequirementsParser } from '../src/parsers/job-parser.js';
+import { startStandIn, silenceConsole } from './helpers/stand-in-server.js';
+
+function httpError(status, message, extra = {}) {
+    return Object.assign(new Error(message), { status, ...extra });
+}
+
+test('classifies SDK, HTTP and network failures by kind', () => {
+    const cases = [
+        [httpError(401, 'Incorrect API key'), LLMAuthError, false],
+        [httpError(429, 'Rate limit reached'), LLMRateLimitError, true],
+        [httpError(408, 'Request Timeout'), LLMTimeoutError, true],
+        [Object.assign(new Error('aborted'), { name: 'AbortError' }), LLMTimeoutError, true],
+        [httpError(400, 'blocked', { code: 'content_filter' }), LLMContentFilterError, false],
+        [httpError(529, 'Overloaded'), LLMUnavailableError, true],
+        [Object.assign(new Error('connect failed'), { code: 'ECONNREFUSED' }), LLMUnavailableError, true]
+    ];
+    for (const [raw, ErrorClass, retryable] of cases) {
+        const error = classifyLLMError(raw, 'openai');
+        assert.ok(error instanceof ErrorClass, `${raw.message} -> ${error.name}`);
+        assert.equal(error.retryable, retryable);
+        assert.equal(error.provider, 'openai');
+        assert.equal(error.cause, raw);
+    }
+
+    const invalid = classifyLLMError(httpError(404, 'The model does not exist'));
+    assert.equal(invalid.kind, 'invalid-request');
+    assert.equal(invalid.retryable, false);
+    assert.equal(classifyLLMError(new Error('???')).kind, 'unknown');
+});
+
+test('a 429 carries its Retry-After, and an exhausted quota is not retried', () => {
+    const limited = classifyLLMError(httpError(429, 'Slow down', { headers: new Headers({ 'retry-after': '2' }) }));
+    assert.equal(limited.retryAfterMs, 2000);
+
+    const dated = classifyLLMError(httpError(429, 'Slow down', { headers: { 'retry-after': new Date(Date.now() + 60000).toUTCString() } }));
+    assert.ok(dated.retryAfterMs > 55000 && dated.retryAfterMs <= 60000);
+
+    const quota = classifyLLMError(httpError(429, 'You exceeded your current quota', { code: 'insufficient_quota' }));
+    assert.equal(quota.retryable, false);
+});
+
+test('backoff never undercuts Retry-After but stays capped', (t) => {
+    silenceConsole(t);
+    const client = new LLMClient({ provider: 'local', retryBaseDelayMs: 100, retryMaxDelayMs: 1000, cache: { enabled: false } });
+    assert.ok(client.retryDelay(3, new LLMError('x')) <= 800);
+    assert.ok(client.retryDelay(0, new LLMError('x', { retryAfterMs: 3000 })) >= 3000);
+    assert.equal(client.retryDelay(0, new LLMError('x', { retryAfterMs: 60000 })), 4000);
+});
+
+// A local-provider client against a stand-in that fails with `statuses` in turn, then answers
+async function flakyClient(t, statuses) {
+    silenceConsole(t);
+    let calls = 0;
+    const server = await startStandIn((req, body) => {
+        const status = statuses[calls++];
+        return status
+            ? { status, json: { error: `status ${status}` } }
+            : { json: { model: body.model, choices: [{ message: { content: 'OK' }, finish_reason: 'stop' }] } };
+    });
+    t.after(server.close);
+    const client = new LLMClient({
+        provider: 'local',
+        model: 'llama3.1',
+        baseURL: `${server.url}/v1`,
+        maxRetries: 2,
+        retryBaseDelayMs: 1,
+        cache: { enabled: false },
+        fixtures: new FixtureStore({ mode: 'off' })
+    });
+    return { client, server };
+}
+
+test('retries unavailable errors until the model answers', async (t) => {
+    const { client, server } = await flakyClient(t, [503, 502]);
+
+    const completion = await client.complete('ping');
+
+    assert.equal(completion.text, 'OK');
+    assert.equal(server.requests.length, 3);
+});
+
+test('gives up on the first auth error and on the last retry', async (t) => {
+    const { client, server } = await flakyClient(t, [401, 503, 503, 503]);
+
+    await assert.rejects(client.complete('ping'), LLMAuthError);
+    assert.equal(server.requests.length, 1);
+
+    await assert.rejects(client.complete('ping'), error => error instanceof LLMUnavailableError && error.status === 503);
+    assert.equal(server.requests.length, 4);
+});
+
+test('an ai-mode parse fails with the typed error instead of returning made-up data', async (t) => {
+    const { client } = await flakyClient(t, [401]);
+    const parser = new JobRequirementsParser(client, { mode: 'ai' });
+
+    await assert.rejects(parser.parseJobDescription('# Data Engineer\n\n## Requirements\n- Python'), error => error.kind === 'auth');
+});
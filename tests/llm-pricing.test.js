@@ -0,0 +1,91 @@
+// tests/llm-pricing.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { priceFor, estimateCost, formatCost } from '../src/utils/llm-pricing.js';
+import { LLMClient } from '../src/utils/llm-client.js';
+import { LLMBudgetExceededError } from '../src/utils/llm-errors.js';
+import { PerformanceMonitor } from '../src/utils/performance-monitor.js';
+import { FixtureStore } from '../src/utils/fixtures.js';
+import { startStandIn, silenceConsole } from './helpers/stand-in-server.js';
+
+test('prices exact models, dated variants and provider wildcards', () => {
+    assert.deepEqual(priceFor('openai', 'gpt-4o'), { input: 2.5, output: 10 });
+    assert.deepEqual(priceFor('openai', 'gpt-4o-mini-2024-07-18'), { input: 0.15, output: 0.6 });
+    assert.deepEqual(priceFor('ollama', 'qwen2.5'), { input: 0, output: 0 });
+    assert.equal(priceFor('openai', 'o9-preview'), null);
+
+    assert.equal(estimateCost({ inputTokens: 1000000, outputTokens: 100000 }, { input: 2.5, output: 10 }), 3.5);
+    assert.equal(estimateCost({ inputTokens: 10, outputTokens: 10 }, null), null);
+    assert.equal(formatCost(0.000375), '$0.00038');
+    assert.equal(formatCost(null), 'unknown');
+});
+
+// An OpenAI client against a stand-in where every call costs $0.10 on gpt-4o
+async function pricedClient(t, budget) {
+    silenceConsole(t);
+    const server = await startStandIn((req, body) => ({
+        json: {
+            id: 'chatcmpl-1', object: 'chat.completion', model: body.model,
+            choices: [{ index: 0, message: { role: 'assistant', content: 'OK' }, finish_reason: 'stop' }],
+            usage: { prompt_tokens: 0, completion_tokens: 10000 }
+        }
+    }));
+    t.after(server.close);
+    const monitor = new PerformanceMonitor();
+    const client = new LLMClient({
+        provider: 'openai',
+        model: 'gpt-4o',
+        apiKey: 'test',
+        baseURL: `${server.url}/v1`,
+        maxRetries: 0,
+        budget,
+        cache: { enabled: false },
+        fixtures: new FixtureStore({ mode: 'off' }),
+        monitor
+    });
+    return { client, server, monitor };
+}
+
+test('adds the cost of every call to the run totals', async (t) => {
+    const { client, monitor } = await pricedClient(t, {});
+
+    const completion = await client.complete('ping');
+    await client.complete('pong');
+
+    assert.equal(completion.costUsd, 0.1);
+    const usage = monitor.getLLMUsage();
+    assert.equal(usage.calls, 2);
+    assert.equal(usage.outputTokens, 20000);
+    assert.ok(Math.abs(usage.costUsd - 0.2) < 1e-9);
+});
+
+test('switches to the downgrade model past the soft cap', async (t) => {
+    const { client, server } = await pricedClient(t, { softLimitUsd: 0.05, downgradeModel: 'gpt-4o-mini' });
+
+    await client.complete('first');
+    const second = await client.complete('second');
+
+    assert.deepEqual(server.requests.map(request => request.body.model), ['gpt-4o', 'gpt-4o-mini']);
+    assert.ok(second.costUsd < 0.01);
+});
+
+test('refuses calls past the hard cap without reaching the provider', async (t) => {
+    const { client, server } = await pricedClient(t, { hardLimitUsd: 0.1 });
+
+    await client.complete('first');
+    await assert.rejects(client.complete('second'), LLMBudgetExceededError);
+    assert.equal(server.requests.length, 1);
+});
+
+test('estimates usage when the server reports none', async (t) => {
+    silenceConsole(t);
+    const server = await startStandIn((req, body) => ({ json: { model: body.model, choices: [{ message: { content: 'four' }, finish_reason: 'stop' }] } }));
+    t.after(server.close);
+    const client = new LLMClient({ provider: 'local', model: 'llama3.1', baseURL: `${server.url}/v1`, cache: { enabled: false }, fixtures: new FixtureStore({ mode: 'off' }), monitor: new PerformanceMonitor() });
+
+    const completion = await client.complete('12345678');
+
+    assert.deepEqual(completion.usage, { inputTokens: 2, outputTokens: 1, estimated: true });
+    assert.equal(completion.costUsd, 0);
+});
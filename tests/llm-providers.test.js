@@ -0,0 +1,116 @@
+// tests/llm-providers.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { OpenAIProvider, AnthropicProvider, OpenAICompatibleProvider, createProvider, defaultModelFor } from '../src/utils/llm-providers.js';
+import { startStandIn } from './helpers/stand-in-server.js';
+
+const SETTINGS = { model: 'test-model', temperature: 0.1, maxTokens: 200, system: 'Be brief.' };
+const STRUCTURED = { name: 'respond', description: 'The answer', schema: { type: 'object', properties: { title: { type: 'string' } } } };
+
+async function standIn(t, handler) {
+    const server = await startStandIn(handler);
+    t.after(server.close);
+    return server;
+}
+
+test('OpenAI: sends the system prompt and reads text and usage', async (t) => {
+    const server = await standIn(t, () => ({
+        json: {
+            id: 'chatcmpl-1', object: 'chat.completion', model: 'gpt-4o-mini-2024',
+            choices: [{ index: 0, message: { role: 'assistant', content: 'Hello' }, finish_reason: 'stop' }],
+            usage: { prompt_tokens: 12, completion_tokens: 3 }
+        }
+    }));
+    const provider = new OpenAIProvider({ apiKey: 'test', baseURL: `${server.url}/v1` });
+
+    const completion = await provider.complete('Hi', SETTINGS);
+
+    assert.deepEqual(completion, {
+        text: 'Hello', model: 'gpt-4o-mini-2024', provider: 'openai',
+        usage: { inputTokens: 12, outputTokens: 3 }, finishReason: 'stop'
+    });
+    const [{ url, body }] = server.requests;
+    assert.equal(url, '/v1/chat/completions');
+    assert.deepEqual(body.messages, [{ role: 'system', content: 'Be brief.' }, { role: 'user', content: 'Hi' }]);
+    assert.equal(body.max_tokens, 200);
+});
+
+test('OpenAI: structured output forces a tool call and parses its arguments', async (t) => {
+    const server = await standIn(t, () => ({
+        json: {
+            id: 'chatcmpl-2', object: 'chat.completion', model: 'test-model',
+            choices: [{
+                index: 0,
+                message: { role: 'assistant', content: null, tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'respond', arguments: '{"title":"Engineer"}' } }] },
+                finish_reason: 'tool_calls'
+            }],
+            usage: { prompt_tokens: 20, completion_tokens: 5 }
+        }
+    }));
+    const provider = new OpenAIProvider({ apiKey: 'test', baseURL: `${server.url}/v1` });
+
+    const completion = await provider.complete('Extract', { ...SETTINGS, structured: STRUCTURED });
+
+    assert.equal(completion.method, 'tool');
+    assert.deepEqual(completion.structured, { title: 'Engineer' });
+    assert.equal(completion.text, '{"title":"Engineer"}');
+    assert.deepEqual(server.requests[0].body.tool_choice, { type: 'function', function: { name: 'respond' } });
+});
+
+test('Anthropic: reads text blocks and tool_use input', async (t) => {
+    let structured = false;
+    const server = await standIn(t, () => ({
+        json: {
+            id: 'msg_1', type: 'message', role: 'assistant', model: 'claude-test',
+            content: structured
+                ? [{ type: 'tool_use', id: 'toolu_1', name: 'respond', input: { title: 'Engineer' } }]
+                : [{ type: 'text', text: 'Hel' }, { type: 'text', text: 'lo' }],
+            stop_reason: structured ? 'tool_use' : 'end_turn',
+            usage: { input_tokens: 15, output_tokens: 4 }
+        }
+    }));
+    const provider = new AnthropicProvider({ apiKey: 'test', baseURL: server.url });
+
+    const text = await provider.complete('Hi', SETTINGS);
+    assert.deepEqual(text, {
+        text: 'Hello', model: 'claude-test', provider: 'anthropic',
+        usage: { inputTokens: 15, outputTokens: 4 }, finishReason: 'end_turn'
+    });
+    assert.equal(server.requests[0].url, '/v1/messages');
+    assert.equal(server.requests[0].body.system, 'Be brief.');
+
+    structured = true;
+    const tool = await provider.complete('Extract', { ...SETTINGS, structured: STRUCTURED });
+    assert.equal(tool.method, 'tool');
+    assert.deepEqual(tool.structured, { title: 'Engineer' });
+    assert.deepEqual(server.requests[1].body.tool_choice, { type: 'tool', name: 'respond' });
+});
+
+test('OpenAI-compatible: asks for JSON mode and reports HTTP errors with their status', async (t) => {
+    let failing = false;
+    const server = await standIn(t, (req, body) => (failing
+        ? { status: 503, json: { error: 'model loading' } }
+        : { json: { model: body.model, choices: [{ message: { content: '{"title":"Engineer"}' }, finish_reason: 'stop' }] } }));
+    const provider = new OpenAICompatibleProvider({ baseURL: `${server.url}/v1/` });
+
+    const completion = await provider.complete('Extract', { ...SETTINGS, structured: STRUCTURED });
+    assert.equal(completion.method, 'json-mode');
+    assert.equal(completion.text, '{"title":"Engineer"}');
+    assert.deepEqual(completion.usage, { inputTokens: null, outputTokens: null });
+    assert.deepEqual(server.requests[0].body.response_format, { type: 'json_object' });
+
+    // A wrapped (non-object) schema cannot use JSON mode
+    await provider.complete('List', { ...SETTINGS, structured: { ...STRUCTURED, wrapped: true } });
+    assert.equal(server.requests[1].body.response_format, undefined);
+
+    failing = true;
+    await assert.rejects(provider.complete('Hi', SETTINGS), error => error.status === 503 && /model loading/.test(error.message));
+});
+
+test('createProvider maps names and aliases to adapters', () => {
+    assert.ok(createProvider('ollama') instanceof OpenAICompatibleProvider);
+    assert.equal(createProvider('openai-compatible').name, 'local');
+    assert.equal(defaultModelFor('ollama'), 'llama3.1');
+    assert.throws(() => createProvider('bard'), /Unknown LLM provider "bard"/);
+});
@@ -0,0 +1,121 @@
+// tests/llm-routing.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { validateRoutes, taskFor } from '../src/utils/llm-routing.js';
+import { LLMClient } from '../src/utils/llm-client.js';
+import { LLMUnavailableError } from '../src/utils/llm-errors.js';
+import { PerformanceMonitor } from '../src/utils/performance-monitor.js';
+import { FixtureStore } from '../src/utils/fixtures.js';
+import { startStandIn, temporaryFixtureDir, silenceConsole } from './helpers/stand-in-server.js';
+
+const SCHEMA = { type: 'object', properties: { title: { type: 'string' }, confidence: { type: 'number' } }, required: ['title'] };
+
+test('validates routes and derives the task from the prompt version', () => {
+    assert.throws(() => validateRoutes({ skills: { chain: [] } }, 'test'), /needs a non-empty "chain"/);
+    assert.throws(() => validateRoutes({ skills: { chain: [{ model: 'gpt-4o' }] } }, 'test'), /step 1 in test has no provider/);
+    assert.throws(() => validateRoutes({ skills: { chain: [{ provider: 'local' }], minConfidence: 2 } }, 'test'), /between 0 and 1/);
+
+    assert.equal(taskFor({ promptVersion: 'critical-skills@1' }), 'critical-skills');
+    assert.equal(taskFor({ task: 'rewrite', promptVersion: 'critical-skills@1' }), 'rewrite');
+    assert.equal(taskFor({}), null);
+});
+
+// One OpenAI-compatible stand-in serving every model; `answers[model]` is the reply text or an
+// HTTP status the model fails with
+async function routedClient(t, answers, config = {}) {
+    silenceConsole(t);
+    const server = await startStandIn((req, body) => {
+        const answer = answers[body.model];
+        return typeof answer === 'number'
+            ? { status: answer, json: { error: `${body.model} is down` } }
+            : { json: { model: body.model, choices: [{ message: { content: answer }, finish_reason: 'stop' }], usage: { prompt_tokens: 10, completion_tokens: 5 } } };
+    });
+    t.after(server.close);
+    const cacheDir = await temporaryFixtureDir();
+    t.after(cacheDir.remove);
+    const baseURL = `${server.url}/v1`;
+    const step = model => ({ provider: 'local', model, baseURL });
+    const monitor = new PerformanceMonitor();
+
+    const client = new LLMClient({
+        provider: 'local',
+        model: 'primary',
+        baseURL,
+        maxRetries: 0,
+        fallback: [step('backup')],
+        cache: { enabled: true, dir: cacheDir.dir },
+        fixtures: new FixtureStore({ mode: 'off' }),
+        monitor,
+        ...config,
+        routes: Object.fromEntries(Object.entries(config.routes || {}).map(([task, route]) => [task, { ...route, chain: route.chain.map(step) }]))
+    });
+    return { client, server, monitor, cacheDir: cacheDir.dir };
+}
+
+test('a failed call falls back to the next model and is not cached', async (t) => {
+    const { client, server, monitor, cacheDir } = await routedClient(t, { primary: 503, backup: 'from backup' });
+
+    const completion = await client.complete('ping');
+
+    assert.equal(completion.text, 'from backup');
+    assert.equal(completion.origin, 'fallback-model');
+    assert.match(completion.fallbackReason, /^unavailable: /);
+    assert.deepEqual(server.requests.map(request => request.body.model), ['primary', 'backup']);
+    assert.deepEqual(await fs.readdir(cacheDir), []);
+
+    const stats = client.getModelStats();
+    assert.equal(stats['local/primary'].errors, 1);
+    assert.equal(stats['local/backup'].successRate, 1);
+    assert.equal(monitor.getLLMUsage().byModel['local/backup'].calls, 1);
+});
+
+test('when every model fails the first error is thrown', async (t) => {
+    const { client } = await routedClient(t, { primary: 503, backup: 500 });
+
+    await assert.rejects(client.complete('ping'), error => error instanceof LLMUnavailableError && error.status === 503);
+});
+
+test('a prompt with a route uses its own chain', async (t) => {
+    const { client, server } = await routedClient(t, { primary: 'primary', small: 'small', large: 'large' }, {
+        routes: { 'critical-skills': { chain: ['small', 'large'] } }
+    });
+
+    const routed = await client.complete('pick skills', { promptVersion: 'critical-skills@1' });
+    const plain = await client.complete('anything else');
+
+    assert.equal(routed.text, 'small');
+    assert.equal(routed.origin, 'model');
+    assert.equal(plain.text, 'primary');
+    assert.deepEqual(server.requests.map(request => request.body.model), ['small', 'primary']);
+    assert.equal(client.getModelStats()['local/small'].byTask['critical-skills'].attempts, 1);
+});
+
+test('structured calls move on when an answer never validates', async (t) => {
+    const { client } = await routedClient(t, { primary: '{"name": "no title"}', backup: '{"title": "Engineer"}' });
+
+    const result = await client.generateStructured('Extract', SCHEMA, { maxRepairAttempts: 1 });
+
+    assert.deepEqual(result.data, { title: 'Engineer' });
+    assert.equal(result.origin, 'fallback-model');
+    assert.deepEqual(result.routing.attempts.map(attempt => `${attempt.model}:${attempt.outcome}`), ['primary:invalid', 'backup:success']);
+    assert.equal(client.getModelStats()['local/primary'].invalid, 1);
+});
+
+test('minConfidence moves on from unsure answers and keeps the best when all are unsure', async (t) => {
+    const answers = { small: '{"title": "Engineer", "confidence": 0.3}', large: '{"title": "Data Engineer", "confidence": 0.9}' };
+    const { client } = await routedClient(t, answers, { routes: { extraction: { chain: ['small', 'large'], minConfidence: 0.6 } } });
+    const confidence = data => data.confidence;
+
+    const confident = await client.generateStructured('Extract', SCHEMA, { task: 'extraction', confidence });
+    assert.equal(confident.data.title, 'Data Engineer');
+    assert.equal(confident.confidence, 0.9);
+    assert.match(confident.fallbackReason, /^low-confidence: 0.30 below 0.6/);
+
+    answers.large = '{"title": "Data Engineer", "confidence": 0.5}';
+    const unsure = await client.generateStructured('Extract again', SCHEMA, { task: 'extraction', confidence });
+    assert.equal(unsure.data.title, 'Data Engineer');
+    assert.equal(unsure.lowConfidence, true);
+    assert.deepEqual(unsure.routing.attempts.map(attempt => attempt.outcome), ['low-confidence', 'low-confidence']);
+});
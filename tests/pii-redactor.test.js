@@ -0,0 +1,58 @@
+// tests/pii-redactor.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PIIRedactor } from '../src/utils/pii-redactor.js';
+
+const redactor = new PIIRedactor({ enabled: true, auditLog: null, patterns: [] });
+const redact = text => redactor.start().redact(text);
+
+test('masks email addresses', () => {
+    assert.equal(redact('Send it to jane.doe@acme-internal.com today'), 'Send it to [EMAIL_1] today');
+});
+
+test('masks US and international phone numbers', () => {
+    assert.equal(redact('Call (512) 555-0142 or 512.555.0142'), 'Call [PHONE_1] or [PHONE_2]');
+    assert.equal(redact('London office: +44 20 7946 0958'), 'London office: [PHONE_1]');
+    assert.equal(redact('Paris: +33 1 23 45 67 89'), 'Paris: [PHONE_1]');
+});
+
+test('version strings and short numbers are not phone numbers', () => {
+    assert.equal(redact('Upgrade to +1.2.3 before the release'), 'Upgrade to +1.2.3 before the release');
+    assert.equal(redact('Scored +12 45 67 on the last three sprints'), 'Scored +12 45 67 on the last three sprints');
+});
+
+test('masks street addresses with their suite', () => {
+    assert.equal(redact('Office at 1200 Congress Avenue, Suite 300 in Austin'), 'Office at [ADDRESS_1] in Austin');
+});
+
+test('masks names after a label and keeps the label', () => {
+    assert.equal(redact('Hiring manager: Jane Doe'), 'Hiring manager: [NAME_1]');
+    assert.equal(redact('Please reach out to John Smith'), 'Please reach out to [NAME_1]');
+    assert.equal(redact('Reports to Engineering Manager Maria Lopez'), 'Reports to Engineering Manager [NAME_1]');
+});
+
+test('job titles and teams after a label are not names', () => {
+    assert.equal(redact('Reports to Engineering Manager'), 'Reports to Engineering Manager');
+    assert.equal(redact('Reports to the VP. Contact Human Resources with questions'), 'Reports to the VP. Contact Human Resources with questions');
+});
+
+test('restores placeholders and audits without values or hashes', () => {
+    const redaction = redactor.start();
+    const prompt = redaction.redact('Recruiter: Jane Doe, jane@acme.com, jane@acme.com');
+
+    assert.equal(prompt, 'Recruiter: [NAME_1], [EMAIL_1], [EMAIL_1]');
+    assert.deepEqual(redaction.restore({ contact: '[NAME_1] <[EMAIL_1]>' }), { contact: 'Jane Doe <jane@acme.com>' });
+
+    const entry = redactor.audit(redaction, { provider: 'local' });
+    assert.deepEqual(entry.redactions, [
+        { type: 'email', placeholder: '[EMAIL_1]', length: 13 },
+        { type: 'name', placeholder: '[NAME_1]', length: 8 }
+    ]);
+    assert.ok(!JSON.stringify(entry).includes('jane'));
+});
+
+test('extra patterns mask only their capture group', () => {
+    const custom = new PIIRedactor({ enabled: true, auditLog: null, types: [], patterns: [{ type: 'employee-id', pattern: 'ID (EMP-\\d{6})' }] });
+    assert.equal(custom.start().redact('Badge ID EMP-123456'), 'Badge ID [EMPLOYEE_ID_1]');
+});
@@ -0,0 +1,99 @@
+// tests/prompt-registry.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PromptRegistry, PromptVariableError, getPromptRegistry, parsePromptId } from '../src/prompts/prompt-registry.js';
+import { comparePromptVersions, diffOutputs } from '../src/prompts/prompt-comparison.js';
+import { LLMClient } from '../src/utils/llm-client.js';
+import { FixtureStore } from '../src/utils/fixtures.js';
+import { startStandIn, silenceConsole } from './helpers/stand-in-server.js';
+
+const greeting = (version, extra = {}) => ({ name: 'greeting', version, variables: ['who'], template: `Hello {{who}} (v${version})`, ...extra });
+
+test('serves the latest version that is not a draft, or an exact version', () => {
+    const registry = new PromptRegistry([greeting(2), greeting(1), greeting(3, { status: 'draft' })]);
+
+    assert.equal(registry.get('greeting').id, 'greeting@2');
+    assert.equal(registry.get('greeting', 3).id, 'greeting@3');
+    assert.equal(registry.get('greeting', '1').version, 1);
+    assert.throws(() => registry.get('greeting', 9), /has no version 9. Available: 1, 2, 3/);
+    assert.throws(() => registry.get('farewell'), /Unknown prompt "farewell"/);
+    assert.deepEqual(registry.list().map(prompt => `${prompt.id}:${prompt.status}`), ['greeting@1:active', 'greeting@2:active', 'greeting@3:draft']);
+});
+
+test('a version is registered once and must use exactly its variables', () => {
+    const registry = new PromptRegistry([greeting(1)]);
+
+    assert.throws(() => registry.register(greeting(1)), /already registered; register a new version instead/);
+    assert.throws(() => registry.register({ ...greeting(2), template: 'Hello {{name}}' }), error =>
+        error instanceof PromptVariableError && /undeclared: name; unused: who/.test(error.message));
+    assert.throws(() => registry.register({ ...greeting(2), version: 0 }), /positive integer version/);
+});
+
+test('renders variables and few-shot examples, and rejects missing or unknown ones', () => {
+    const registry = new PromptRegistry([{
+        name: 'skills',
+        version: 1,
+        variables: ['text'],
+        examples: [{ input: 'Go and k8s', output: ['Go', 'Kubernetes'] }],
+        template: '{{examples}}\n\nInput:\n{{text}}'
+    }]);
+
+    const rendered = registry.render('skills', { text: 'Rust' });
+    assert.deepEqual(rendered, {
+        id: 'skills@1',
+        name: 'skills',
+        version: 1,
+        text: 'Example 1:\nInput:\nGo and k8s\nOutput:\n["Go","Kubernetes"]\n\nInput:\nRust'
+    });
+    assert.throws(() => registry.render('skills', {}), /is missing variables: text/);
+    assert.throws(() => registry.render('skills', { text: 'Rust', level: 'senior' }), /does not take: level/);
+});
+
+test('parses prompt ids and registers every built-in prompt', () => {
+    assert.deepEqual(parsePromptId('job-extraction@2'), { name: 'job-extraction', version: 2 });
+    assert.deepEqual(parsePromptId('critical-skills'), { name: 'critical-skills', version: null });
+
+    const registry = getPromptRegistry();
+    for (const { name, version } of registry.list()) {
+        const { variables } = registry.get(name, version);
+        const text = registry.render(name, Object.fromEntries(variables.map(variable => [variable, 'x'])), version).text;
+        assert.doesNotMatch(text, /\{\{\w+\}\}/);
+    }
+});
+
+test('diffs outputs field by field', () => {
+    const changes = diffOutputs(
+        { title: 'Engineer', skills: ['Go', 'SQL'], salary: { min: 1 } },
+        { title: 'Engineer', skills: ['Go', 'Rust'], salary: { min: 2 } }
+    );
+    assert.deepEqual(changes, [
+        { path: 'skills', baseline: ['Go', 'SQL'], candidate: ['Go', 'Rust'], added: ['Rust'], removed: ['SQL'] },
+        { path: 'salary.min', baseline: 1, candidate: 2 }
+    ]);
+});
+
+test('compares two prompt versions and scores them with the evaluation hook', async (t) => {
+    silenceConsole(t);
+    const server = await startStandIn((req, body) => ({
+        json: { model: body.model, choices: [{ message: { content: '["TensorFlow", "AWS"]' }, finish_reason: 'stop' }], usage: { prompt_tokens: 300, completion_tokens: 8 } }
+    }));
+    t.after(server.close);
+    const llmClient = new LLMClient({ provider: 'local', model: 'llama3.1', baseURL: `${server.url}/v1`, maxRetries: 0, cache: { enabled: false }, fixtures: new FixtureStore({ mode: 'off' }) });
+
+    const report = await comparePromptVersions({
+        name: 'critical-skills',
+        baseline: 1,
+        candidate: 1,
+        documents: [{ id: 'ml', text: 'Python, TensorFlow and AWS' }, { id: 'data', text: 'SQL and AWS' }],
+        evaluate: output => (output.includes('AWS') ? 1 : 0),
+        llmClient
+    });
+
+    assert.equal(report.baseline.prompt, 'critical-skills@1');
+    assert.deepEqual(report.summary, { documents: 2, identical: 2, changed: 0, failed: 0, fieldChanges: [] });
+    assert.equal(report.candidate.meanScore, 1);
+    assert.equal(report.baseline.usage.calls, 2);
+    assert.equal(server.requests.length, 4);
+    await assert.rejects(comparePromptVersions({ name: 'posting-rewrite', baseline: 1, candidate: 1, documents: [] }), /cannot be compared/);
+});
@@ -0,0 +1,139 @@
+// tests/rate-limiter.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { RateLimiter } from '../src/utils/rate-limiter.js';
+import { LLMClient } from '../src/utils/llm-client.js';
+import { LLMTimeoutError, LLMAbortedError } from '../src/utils/llm-errors.js';
+import { FixtureStore } from '../src/utils/fixtures.js';
+import { silenceConsole } from './helpers/stand-in-server.js';
+
+// Lets pending grants settle
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+test('holds requests past maxConcurrent until one is released', async () => {
+    const limiter = new RateLimiter({ maxConcurrent: 2 });
+    const first = await limiter.acquire();
+    await limiter.acquire();
+
+    let third = false;
+    limiter.acquire().then(() => { third = true; });
+    await settle();
+    assert.equal(third, false);
+    assert.equal(limiter.getStats().queued, 1);
+
+    first();
+    first(); // releasing twice frees one slot only
+    await settle();
+    assert.equal(third, true);
+    assert.equal(limiter.getStats().inFlight, 2);
+});
+
+test('serves waiting requests by priority, first come first served within one', async () => {
+    const limiter = new RateLimiter({ maxConcurrent: 1 });
+    const release = await limiter.acquire();
+    const order = [];
+    const queue = (label, priority) => limiter.acquire({ priority }).then(done => { order.push(label); done(); });
+
+    const queued = [queue('background', 'background'), queue('normal-1', 'normal'), queue('interactive', 'interactive'), queue('normal-2', 'normal')];
+    release();
+    await Promise.all(queued);
+
+    assert.deepEqual(order, ['interactive', 'normal-1', 'normal-2', 'background']);
+    await assert.rejects(limiter.acquire({ priority: 'urgent' }), /Unknown request priority "urgent"/);
+});
+
+test('an aborted wait leaves the queue and rejects with the signal reason', async () => {
+    const limiter = new RateLimiter({ maxConcurrent: 1 });
+    const release = await limiter.acquire();
+    const controller = new AbortController();
+
+    const waiting = limiter.acquire({ signal: controller.signal });
+    controller.abort(new Error('user cancelled'));
+    await assert.rejects(waiting, /user cancelled/);
+    assert.equal(limiter.getStats().queued, 0);
+    assert.equal(limiter.getStats().aborted, 1);
+
+    await assert.rejects(limiter.acquire({ signal: AbortSignal.abort() }), { name: 'AbortError' });
+    release();
+});
+
+test('spends the request and token buckets and settles estimates against usage', async () => {
+    const limiter = new RateLimiter({ requestsPerMinute: 2, tokensPerMinute: 1000 });
+    const release = await limiter.acquire({ tokens: 600 });
+
+    // 400 tokens left: a second 600-token request waits about 12 seconds for the refill
+    const wait = limiter.waitFor({ tokens: 600 });
+    assert.ok(wait > 11000 && wait <= 12000, `waits ${wait}ms`);
+
+    // The call used only 100 tokens, so 500 come back
+    release(100);
+    assert.equal(Math.round(limiter.availableTokens), 900);
+    assert.equal(limiter.waitFor({ tokens: 600 }), 0);
+
+    await limiter.acquire();
+    assert.ok(limiter.waitFor({ tokens: 0 }) > 29000);
+});
+
+test('configure lets queued requests start and never refills the buckets', async () => {
+    const limiter = new RateLimiter({ maxConcurrent: 1, requestsPerMinute: 10 });
+    await limiter.acquire();
+    let second = false;
+    limiter.acquire().then(() => { second = true; });
+    await settle();
+    assert.equal(second, false);
+
+    limiter.configure({ maxConcurrent: 2 });
+    await settle();
+    assert.equal(second, true);
+
+    // 8 of 10 requests left; a larger limit does not hand out a fresh minute
+    limiter.configure({ requestsPerMinute: 100 });
+    assert.ok(limiter.availableRequests < 9);
+    limiter.configure({ requestsPerMinute: 5 });
+    assert.ok(limiter.availableRequests <= 5);
+});
+
+test('pause holds every request until it runs out', async () => {
+    const limiter = new RateLimiter({});
+    limiter.pause(30);
+    const started = Date.now();
+    const release = await limiter.acquire();
+    release();
+
+    assert.ok(Date.now() - started >= 25);
+    assert.equal(limiter.getStats().pauses, 1);
+});
+
+// A server that accepts requests and never answers
+async function silentServer(t) {
+    const server = http.createServer(() => {});
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => {
+        server.closeAllConnections();
+        return new Promise(resolve => server.close(resolve));
+    });
+    return `http://127.0.0.1:${server.address().port}`;
+}
+
+function silentClient(url, timeoutMs) {
+    return new LLMClient({ provider: 'local', model: 'llama3.1', baseURL: `${url}/v1`, maxRetries: 0, timeoutMs, cache: { enabled: false }, fixtures: new FixtureStore({ mode: 'off' }) });
+}
+
+test('an attempt that gets no answer times out', async (t) => {
+    silenceConsole(t);
+    const client = silentClient(await silentServer(t), 50);
+
+    await assert.rejects(client.complete('ping'), error => error instanceof LLMTimeoutError && /no response within 50ms/.test(error.message));
+});
+
+test('the caller\'s signal cancels a request in flight', async (t) => {
+    silenceConsole(t);
+    const client = silentClient(await silentServer(t), 60000);
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(new Error('stop')), 20);
+
+    await assert.rejects(client.complete('ping', { signal: controller.signal }), error => error instanceof LLMAbortedError && error.kind === 'aborted');
+    await assert.rejects(client.complete('ping', { signal: controller.signal }), LLMAbortedError);
+});
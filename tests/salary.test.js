@@ -0,0 +1,65 @@
+// tests/salary.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSalaryText, normalizeSalary, formatSalary } from '../src/parsers/salary.js';
+
+test('reads a yearly range with a currency code', () => {
+    assert.deepEqual(parseSalaryText('Salary: $150,000 - $200,000 USD'), { min: 150000, max: 200000, currency: 'USD', period: 'yearly' });
+});
+
+test('reads an hourly rate and annualizes it for full-time hours', () => {
+    const salary = parseSalaryText('$75/hr');
+    assert.deepEqual(salary, { min: 75, max: 75, currency: 'USD', period: 'hourly' });
+
+    const normalized = normalizeSalary(salary, '$75/hr');
+    assert.equal(normalized.status, 'stated');
+    assert.equal(normalized.min, 156000);
+    assert.equal(normalized.multiplier, 2080);
+});
+
+test('takes the currency from a trailing code when there is no symbol', () => {
+    assert.deepEqual(parseSalaryText('Pay: 85,000 - 95,000 USD'), { min: 85000, max: 95000, currency: 'USD', period: 'yearly' });
+});
+
+test('converts other currencies to USD with the bundled rates', () => {
+    const text = '€60k-€70k per year';
+    const salary = parseSalaryText(text);
+    assert.equal(salary.currency, 'EUR');
+
+    const normalized = normalizeSalary(salary, text);
+    assert.equal(normalized.currency, 'USD');
+    assert.equal(normalized.sourceCurrency, 'EUR');
+    assert.ok(normalized.min > 60000);
+    assert.match(formatSalary(salary, normalized), /EUR\/year \(≈ .* USD\/year\)/);
+});
+
+test('ignores funding amounts and reports DOE wording as negotiable', () => {
+    const text = 'We raised $40M in our Series B. Compensation DOE.';
+    assert.equal(parseSalaryText(text), undefined);
+    assert.equal(normalizeSalary(null, text).status, 'negotiable');
+});
+
+test('a small amount near a pay keyword reads as an hourly rate', () => {
+    assert.equal(parseSalaryText('Rate: $65').period, 'hourly');
+});
+
+test('bonuses, stipends and budgets near a pay keyword are not the salary', () => {
+    assert.equal(parseSalaryText('Compensation: $5,000 signing bonus'), undefined);
+    assert.equal(parseSalaryText('Pay: $2,500 learning budget'), undefined);
+    assert.deepEqual(parseSalaryText('Base pay $140,000 plus a $10,000 signing bonus'), { min: 140000, max: 140000, currency: 'USD', period: 'yearly' });
+});
+
+test('an amount with no period between the hourly limit and the yearly floor is not a salary', () => {
+    assert.equal(parseSalaryText('Compensation: $5,000'), undefined);
+    assert.equal(parseSalaryText('Salary: $12,000').period, 'yearly');
+});
+
+test('competitive or DOE wording rules out a lone figure but not a stated range', () => {
+    const perk = 'Compensation: competitive, plus $500 home office stipend';
+    assert.equal(parseSalaryText(perk), undefined);
+    assert.equal(normalizeSalary(null, perk).status, 'negotiable');
+
+    assert.equal(parseSalaryText('Salary: $95,000 DOE'), undefined);
+    assert.deepEqual(parseSalaryText('Salary: $120k - $150k DOE'), { min: 120000, max: 150000, currency: 'USD', period: 'yearly' });
+});
@@ -0,0 +1,46 @@
+// tests/skill-taxonomy.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getSkillTaxonomy } from '../src/skills/skill-taxonomy.js';
+
+const taxonomy = getSkillTaxonomy();
+
+test('resolves names, aliases and lookup-only aliases to canonical ids', () => {
+    assert.equal(taxonomy.canonicalize('Golang'), 'go');
+    assert.equal(taxonomy.canonicalize('k8s'), 'kubernetes');
+    assert.equal(taxonomy.canonicalize('Shell'), 'bash');
+    assert.equal(taxonomy.canonicalize('ts'), 'typescript');
+    assert.equal(taxonomy.canonicalize('Some Framework'), 'some framework');
+});
+
+test('matches on word boundaries and keeps the longest overlapping mention', () => {
+    assert.deepEqual(taxonomy.extractSkills('HTML and CSS, Django'), ['html', 'css', 'django']);
+    assert.deepEqual(taxonomy.extractSkills('TensorFlow/PyTorch'), ['tensorflow', 'pytorch']);
+    assert.deepEqual(taxonomy.extractSkills('Spring Boot services'), ['spring-boot']);
+});
+
+test('names that are ordinary words only match with exact casing', () => {
+    assert.deepEqual(taxonomy.extractSkills('Experience with Go and Swift'), ['go', 'swift']);
+    assert.deepEqual(taxonomy.extractSkills('ready to go in the spring'), []);
+});
+
+test('a clearance is not TypeScript', () => {
+    assert.deepEqual(taxonomy.extractSkills('Active TS/SCI clearance required'), []);
+});
+
+test('ordinary uses of "shell" and "sh" are not Bash', () => {
+    assert.deepEqual(taxonomy.extractSkills('Must show a shell of patience with customers'), []);
+    assert.deepEqual(taxonomy.extractSkills('Run ./deploy.sh nightly'), []);
+    assert.deepEqual(taxonomy.extractSkills('Bash or shell scripting'), ['bash']);
+});
+
+test('"Go-to-market" is not Go', () => {
+    assert.deepEqual(taxonomy.extractSkills('Partner with our Go-to-market team'), []);
+    assert.deepEqual(taxonomy.extractSkills('Services in Go, deployed on Kubernetes'), ['go', 'kubernetes']);
+});
+
+test('"py" only resolves as an exact name', () => {
+    assert.deepEqual(taxonomy.extractSkills('happy to help, py scripts welcome'), []);
+    assert.deepEqual(taxonomy.extractSkills('Python3 and pandas'), ['python', 'pandas']);
+});
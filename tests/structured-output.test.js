@@ -0,0 +1,84 @@
+// tests/structured-output.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateStructured, extractJson, toObjectSchema } from '../src/utils/structured-output.js';
+import { SchemaValidationError } from '../src/utils/json-schema.js';
+import { silenceConsole } from './helpers/stand-in-server.js';
+
+const SCHEMA = {
+    type: 'object',
+    required: ['title', 'skills'],
+    properties: { title: { type: 'string' }, skills: { type: 'array', items: { type: 'string' } } }
+};
+
+// A `complete` callback answering with `texts` in turn and remembering the prompts it got
+function scripted(texts) {
+    const prompts = [];
+    const complete = async (prompt, settings) => {
+        prompts.push({ prompt, settings });
+        return { text: texts[prompts.length - 1], provider: 'test', model: 'test' };
+    };
+    return { complete, prompts };
+}
+
+test('extractJson finds JSON in fences and prose', () => {
+    assert.deepEqual(extractJson('```json\n{"a": 1}\n```'), { a: 1 });
+    assert.deepEqual(extractJson('Sure! Here it is: {"a": "}"} Hope that helps.'), { a: '}' });
+    assert.deepEqual(extractJson('Skills: ["Go"] and {"a": [1]}', 'object'), { a: [1] });
+    assert.throws(() => extractJson('no data here', 'object'), /no JSON object found/);
+});
+
+test('non-object schemas are wrapped for tool calls and JSON mode', () => {
+    const list = { type: 'array', items: { type: 'string' } };
+    assert.deepEqual(toObjectSchema(list), { schema: { type: 'object', required: ['result'], properties: { result: list } }, wrapped: true });
+    assert.deepEqual(toObjectSchema(SCHEMA), { schema: SCHEMA, wrapped: false });
+});
+
+test('returns the first answer that validates', async () => {
+    const { complete, prompts } = scripted(['{"title": "Engineer", "skills": ["Go"]}']);
+
+    const result = await generateStructured(complete, 'Extract', SCHEMA);
+
+    assert.deepEqual(result.data, { title: 'Engineer', skills: ['Go'] });
+    assert.equal(result.completions.length, 1);
+    assert.equal(prompts[0].settings.structured.name, 'respond');
+    assert.equal(prompts[0].settings.cacheIf(result.completions[0]), true);
+});
+
+test('asks the model to repair an invalid answer with the validation errors', async (t) => {
+    silenceConsole(t);
+    const { complete, prompts } = scripted(['not json at all', '{"title": 7, "skills": []}', '{"title": "Engineer", "skills": []}']);
+
+    const result = await generateStructured(complete, 'Extract', SCHEMA);
+
+    assert.deepEqual(result.data, { title: 'Engineer', skills: [] });
+    assert.equal(result.completions.length, 3);
+    assert.match(prompts[1].prompt, /^Extract\n\nYour previous answer did not match the required structure:\nnot json at all/);
+    assert.match(prompts[1].prompt, /invalid JSON/);
+    assert.match(prompts[2].prompt, /title/);
+    // Only the answer that validated may be cached
+    assert.equal(prompts[0].settings.cacheIf(result.completions[0]), false);
+    assert.equal(prompts[0].settings.cacheIf(result.completions[2]), true);
+});
+
+test('throws SchemaValidationError once the repair attempts run out', async (t) => {
+    silenceConsole(t);
+    const { complete, prompts } = scripted(['{}', '{}']);
+
+    await assert.rejects(
+        generateStructured(complete, 'Extract', SCHEMA, { maxRepairAttempts: 1 }),
+        error => error instanceof SchemaValidationError && error.errors.length > 0
+    );
+    assert.equal(prompts.length, 2);
+});
+
+test('unwraps tool-call arguments and validates the transformed value', async () => {
+    const list = { type: 'array', items: { type: 'string' } };
+    const complete = async () => ({ text: '', structured: { result: [' go ', 'Rust'] }, method: 'tool' });
+
+    const result = await generateStructured(complete, 'List skills', list, { transform: skills => skills.map(skill => skill.trim().toLowerCase()) });
+
+    assert.deepEqual(result.data, ['go', 'rust']);
+    assert.equal(result.method, 'tool');
+});